@@ -1,7 +1,18 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
+const { RegionWorldStore, registerStorageHandlers } = require('./worldStore.cjs');
 
 let mainWindow;
+let worldStore;
+
+// World seed from the command line (--seed=<text> or --seed <text>), or null
+function getSeedArgument(argv) {
+  const index = argv.findIndex(arg => arg === '--seed' || arg.startsWith('--seed='));
+  if (index === -1) {
+    return null;
+  }
+  return argv[index] === '--seed' ? (argv[index + 1] ?? null) : argv[index].slice('--seed='.length);
+}
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -9,16 +20,21 @@ function createWindow() {
     height: 720,
     webPreferences: {
       nodeIntegration: false,
-      contextIsolation: true
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.cjs')
     },
     title: 'Mini Voxel Engine'
   });
 
+  // The page reads the seed from its URL
+  const seed = getSeedArgument(process.argv);
+  const query = seed ? { seed } : {};
+
   // Load the Vite dev server URL in development
   if (process.env.NODE_ENV === 'development') {
-    mainWindow.loadURL('http://localhost:5173');
+    mainWindow.loadURL(`http://localhost:5173/?${new URLSearchParams(query)}`);
   } else {
-    mainWindow.loadFile(path.join(__dirname, '../dist/index.html'));
+    mainWindow.loadFile(path.join(__dirname, '../dist/index.html'), { query });
   }
 
   // Open DevTools in development
@@ -30,6 +46,10 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+  // World saves live in the per-user app data directory
+  worldStore = new RegionWorldStore(path.join(app.getPath('userData'), 'worlds'));
+  registerStorageHandlers(ipcMain, worldStore);
+
   createWindow();
 
   app.on('activate', () => {
@@ -39,6 +59,12 @@ app.whenReady().then(() => {
   });
 });
 
+app.on('will-quit', () => {
+  if (worldStore) {
+    worldStore.close();
+  }
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -0,0 +1,14 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Storage bridge used by src/storage/ElectronWorldStore.js
+// Only these calls are exposed; the renderer never gets direct disk access
+contextBridge.exposeInMainWorld('voxelStorage', {
+  listWorlds: () => ipcRenderer.invoke('storage:listWorlds'),
+  loadWorld: (worldId) => ipcRenderer.invoke('storage:loadWorld', worldId),
+  saveWorld: (world) => ipcRenderer.invoke('storage:saveWorld', world),
+  loadChunk: (worldId, chunkX, chunkZ) =>
+    ipcRenderer.invoke('storage:loadChunk', worldId, chunkX, chunkZ),
+  saveChunks: (worldId, records) => ipcRenderer.invoke('storage:saveChunks', worldId, records),
+  deleteWorld: (worldId) => ipcRenderer.invoke('storage:deleteWorld', worldId),
+  closeWorld: (worldId) => ipcRenderer.invoke('storage:closeWorld', worldId),
+});
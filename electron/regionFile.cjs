@@ -0,0 +1,152 @@
+const fs = require('fs');
+
+/**
+ * RegionFile - Stores a 32x32 area of chunks in a single file
+ *
+ * Layout:
+ *   Header: 1024 entries of 8 bytes (uint32 sector offset, uint32 byte length),
+ *           indexed by localX + localZ * 32. A length of 0 means no chunk.
+ *   Body:   chunk records aligned to 4 KiB sectors
+ *
+ * Every write goes to the first free run of sectors (or the end of file)
+ * and the header entry is updated after the data is written; the old
+ * sectors are freed last, so an interrupted write leaves the previous
+ * record readable.
+ */
+const REGION_SIZE = 32;
+const SECTOR_SIZE = 4096;
+const ENTRY_SIZE = 8;
+const HEADER_BYTES = REGION_SIZE * REGION_SIZE * ENTRY_SIZE;
+const HEADER_SECTORS = Math.ceil(HEADER_BYTES / SECTOR_SIZE);
+
+class RegionFile {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = null;
+    this.offsets = new Uint32Array(REGION_SIZE * REGION_SIZE);
+    this.lengths = new Uint32Array(REGION_SIZE * REGION_SIZE);
+    this.usedSectors = [];  // true for sectors holding header or chunk data
+  }
+
+  // Open the file, creating an empty header if it doesn't exist yet
+  open() {
+    if (this.fd !== null) return;
+
+    const exists = fs.existsSync(this.filePath);
+    this.fd = fs.openSync(this.filePath, exists ? 'r+' : 'w+');
+
+    if (!exists) {
+      fs.writeSync(this.fd, Buffer.alloc(HEADER_SECTORS * SECTOR_SIZE), 0, HEADER_SECTORS * SECTOR_SIZE, 0);
+    } else {
+      const header = Buffer.alloc(HEADER_BYTES);
+      fs.readSync(this.fd, header, 0, HEADER_BYTES, 0);
+      for (let i = 0; i < this.offsets.length; i++) {
+        this.offsets[i] = header.readUInt32LE(i * ENTRY_SIZE);
+        this.lengths[i] = header.readUInt32LE(i * ENTRY_SIZE + 4);
+      }
+    }
+
+    this.usedSectors = [];
+    for (let s = 0; s < HEADER_SECTORS; s++) this.usedSectors[s] = true;
+    for (let i = 0; i < this.offsets.length; i++) {
+      if (this.lengths[i] > 0) {
+        this.markSectors(this.offsets[i], this.sectorCount(this.lengths[i]), true);
+      }
+    }
+  }
+
+  // Header index for chunk coordinates local to this region
+  getIndex(localX, localZ) {
+    if (localX < 0 || localX >= REGION_SIZE || localZ < 0 || localZ >= REGION_SIZE) {
+      throw new RangeError(`Local chunk position out of region: ${localX},${localZ}`);
+    }
+    return localX + localZ * REGION_SIZE;
+  }
+
+  sectorCount(byteLength) {
+    return Math.ceil(byteLength / SECTOR_SIZE);
+  }
+
+  markSectors(start, count, used) {
+    for (let s = start; s < start + count; s++) {
+      this.usedSectors[s] = used;
+    }
+  }
+
+  // Find the first run of `count` free sectors
+  findFreeSectors(count) {
+    let runStart = HEADER_SECTORS;
+    let runLength = 0;
+
+    for (let s = HEADER_SECTORS; s < this.usedSectors.length; s++) {
+      if (this.usedSectors[s]) {
+        runStart = s + 1;
+        runLength = 0;
+      } else if (++runLength === count) {
+        return runStart;
+      }
+    }
+
+    // Not enough room in the gaps - append (reusing a free tail if there is one)
+    return runLength > 0 ? runStart : this.usedSectors.length;
+  }
+
+  /**
+   * Read a chunk record
+   * @param {number} localX - Chunk X within the region (0-31)
+   * @param {number} localZ - Chunk Z within the region (0-31)
+   * @returns {Buffer|null} Chunk bytes, or null if absent
+   */
+  read(localX, localZ) {
+    const index = this.getIndex(localX, localZ);
+    const length = this.lengths[index];
+    if (length === 0) return null;
+
+    const data = Buffer.alloc(length);
+    fs.readSync(this.fd, data, 0, length, this.offsets[index] * SECTOR_SIZE);
+    return data;
+  }
+
+  /**
+   * Write a chunk record to fresh sectors, then point the header entry at it
+   * @param {number} localX - Chunk X within the region (0-31)
+   * @param {number} localZ - Chunk Z within the region (0-31)
+   * @param {Uint8Array} data - Serialized chunk
+   */
+  write(localX, localZ, data) {
+    const index = this.getIndex(localX, localZ);
+    const needed = this.sectorCount(data.length);
+    const oldOffset = this.offsets[index];
+    const oldLength = this.lengths[index];
+
+    // The old record stays marked used, so the new one never overlaps it
+    const offset = this.findFreeSectors(needed);
+
+    // Pad to a whole number of sectors so the file length stays aligned
+    const padded = Buffer.alloc(needed * SECTOR_SIZE);
+    padded.set(data);
+    fs.writeSync(this.fd, padded, 0, padded.length, offset * SECTOR_SIZE);
+    this.markSectors(offset, needed, true);
+
+    const entry = Buffer.alloc(ENTRY_SIZE);
+    entry.writeUInt32LE(offset, 0);
+    entry.writeUInt32LE(data.length, 4);
+    fs.writeSync(this.fd, entry, 0, ENTRY_SIZE, index * ENTRY_SIZE);
+    this.offsets[index] = offset;
+    this.lengths[index] = data.length;
+
+    // Only now that the header points at the new record can the old one go
+    if (oldLength > 0) {
+      this.markSectors(oldOffset, this.sectorCount(oldLength), false);
+    }
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = { RegionFile, REGION_SIZE };
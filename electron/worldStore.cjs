@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { RegionFile, REGION_SIZE } = require('./regionFile.cjs');
+
+/**
+ * RegionWorldStore - Saves worlds as region files on disk (main process)
+ *
+ *   <root>/<world id>/world.json          world metadata
+ *   <root>/<world id>/region/r.X.Z.vxr    32x32 chunks per region file
+ *
+ * Mirrors the IndexedDBWorldStore interface; the renderer reaches it
+ * through the preload bridge.
+ */
+class RegionWorldStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.regions = new Map();  // file path -> open RegionFile
+  }
+
+  // Directory for a world id, safe on every platform
+  // Ids come from the renderer, so anything that could name a directory
+  // other than a direct child of rootDir ('', '.', '..') is rejected
+  getWorldDir(worldId) {
+    if (typeof worldId !== 'string') {
+      throw new Error(`Invalid world id: ${worldId}`);
+    }
+    const safeName = encodeURIComponent(worldId)
+      .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    if (safeName === '' || safeName === '.' || safeName === '..') {
+      throw new Error(`Invalid world id: "${worldId}"`);
+    }
+
+    const rootDir = path.resolve(this.rootDir);
+    const worldDir = path.resolve(rootDir, safeName);
+    if (path.dirname(worldDir) !== rootDir) {
+      throw new Error(`Invalid world id: "${worldId}"`);
+    }
+    return worldDir;
+  }
+
+  // Get (and open on first use) the region file holding a chunk
+  getRegion(worldId, chunkX, chunkZ, create) {
+    const regionX = Math.floor(chunkX / REGION_SIZE);
+    const regionZ = Math.floor(chunkZ / REGION_SIZE);
+    const regionDir = path.join(this.getWorldDir(worldId), 'region');
+    const filePath = path.join(regionDir, `r.${regionX}.${regionZ}.vxr`);
+
+    let region = this.regions.get(filePath);
+    if (!region) {
+      if (!create && !fs.existsSync(filePath)) return null;
+
+      fs.mkdirSync(regionDir, { recursive: true });
+      region = new RegionFile(filePath);
+      region.open();
+      this.regions.set(filePath, region);
+    }
+
+    return {
+      region,
+      localX: chunkX - regionX * REGION_SIZE,
+      localZ: chunkZ - regionZ * REGION_SIZE,
+    };
+  }
+
+  listWorlds() {
+    if (!fs.existsSync(this.rootDir)) return [];
+
+    const worlds = [];
+    for (const entry of fs.readdirSync(this.rootDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const metaPath = path.join(this.rootDir, entry.name, 'world.json');
+      if (!fs.existsSync(metaPath)) continue;
+
+      try {
+        worlds.push(JSON.parse(fs.readFileSync(metaPath, 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable world metadata ${metaPath}:`, error);
+      }
+    }
+    return worlds;
+  }
+
+  loadWorld(worldId) {
+    const metaPath = path.join(this.getWorldDir(worldId), 'world.json');
+    if (!fs.existsSync(metaPath)) return null;
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  }
+
+  saveWorld(world) {
+    if (!world || typeof world !== 'object') {
+      throw new Error('Invalid world metadata');
+    }
+    const worldDir = this.getWorldDir(world.id);
+    fs.mkdirSync(worldDir, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves half a file
+    const metaPath = path.join(worldDir, 'world.json');
+    fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(world, null, 2));
+    fs.renameSync(`${metaPath}.tmp`, metaPath);
+  }
+
+  loadChunk(worldId, chunkX, chunkZ) {
+    const location = this.getRegion(worldId, chunkX, chunkZ, false);
+    if (!location) return null;
+
+    const data = location.region.read(location.localX, location.localZ);
+    return data ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : null;
+  }
+
+  saveChunks(worldId, records) {
+    for (const { x, z, data } of records) {
+      const { region, localX, localZ } = this.getRegion(worldId, x, z, true);
+      region.write(localX, localZ, data);
+    }
+  }
+
+  deleteWorld(worldId) {
+    const worldDir = this.getWorldDir(worldId);
+    this.closeWorld(worldId);
+    fs.rmSync(worldDir, { recursive: true, force: true });
+  }
+
+  // Close open region files for one world
+  closeWorld(worldId) {
+    const worldDir = this.getWorldDir(worldId);
+    for (const [filePath, region] of this.regions) {
+      if (filePath.startsWith(worldDir + path.sep)) {
+        region.close();
+        this.regions.delete(filePath);
+      }
+    }
+  }
+
+  // Close every open region file
+  close() {
+    for (const region of this.regions.values()) {
+      region.close();
+    }
+    this.regions.clear();
+  }
+}
+
+/**
+ * Expose a RegionWorldStore to renderers over IPC
+ * Channel names must match electron/preload.cjs
+ * @param {Electron.IpcMain} ipcMain - Main process IPC
+ * @param {RegionWorldStore} store - Store to expose
+ */
+function registerStorageHandlers(ipcMain, store) {
+  ipcMain.handle('storage:listWorlds', () => store.listWorlds());
+  ipcMain.handle('storage:loadWorld', (event, worldId) => store.loadWorld(worldId));
+  ipcMain.handle('storage:saveWorld', (event, world) => store.saveWorld(world));
+  ipcMain.handle('storage:loadChunk', (event, worldId, chunkX, chunkZ) =>
+    store.loadChunk(worldId, chunkX, chunkZ));
+  ipcMain.handle('storage:saveChunks', (event, worldId, records) =>
+    store.saveChunks(worldId, records));
+  ipcMain.handle('storage:deleteWorld', (event, worldId) => store.deleteWorld(worldId));
+  ipcMain.handle('storage:closeWorld', (event, worldId) => store.closeWorld(worldId));
+}
+
+module.exports = { RegionWorldStore, registerStorageHandlers };
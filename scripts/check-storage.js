@@ -0,0 +1,514 @@
+/**
+ * check-storage.js - Save format regression checks
+ * Round-trips chunks and world metadata through the serializer and storage
+ * layers and checks that what comes back matches what went in. Each check
+ * is independent; failures are listed by name.
+ *
+ *   npm run check:storage
+ *
+ * Modules are loaded through Vite so import.meta.glob (block data) works as
+ * it does in the game.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const require = createRequire(import.meta.url);
+
+const checks = [];
+
+// Register a check; fn receives { load }, which imports a module through Vite
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+// Backend that keeps worlds and chunk records in memory
+class MemoryBackend {
+  constructor() {
+    this.worlds = new Map();
+    this.chunks = new Map();
+  }
+
+  async open() {}
+
+  async listWorlds() {
+    return [...this.worlds.values()].map(world => structuredClone(world));
+  }
+
+  async loadWorld(worldId) {
+    const world = this.worlds.get(worldId);
+    return world ? structuredClone(world) : null;
+  }
+
+  async saveWorld(world) {
+    this.worlds.set(world.id, structuredClone(world));
+  }
+
+  async loadChunk(worldId, chunkX, chunkZ) {
+    return this.chunks.get(`${worldId}/${chunkX},${chunkZ}`) || null;
+  }
+
+  async saveChunks(worldId, records) {
+    for (const { x, z, data } of records) {
+      this.chunks.set(`${worldId}/${x},${z}`, data.slice());
+    }
+  }
+
+  close() {}
+}
+
+// Run fn with a fresh temporary directory, removed afterwards
+async function withTempDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'voxel-check-'));
+  try {
+    return await fn(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Fill a chunk with a repeatable mix of blocks, water and light
+function fillChunk(chunk, BlockTypes) {
+  const blocks = [BlockTypes.STONE, BlockTypes.DIRT, BlockTypes.GRASS, BlockTypes.SAND];
+  for (let y = 0; y < 40; y++) {
+    for (let z = 0; z < chunk.size; z++) {
+      for (let x = 0; x < chunk.size; x++) {
+        chunk.setBlock(x, y, z, blocks[(x * 7 + y * 3 + z) % blocks.length]);
+      }
+    }
+  }
+  for (let x = 0; x < 4; x++) {
+    chunk.setBlock(x, 40, 0, BlockTypes.WATER);
+    chunk.setWaterLevel(x, 40, 0, 8 - x);
+  }
+  for (let y = 0; y < 48; y++) {
+    for (let z = 0; z < chunk.size; z++) {
+      for (let x = 0; x < chunk.size; x++) {
+        chunk.setLight(x, y, z, ((x + y + z) * 2311) & 0xFFFF);
+      }
+    }
+  }
+}
+
+// Assert that two chunks hold the same blocks, water levels and light
+function assertSameChunk(actual, expected) {
+  assert.equal(actual.x, expected.x);
+  assert.equal(actual.z, expected.z);
+  for (let y = 0; y < expected.height; y++) {
+    for (let z = 0; z < expected.size; z++) {
+      for (let x = 0; x < expected.size; x++) {
+        const at = `${x},${y},${z}`;
+        assert.equal(actual.getBlock(x, y, z), expected.getBlock(x, y, z), `block at ${at}`);
+        assert.equal(actual.getWaterLevel(x, y, z), expected.getWaterLevel(x, y, z), `water at ${at}`);
+        assert.equal(actual.getLight(x, y, z), expected.getLight(x, y, z), `light at ${at}`);
+      }
+    }
+  }
+}
+
+check('serializer round-trips blocks, water and light', async ({ load }) => {
+  const { Chunk } = await load('/src/core/Chunk.js');
+  const { BlockTypes } = await load('/src/config.js');
+  const { serializeChunk, deserializeChunk } = await load('/src/storage/ChunkSerializer.js');
+
+  const chunk = new Chunk(-3, 7);
+  fillChunk(chunk, BlockTypes);
+  const restored = deserializeChunk(serializeChunk(chunk));
+  assertSameChunk(restored, chunk);
+  assert.equal(restored.modified, false);
+});
+
+check('serializer rejects data that is not a chunk record', async ({ load }) => {
+  const { deserializeChunk } = await load('/src/storage/ChunkSerializer.js');
+  assert.throws(() => deserializeChunk(new Uint8Array([1, 2, 3, 4, 5])), /Not a chunk record/);
+});
+
+/**
+ * Hand-write a chunk record with the version 1 to 4 header, then body(writer)
+ * @param {Function} ByteWriter - ByteWriter class
+ * @param {number} version - Format version to claim
+ * @param {number} height - Saved chunk height
+ * @param {Function} body - Writes everything after the header
+ * @returns {Uint8Array} Record bytes
+ */
+function writeOldRecord(ByteWriter, version, height, body) {
+  const writer = new ByteWriter();
+  writer.writeUint32(0x48435856); // 'VXCH'
+  writer.writeUint8(version);
+  writer.writeUint8(0);            // Chunk-wide flags (versions 1 to 4)
+  writer.writeInt32(5);
+  writer.writeInt32(-6);
+  writer.writeUint16(16);
+  writer.writeUint16(height);
+  body(writer);
+  return writer.toBytes();
+}
+
+check('serializer keeps colored light and writes the current version', async ({ load }) => {
+  const { Chunk } = await load('/src/core/Chunk.js');
+  const { LightingSystem } = await load('/src/core/LightingSystem.js');
+  const { serializeChunk, deserializeChunk, CHUNK_FORMAT_VERSION } = await load('/src/storage/ChunkSerializer.js');
+
+  const lighting = new LightingSystem();
+  const chunk = new Chunk(0, 0);
+  lighting.setLightAt(chunk, 3, 70, 4, 9, 14, 6, 1);
+  const bytes = serializeChunk(chunk);
+  assert.equal(bytes[4], CHUNK_FORMAT_VERSION);
+
+  const light = lighting.getLightAt(deserializeChunk(bytes), 3, 70, 4);
+  assert.deepEqual(light, { skylight: 9, blocklight: 14, red: 14, green: 6, blue: 1 });
+});
+
+check('serializer reads version 4 records with their flags byte', async ({ load }) => {
+  const { Chunk } = await load('/src/core/Chunk.js');
+  const { BlockTypes } = await load('/src/config.js');
+  const { serializeChunk, deserializeChunk } = await load('/src/storage/ChunkSerializer.js');
+
+  // Version 4 is version 5 with the (unused) flags byte after the version
+  const chunk = new Chunk(-3, 7);
+  fillChunk(chunk, BlockTypes);
+  const current = serializeChunk(chunk);
+  const old = new Uint8Array(current.length + 1);
+  old.set(current.subarray(0, 5));
+  old[4] = 4;
+  old.set(current.subarray(5), 6);
+  assertSameChunk(deserializeChunk(old), chunk);
+});
+
+check('serializer reads version 3 light as white block light', async ({ load }) => {
+  const { BlockTypes } = await load('/src/config.js');
+  const { ByteWriter } = await load('/src/storage/ByteBuffer.js');
+  const { deserializeChunk } = await load('/src/storage/ChunkSerializer.js');
+
+  const volume = 16 * 16 * 16;
+  const bytes = writeOldRecord(ByteWriter, 3, 256, (writer) => {
+    writer.writeUint8(16); // Section height
+    writer.writeUint8(16); // Section count
+    writer.writeUint8(1 | 4); // Bottom section: blocks and light
+    writer.writeVarUint(1);
+    writer.writeVarUint(BlockTypes.STONE);
+    writer.writeVarUint(volume);
+    writer.writeVarUint(0);
+    writer.writeVarUint(volume);
+    writer.writeVarUint((12 << 4) | 9); // Skylight 12, block light 9
+    for (let sectionY = 1; sectionY < 16; sectionY++) writer.writeUint8(0);
+  });
+
+  const chunk = deserializeChunk(bytes);
+  assert.equal(chunk.getBlock(15, 15, 15), BlockTypes.STONE);
+  assert.equal(chunk.getBlock(0, 16, 0), BlockTypes.AIR);
+  assert.equal(chunk.getLight(2, 3, 4), (12 << 12) | (9 << 8) | (9 << 4) | 9);
+});
+
+check('serializer reads version 1 columns and leaves them unlit', async ({ load }) => {
+  const { BlockTypes } = await load('/src/config.js');
+  const { ByteWriter } = await load('/src/storage/ByteBuffer.js');
+  const { deserializeChunk } = await load('/src/storage/ChunkSerializer.js');
+
+  // A 64-high chunk of raw block id runs: stone below dirt
+  const layer = 16 * 16;
+  const bytes = writeOldRecord(ByteWriter, 1, 64, (writer) => {
+    writer.writeVarUint(layer * 60);
+    writer.writeVarUint(BlockTypes.STONE);
+    writer.writeVarUint(layer * 4);
+    writer.writeVarUint(BlockTypes.DIRT);
+  });
+
+  const chunk = deserializeChunk(bytes);
+  assert.equal(chunk.x, 5);
+  assert.equal(chunk.z, -6);
+  assert.equal(chunk.getBlock(7, 59, 7), BlockTypes.STONE);
+  assert.equal(chunk.getBlock(7, 63, 7), BlockTypes.DIRT);
+  assert.equal(chunk.getBlock(7, 64, 7), BlockTypes.AIR);
+  // No light is loaded, so ChunkManager relights the chunk
+  assert.equal(chunk.sections.some(section => section && section.lightData), false);
+});
+
+check('serializer rejects unknown format versions', async ({ load }) => {
+  const { ByteWriter } = await load('/src/storage/ByteBuffer.js');
+  const { deserializeChunk, CHUNK_FORMAT_VERSION } = await load('/src/storage/ChunkSerializer.js');
+  for (const version of [0, CHUNK_FORMAT_VERSION + 1]) {
+    const bytes = writeOldRecord(ByteWriter, version, 256, () => {});
+    assert.throws(() => deserializeChunk(bytes), new RegExp(`Unsupported chunk format version ${version}`));
+  }
+});
+
+check('world storage saves modified chunks and loads them back', async ({ load }) => {
+  const { Chunk } = await load('/src/core/Chunk.js');
+  const { BlockTypes } = await load('/src/config.js');
+  const { WorldStorage } = await load('/src/storage/WorldStorage.js');
+
+  const backend = new MemoryBackend();
+  const storage = await WorldStorage.open(backend, { name: 'Test', seed: 'checks' });
+  assert.equal(storage.world.id, 'Test:checks');
+
+  const edited = new Chunk(1, 2);
+  fillChunk(edited, BlockTypes);
+  edited.modified = true;
+  const untouched = new Chunk(2, 2);
+  untouched.modified = false;
+
+  assert.equal(await storage.saveChunks([edited, untouched]), 1);
+  assert.equal(edited.modified, false);
+  assert.equal(await storage.loadChunk(2, 2), null);
+
+  // A second session sees the same world and chunk
+  const reopened = await WorldStorage.open(backend, { name: 'Test', seed: 'checks' });
+  assertSameChunk(await reopened.loadChunk(1, 2), edited);
+});
+
+check('palette encoding round-trips every palette size', async ({ load }) => {
+  const { encodePalette, decodePalette } = await load('/src/core/BlockPalette.js');
+
+  // 0, 1, 2, 3 and 5 bits per entry; 3 and 5 leave unused bits in each word
+  for (const [ids, bits] of [[1, 0], [2, 1], [3, 2], [5, 3], [17, 5]]) {
+    const blocks = new Uint16Array(4096).map((_, i) => 100 + (i * 31) % ids);
+    const encoded = encodePalette(blocks);
+    assert.equal(encoded.palette.length, ids);
+    assert.equal(encoded.bitsPerEntry, bits);
+    assert.deepEqual(decodePalette(encoded), blocks, `${ids} ids`);
+  }
+
+  assert.throws(() => decodePalette(encodePalette(new Uint16Array(8)), new Uint16Array(4)), /holds 8 blocks/);
+});
+
+check('chunks round-trip through palette sections and clones', async ({ load }) => {
+  const { Chunk } = await load('/src/core/Chunk.js');
+  const { BlockTypes } = await load('/src/config.js');
+
+  const chunk = new Chunk(4, -4);
+  fillChunk(chunk, BlockTypes);
+  chunk.setBlock(0, chunk.height - 1, 0, BlockTypes.GLASS); // Lone block in the top section
+
+  const encoded = chunk.toPalette();
+  assert.equal(encoded.length, chunk.sectionCount);
+  assert.equal(encoded[encoded.length - 2], null, 'empty section was encoded');
+  const restored = Chunk.fromPalette(chunk.x, chunk.z, encoded);
+  for (let y = 0; y < chunk.height; y++) {
+    for (let z = 0; z < chunk.size; z++) {
+      for (let x = 0; x < chunk.size; x++) {
+        assert.equal(restored.getBlock(x, y, z), chunk.getBlock(x, y, z), `block at ${x},${y},${z}`);
+      }
+    }
+  }
+
+  // Clones share no block data with the original
+  const clone = chunk.clone();
+  clone.setBlock(1, 1, 1, BlockTypes.AIR);
+  assert.notEqual(chunk.getBlock(1, 1, 1), BlockTypes.AIR);
+  assertSameChunk(chunk.clone(), chunk);
+
+  assert.equal(chunk.getBlock(-1, 0, 0), BlockTypes.AIR);
+  assert.equal(chunk.getBlock(0, chunk.height, 0), BlockTypes.AIR);
+});
+
+// Run fn with console.warn silenced (unregistered saved blocks warn)
+async function withoutWarnings(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+check('block registry registers core first and assigns ids in load order', async ({ load }) => {
+  const { loadBlockRegistry } = await load('/src/core/Block.js');
+  const core = JSON.parse(readFileSync(join(root, 'src/data/blocks/core.json'), 'utf8'));
+  const mod = {
+    namespace: 'gems',
+    blocks: [{ id: 'ruby_ore', name: 'Ruby Ore', flags: ['solid'], hardness: 3, color: '#9B3A4A' }],
+  };
+
+  // The mod's path sorts first, but core still takes the low ids
+  const registry = loadBlockRegistry({ 'a/gems.json': mod, 'b/core.json': core });
+  assert.equal(registry.get('core:air').id, 0);
+  assert.equal(registry.get('gems:ruby_ore').id, core.blocks.length);
+  assert.equal(registry.getIds()['core:stone'], registry.get('core:stone').id);
+
+  assert.throws(() => loadBlockRegistry({ 'core.json': core, 'bad.json': { namespace: 'bad', blocks: [{ id: 'x' }] } }),
+    /bad\.json/);
+});
+
+check('block id translation maps saved ids to registry ids and back', async ({ load }) => {
+  const { blockRegistry } = await load('/src/core/Block.js');
+  const stone = blockRegistry.get('core:stone').id;
+  const dirt = blockRegistry.get('core:dirt').id;
+
+  assert.deepEqual(blockRegistry.createIdTranslation(blockRegistry.getIds()), { toRuntime: null, toSaved: null });
+
+  // Stone and dirt swapped, a removed block, and every other block missing
+  const savedIds = { 'core:air': 0, 'core:stone': dirt, 'core:dirt': stone, 'old:marble': 40 };
+  const { toRuntime, toSaved } = await withoutWarnings(() => blockRegistry.createIdTranslation(savedIds));
+  assert.equal(toRuntime[dirt], stone);
+  assert.equal(toRuntime[stone], dirt);
+  assert.equal(toSaved[stone], dirt);
+  assert.equal(toRuntime[40], 0, 'removed block should read as air');
+
+  // Missing blocks get numbers the save doesn't use yet, kept in savedIds
+  const numbers = Object.values(savedIds);
+  assert.equal(new Set(numbers).size, numbers.length);
+  assert.equal(Object.keys(savedIds).length, blockRegistry.blocks.length + 1);
+  for (const block of blockRegistry.blocks) {
+    assert.equal(toRuntime[savedIds[block.key]], block.id, block.key);
+  }
+});
+
+check('world storage translates chunks and feature writes with the saved ids', async ({ load }) => {
+  const { Chunk } = await load('/src/core/Chunk.js');
+  const { blockRegistry } = await load('/src/core/Block.js');
+  const { BlockTypes } = await load('/src/config.js');
+  const { serializeChunk, deserializeChunk } = await load('/src/storage/ChunkSerializer.js');
+  const { WorldStorage } = await load('/src/storage/WorldStorage.js');
+
+  // A world saved when stone and dirt had each other's numbers
+  const blockIds = blockRegistry.getIds();
+  [blockIds['core:stone'], blockIds['core:dirt']] = [blockIds['core:dirt'], blockIds['core:stone']];
+  const backend = new MemoryBackend();
+  await backend.saveWorld({ id: 'Old:1', name: 'Old', seed: '1', blockIds });
+  const saved = new Chunk(0, 0);
+  saved.setBlock(0, 0, 0, blockIds['core:stone']);
+  await backend.saveChunks('Old:1', [{ x: 0, z: 0, data: serializeChunk(saved) }]);
+
+  const storage = await WorldStorage.open(backend, { name: 'Old', seed: '1' });
+  const chunk = await storage.loadChunk(0, 0);
+  assert.equal(chunk.getBlock(0, 0, 0), BlockTypes.STONE);
+
+  // Saving writes the world's numbers again
+  chunk.modified = true;
+  await storage.saveChunks([chunk]);
+  const raw = deserializeChunk(await backend.loadChunk('Old:1', 0, 0));
+  assert.equal(raw.getBlock(0, 0, 0), blockIds['core:stone']);
+
+  await storage.saveFeatureWrites({ '1,0': { '0,0': [0, 64, 0, BlockTypes.STONE] } }, {});
+  assert.deepEqual((await backend.loadWorld('Old:1')).featureWrites, { '1,0': { '0,0': [0, 64, 0, blockIds['core:stone']] } });
+  assert.deepEqual(storage.getFeatureWrites(), { '1,0': { '0,0': [0, 64, 0, BlockTypes.STONE] } });
+});
+
+check('world storage reads worlds saved before block ids with the legacy numbering', async ({ load }) => {
+  const { blockRegistry } = await load('/src/core/Block.js');
+  const { WorldStorage } = await load('/src/storage/WorldStorage.js');
+
+  const backend = new MemoryBackend();
+  await backend.saveWorld({ id: 'Legacy:1', name: 'Legacy', seed: 1 });
+  const storage = await WorldStorage.open(backend, { name: 'Legacy', seed: 1 });
+  const { blockIds } = await backend.loadWorld('Legacy:1');
+
+  // The numbers blocks had before the registry, whatever order core.json uses now
+  const legacy = ['air', 'grass', 'dirt', 'stone', 'sand', 'wood', 'leaves', 'bedrock', 'water',
+    'lava', 'glass', 'coal_ore', 'iron_ore', 'gold_ore', 'diamond_ore', 'gravel', 'snow', 'ice',
+    'tall_grass', 'flower', 'chest'];
+  legacy.forEach((name, id) => assert.equal(blockIds[`core:${name}`], id, `core:${name}`));
+  assert.equal(Object.keys(blockIds).length, blockRegistry.blocks.length);
+  assert.deepEqual(storage.world.blockIds, blockIds);
+});
+
+check('region file keeps records across rewrites and reopening', () => withTempDir((dir) => {
+  const { RegionFile } = require('../electron/regionFile.cjs');
+  const filePath = join(dir, 'r.0.0.vxr');
+  const record = (length, value) => new Uint8Array(length).fill(value);
+
+  const region = new RegionFile(filePath);
+  region.open();
+  region.write(0, 0, record(5000, 1));  // Two sectors
+  region.write(31, 31, record(100, 2));
+  region.write(0, 0, record(9000, 3));  // Grows to three sectors
+  region.write(31, 31, record(50, 4));  // Shrinks
+  region.close();
+
+  const reopened = new RegionFile(filePath);
+  reopened.open();
+  assert.deepEqual(new Uint8Array(reopened.read(0, 0)), record(9000, 3));
+  assert.deepEqual(new Uint8Array(reopened.read(31, 31)), record(50, 4));
+  assert.equal(reopened.read(5, 5), null);
+  reopened.close();
+}));
+
+check('region file writes a rewritten record to other sectors before freeing the old ones', () => withTempDir((dir) => {
+  const { RegionFile } = require('../electron/regionFile.cjs');
+  const region = new RegionFile(join(dir, 'r.0.0.vxr'));
+  region.open();
+
+  region.write(1, 0, new Uint8Array(100).fill(1));
+  const first = region.offsets[1];
+  region.write(1, 0, new Uint8Array(100).fill(2));
+  const second = region.offsets[1];
+  assert.notEqual(second, first, 'rewrite overwrote the record the header still pointed at');
+  assert.equal(region.usedSectors[first], false, 'old sectors were not freed');
+
+  // The freed sectors are reused by the next write that fits
+  region.write(2, 0, new Uint8Array(100).fill(3));
+  assert.equal(region.offsets[2], first);
+  assert.deepEqual(new Uint8Array(region.read(1, 0)), new Uint8Array(100).fill(2));
+  region.close();
+}));
+
+check('region world store saves worlds and chunks on disk', () => withTempDir((dir) => {
+  const { RegionWorldStore } = require('../electron/worldStore.cjs');
+  const store = new RegionWorldStore(dir);
+  const world = { id: 'Test:checks', name: 'Test', seed: 'checks' };
+  store.saveWorld(world);
+
+  // Chunks on both sides of a region border
+  const records = [[-1, -1], [0, 0], [31, 32], [-33, 5]].map(([x, z], i) => ({
+    x, z, data: new Uint8Array(10 + i).fill(i + 1),
+  }));
+  store.saveChunks(world.id, records);
+  store.close();
+
+  const reopened = new RegionWorldStore(dir);
+  assert.deepEqual(reopened.listWorlds(), [world]);
+  assert.deepEqual(reopened.loadWorld(world.id), world);
+  for (const { x, z, data } of records) {
+    assert.deepEqual(new Uint8Array(reopened.loadChunk(world.id, x, z)), data, `chunk ${x},${z}`);
+  }
+  assert.equal(reopened.loadChunk(world.id, 100, 100), null);
+  reopened.close();
+}));
+
+check('region world store keeps world directories inside its root', () => withTempDir((dir) => {
+  const { RegionWorldStore } = require('../electron/worldStore.cjs');
+  const store = new RegionWorldStore(join(dir, 'worlds'));
+  for (const id of ['', '.', '..', null, 42]) {
+    assert.throws(() => store.getWorldDir(id), /Invalid world id/, `id ${JSON.stringify(id)}`);
+  }
+  for (const id of ['../escape', 'a/../../b', '..\\escape']) {
+    assert.equal(join(store.getWorldDir(id), '..'), join(dir, 'worlds'), `id ${id}`);
+  }
+  assert.throws(() => store.saveWorld(null), /Invalid world metadata/);
+}));
+
+const server = await createServer({
+  root,
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false, watch: null },
+  optimizeDeps: { noDiscovery: true },
+});
+
+let failed = 0;
+try {
+  const load = (path) => server.ssrLoadModule(path);
+  for (const { name, fn } of checks) {
+    try {
+      await fn({ load });
+      console.log(`ok    ${name}`);
+    } catch (error) {
+      console.error(`FAIL  ${name}\n      ${error.message.split('\n').join('\n      ')}`);
+      failed++;
+    }
+  }
+  console.log(failed > 0 ? `${failed} of ${checks.length} checks failed` : `All ${checks.length} checks passed`);
+} finally {
+  await server.close();
+}
+
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,128 @@
+/**
+ * check-worldgen.js - World generation regression check
+ * Generates a square of chunks around the origin for a fixed seed in every
+ * terrain mode and hashes each one (blocks and feature spills). Chunks are
+ * generated twice, in opposite orders with separate generators, to catch
+ * output that depends on generation order, and the hashes are compared
+ * with scripts/worldgen-hashes.json.
+ *
+ *   npm run check:worldgen            Check against the recorded hashes
+ *   npm run check:worldgen -- --update  Record new hashes after an intended change
+ *
+ * Modules are loaded through Vite so import.meta.glob (biome and structure
+ * data) works as it does in the game.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const SEED = 12345;
+const RADIUS = 3; // Chunks around the origin: (2 * RADIUS + 1)^2 per mode
+const root = fileURLToPath(new URL('..', import.meta.url));
+const hashFile = fileURLToPath(new URL('./worldgen-hashes.json', import.meta.url));
+
+// Hash a generated chunk's blocks and the feature writes it spills
+function hashChunk(chunk) {
+  const blocks = new Uint16Array(chunk.size * chunk.size * chunk.height);
+  let i = 0;
+  for (let y = 0; y < chunk.height; y++) {
+    for (let z = 0; z < chunk.size; z++) {
+      for (let x = 0; x < chunk.size; x++) {
+        blocks[i++] = chunk.getBlock(x, y, z);
+      }
+    }
+  }
+
+  return createHash('sha256')
+    .update(new Uint8Array(blocks.buffer))
+    .update(JSON.stringify(chunk.featureSpills))
+    .digest('hex');
+}
+
+// Generate every chunk in the square in the given order
+function generateAll(WorldGenerator, terrainMode, reverse) {
+  const generator = new WorldGenerator(SEED, { terrainMode });
+  const coordinates = [];
+  for (let x = -RADIUS; x <= RADIUS; x++) {
+    for (let z = -RADIUS; z <= RADIUS; z++) {
+      coordinates.push([x, z]);
+    }
+  }
+  if (reverse) coordinates.reverse();
+
+  const hashes = {};
+  for (const [x, z] of coordinates) {
+    hashes[`${x},${z}`] = hashChunk(generator.generateChunk(x, z));
+  }
+  return hashes;
+}
+
+const server = await createServer({
+  root,
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false, watch: null },
+  optimizeDeps: { noDiscovery: true },
+});
+
+let failed = false;
+try {
+  const { WorldGenerator, TERRAIN_MODES } = await server.ssrLoadModule('/src/core/WorldGenerator.js');
+  const update = process.argv.includes('--update');
+  const results = {};
+
+  for (const mode of TERRAIN_MODES) {
+    const started = Date.now();
+    const forward = generateAll(WorldGenerator, mode, false);
+    const backward = generateAll(WorldGenerator, mode, true);
+
+    for (const [key, hash] of Object.entries(forward)) {
+      if (backward[key] !== hash) {
+        console.error(`${mode} chunk ${key} differs between generation orders`);
+        failed = true;
+      }
+    }
+    results[mode] = Object.fromEntries(Object.keys(forward).sort().map(key => [key, forward[key]]));
+    console.log(`${mode}: ${Object.keys(forward).length} chunks generated twice in ${Date.now() - started} ms`);
+  }
+
+  const recorded = { seed: SEED, radius: RADIUS, chunks: results };
+  if (update) {
+    if (failed) throw new Error('Not recording hashes of order-dependent output');
+    await writeFile(hashFile, JSON.stringify(recorded, null, 2) + '\n');
+    console.log(`Recorded hashes in ${hashFile}`);
+  } else {
+    let expected = null;
+    try {
+      expected = JSON.parse(await readFile(hashFile, 'utf8'));
+    } catch {
+      throw new Error(`No recorded hashes in ${hashFile}; run with --update to record them`);
+    }
+
+    let changed = 0;
+    for (const [mode, chunks] of Object.entries(results)) {
+      for (const [key, hash] of Object.entries(chunks)) {
+        if (expected.chunks?.[mode]?.[key] !== hash) {
+          console.error(`${mode} chunk ${key} changed`);
+          changed++;
+        }
+      }
+    }
+    if (changed > 0) {
+      console.error(`${changed} chunks differ from the recorded hashes (run with --update if the change is intended)`);
+      failed = true;
+    } else {
+      console.log('All chunks match the recorded hashes');
+    }
+  }
+} catch (error) {
+  console.error(error.message);
+  failed = true;
+} finally {
+  await server.close();
+}
+
+process.exitCode = failed ? 1 : 0;
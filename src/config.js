@@ -1,31 +1,136 @@
 // World Configuration
-import { Blocks, BlocksById, getBlockById } from './core/Block.js';
+import { Blocks, BlocksById, getBlockById, getBlock } from './core/Block.js';
 
 export const WorldConfig = {
-  // World Seed
+  // World Seed for new worlds: text or a number (see src/noise/WorldSeed.js).
+  // ?seed=<text> in the URL, or --seed=<text> for the desktop app, picks one
   seed: Math.floor(Math.random() * 1000000),
   
   // Chunk Settings
   chunkSize: 16, // 16x16 blocks
-  chunkHeight: 64, // 64 blocks tall
+  chunkHeight: 256, // 256 blocks tall
+  sectionHeight: 16, // Chunks are split into 16-high sections, allocated when non-empty
   renderDistance: 4, // Number of chunks to render around player
   
+  // Background Generation
+  generation: {
+    workers: 0, // Generation workers (0 = one per CPU core, minus one, up to 4)
+    meshWorkers: 0, // Meshing workers (0 = one per CPU core, minus one, up to 2)
+    frameBudget: 4, // Milliseconds per frame spent adding finished chunks to the world
+  },
+  
+  // Chunk Mesh Shading
+  rendering: {
+    ambientOcclusion: true, // Darken block corners next to other blocks
+    smoothLighting: true, // Bake sky/block light into meshes when a LightingSystem is attached
+  },
+  
+  // Day-Night Cycle
+  time: {
+    dayLength: 600, // Seconds per full day
+    startTime: 0.3, // Time of day at startup (0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset)
+    paused: false, // Start with the clock stopped
+    nightSkylight: 0.25, // Skylight brightness at night (1 = same as day)
+  },
+  
   // Terrain Generation
   terrain: {
-    scale: 0.01, // Noise scale (smaller = more zoomed out)
-    octaves: 4, // Number of noise layers
-    persistence: 0.5,
-    lacunarity: 2.0,
+    // Biome heights come from the noise graph in src/data/noise/terrain.json
+    scale: 0.01, // Noise scale for biomes without a terrainScale (smaller = more zoomed out)
     heightMultiplier: 32, // Max terrain height variation
-    baseHeight: 32, // Sea level
+    baseHeight: 64, // Height that biome heightOffsets are relative to
+    // 'heightmap' (one surface per column) or 'density' (3D noise around the
+    // surface: cliffs, overhangs and arches). Applies to new worlds; saved
+    // worlds keep the mode they were created with
+    mode: 'heightmap',
+    density: {
+      scale: 0.04, // 3D noise scale
+      octaves: 3,
+      range: 24, // Blocks above and below the blended height that 3D noise can reshape (squash 1)
+      sampleStep: 1, // Spacing of the 3D noise lattice, interpolated between (1 = every block; larger is faster but smoother)
+    },
+  },
+  
+  // Biome Selection
+  biomes: {
+    climateScale: 0.002, // Temperature/humidity noise scale (smaller = larger biomes)
+    continentalScale: 0.0012, // Land/ocean noise scale
+    climateContrast: 2.0, // Stretches climate noise so extreme biomes appear
+    oceanLevel: -0.25, // Continentalness below this is ocean
+    beachWidth: 0.06, // Continentalness band above oceanLevel that is beach
+    mountainLevel: 0.55, // Continentalness above this is mountains
+    blendRadius: 16, // Blocks over which biome terrain heights blend (0 = hard borders)
+    blendStep: 4, // Spacing of the biome samples that are blended
+  },
+  
+  // Water (oceans, rivers and lakes)
+  water: {
+    seaLevel: 58, // Open space up to this Y fills with water
+    bankHeight: 2, // Ground up to this many blocks above sea level is sand
+    gravelThreshold: 0.35, // Higher = less gravel on river, lake and sea beds
+    rivers: {
+      enabled: true,
+      scale: 0.002, // River noise scale (smaller = longer, straighter rivers)
+      valleyWidth: 0.05, // Noise band around each river that is lowered
+      channelWidth: 0.3, // Fraction of the valley that is under water
+      depth: 4, // Channel depth below sea level at its center
+    },
+    lakes: {
+      enabled: true,
+      chance: 0.04, // Chance a chunk gets a lake (where the ground can hold one)
+      size: 14, // Lake box width in blocks
+      height: 8, // Lake box height; the lower half is water
+    },
+  },
+  
+  // Trees and Plants (densities are per biome, see src/data/biomes)
+  features: {
+    trees: true,
+    decorations: true, // Tall grass and flowers
+    treeSpacing: 4, // Trees are placed at most once per treeSpacing x treeSpacing cell
+  },
+  
+  // Structures (templates and placement rules are in src/data/structures)
+  structures: {
+    enabled: true,
+    foundationDepth: 6, // Most blocks of foundation filled under a surface structure
   },
   
   // Cave Generation
   caves: {
+    // Noise caves (open caverns where 3D noise exceeds the threshold)
     scale: 0.05,
-    threshold: 0.3, // Higher = fewer caves
+    threshold: 0.3, // Higher = fewer caves (about 0.25 keeps cave volume with sampleStep 4)
     minHeight: 5,
     maxHeight: 50,
+    sampleStep: 1, // Spacing of the cave noise lattice, interpolated between (1 = every block; larger is faster but smoother)
+    
+    lavaLevel: 10, // Carved space at or below this Y fills with lava
+    
+    // Worm caves - winding tunnels from seeded random walks
+    worms: {
+      enabled: true,
+      chance: 0.25, // Chance a chunk starts a cave system
+      maxPerSystem: 3, // Tunnels per system
+      minLength: 40, // Steps (about one block each)
+      maxLength: 110,
+      minRadius: 1.5, // Tunnels widen towards their middle
+      maxRadius: 3,
+      minHeight: 8, // Start height range
+      maxHeight: 60,
+    },
+    
+    // Ravines - long, narrow and deep cuts
+    ravines: {
+      enabled: true,
+      chance: 0.02, // Chance a chunk starts a ravine
+      minLength: 60,
+      maxLength: 110,
+      maxWidth: 3, // Half-width at the middle
+      depth: 3, // Vertical radius as a multiple of the width
+      minHeight: 25, // Center height range
+      maxHeight: 50,
+    },
   },
   
   // Ore Generation
@@ -64,32 +169,22 @@ export const WorldConfig = {
     supportDistance: 3, // Blocks that can be unsupported
     updateRate: 1/60, // Physics tick rate
   },
+  
+  // World Saves
+  storage: {
+    worldName: 'New World', // Saves are keyed by name + seed
+    autosaveInterval: 30, // Seconds between saves of modified chunks
+  },
 };
 
 // Export new Block system
-export { Blocks, BlocksById, getBlockById };
+export { Blocks, BlocksById, getBlockById, getBlock };
 
-// Legacy BlockTypes for backward compatibility
-export const BlockTypes = {
-  AIR: Blocks.AIR.id,
-  GRASS: Blocks.GRASS.id,
-  DIRT: Blocks.DIRT.id,
-  STONE: Blocks.STONE.id,
-  SAND: Blocks.SAND.id,
-  WOOD: Blocks.WOOD.id,
-  LEAVES: Blocks.LEAVES.id,
-  BEDROCK: Blocks.BEDROCK.id,
-  WATER: Blocks.WATER.id,
-  LAVA: Blocks.LAVA.id,
-  GLASS: Blocks.GLASS.id,
-  COAL_ORE: Blocks.COAL_ORE.id,
-  IRON_ORE: Blocks.IRON_ORE.id,
-  GOLD_ORE: Blocks.GOLD_ORE.id,
-  DIAMOND_ORE: Blocks.DIAMOND_ORE.id,
-  GRAVEL: Blocks.GRAVEL.id,
-  SNOW: Blocks.SNOW.id,
-  ICE: Blocks.ICE.id,
-};
+// Legacy BlockTypes for backward compatibility: numeric IDs of the core
+// blocks by upper-case name (BlockTypes.STONE is core:stone)
+export const BlockTypes = Object.fromEntries(
+  Object.entries(Blocks).map(([name, block]) => [name, block.id])
+);
 
 // Helper function to get block properties
 export function getBlockProperties(blockId) {
@@ -1,209 +1,372 @@
 /**
  * Biome.js - Biome system for varied terrain generation
- * Defines different biomes with unique characteristics
+ * Biomes are defined in JSON files under src/data/biomes (one per biome),
+ * checked against BIOME_SCHEMA when the module loads. Every generator reads
+ * the same normalized fields from Biome instances
  */
 
-import { Blocks } from './Block.js';
+import { getBlock } from './Block.js';
+import { WorldConfig } from '../config.js';
+import { SimplexNoise } from '../noise/SimplexNoise.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+
+/**
+ * Fields of a biome definition
+ * type: 'string', 'integer', 'number', 'boolean', 'block' (a namespaced block
+ * id such as "core:grass", stored as the numeric id) or 'enum' (one of values).
+ * Fields without a default are required; unknown fields are rejected so
+ * typos don't silently fall back to defaults
+ */
+export const BIOME_SCHEMA = {
+  key: { type: 'string' },                  // Biomes lookup key, e.g. "PLAINS"
+  id: { type: 'integer', min: 0 },          // Unique numeric id
+  name: { type: 'string' },                 // Display name
+  
+  // Where the biome can appear: by continentalness, then nearest climate
+  zone: { type: 'enum', values: ['ocean', 'beach', 'land', 'mountains'], default: 'land' },
+  temperature: { type: 'number', min: 0, max: 1, default: 0.5 },
+  humidity: { type: 'number', min: 0, max: 1, default: 0.5 },
+  
+  // Terrain shape (heightOffset is relative to WorldConfig.terrain.baseHeight)
+  heightOffset: { type: 'number', min: -128, max: 128, default: 0 },
+  heightVariation: { type: 'number', min: 0, max: 128, default: 16 },
+  terrainScale: { type: 'number', min: 0, max: 1, default: null }, // null = WorldConfig.terrain.scale
+  
+  // Density terrain mode only: squash > 1 flattens the 3D noise band around
+  // the surface, < 1 widens it (taller cliffs and overhangs); stretch > 1
+  // pulls the 3D noise out vertically
+  squash: { type: 'number', min: 0.1, max: 10, default: 1 },
+  stretch: { type: 'number', min: 0.1, max: 10, default: 1 },
+  
+  // Block types
+  surfaceBlock: { type: 'block', default: 'core:grass' },
+  subsurfaceBlock: { type: 'block', default: 'core:dirt' },
+  stoneBlock: { type: 'block', default: 'core:stone' },
+  beachBlock: { type: 'block', default: 'core:sand' },
+  
+  // Features
+  canHaveTrees: { type: 'boolean', default: true },
+  treeType: { type: 'enum', values: ['oak', 'pine', 'birch'], default: 'oak' },
+  treeDensity: { type: 'number', min: 0, max: 1, default: 0.01 },
+  grassDensity: { type: 'number', min: 0, max: 1, default: 0.3 },
+  flowerDensity: { type: 'number', min: 0, max: 1, default: 0.05 },
+  hasOres: { type: 'boolean', default: true },
+  hasCaves: { type: 'boolean', default: true },
+  hasWater: { type: 'boolean', default: true },
+};
+
+/**
+ * Check a biome definition against BIOME_SCHEMA and fill in defaults
+ * @param {object} definition - Parsed biome JSON
+ * @param {string} source - Where it came from, for error messages
+ * @returns {object} Normalized properties (block fields as block ids)
+ */
+export function validateBiomeDefinition(definition, source = 'biome definition') {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: expected an object`);
+  }
+  
+  for (const field of Object.keys(definition)) {
+    if (!(field in BIOME_SCHEMA)) {
+      throw new Error(`${source}: unknown field "${field}"`);
+    }
+  }
+  
+  const properties = {};
+  for (const [field, rule] of Object.entries(BIOME_SCHEMA)) {
+    let value = definition[field];
+    if (value === undefined) {
+      if (!('default' in rule)) {
+        throw new Error(`${source}: missing required field "${field}"`);
+      }
+      value = rule.default;
+    }
+    
+    if (value !== null) {
+      switch (rule.type) {
+        case 'string':
+          if (typeof value !== 'string' || value === '') {
+            throw new Error(`${source}: "${field}" must be a non-empty string`);
+          }
+          break;
+        case 'boolean':
+          if (typeof value !== 'boolean') {
+            throw new Error(`${source}: "${field}" must be true or false`);
+          }
+          break;
+        case 'integer':
+        case 'number':
+          if (typeof value !== 'number' || !Number.isFinite(value) ||
+              (rule.type === 'integer' && !Number.isInteger(value))) {
+            throw new Error(`${source}: "${field}" must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+          }
+          if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+            throw new Error(`${source}: "${field}" must be between ${rule.min ?? '-Infinity'} and ${rule.max ?? 'Infinity'}`);
+          }
+          break;
+        case 'enum':
+          if (!rule.values.includes(value)) {
+            throw new Error(`${source}: "${field}" must be one of ${rule.values.join(', ')}`);
+          }
+          break;
+        case 'block': {
+          const block = typeof value === 'string' ? getBlock(value) : undefined;
+          if (!block) {
+            throw new Error(`${source}: "${field}" names unknown block "${value}"`);
+          }
+          value = block.id;
+          break;
+        }
+      }
+    }
+    properties[field] = value;
+  }
+  
+  return properties;
+}
 
 /**
  * Biome class - Represents a biome type
+ * Properties are the normalized BIOME_SCHEMA fields
  */
 export class Biome {
   constructor(id, name, properties = {}) {
     this.id = id;
     this.name = name;
+    this.key = properties.key;
+    this.zone = properties.zone;
     
     // Terrain properties
-    this.baseHeight = properties.baseHeight || 64;
-    this.heightVariation = properties.heightVariation || 16;
-    this.terrainScale = properties.terrainScale || 0.01;
+    this.heightOffset = properties.heightOffset; // Relative to sea level
+    this.heightVariation = properties.heightVariation;
+    this.terrainScale = properties.terrainScale ?? WorldConfig.terrain.scale; // Height noise frequency
+    this.squash = properties.squash; // Density mode: height gradient strength
+    this.stretch = properties.stretch; // Density mode: vertical stretch of 3D noise
     
-    // Block types
-    this.topBlock = properties.topBlock || Blocks.GRASS;
-    this.fillBlock = properties.fillBlock || Blocks.DIRT;
-    this.stoneBlock = properties.stoneBlock || Blocks.STONE;
-    this.beachBlock = properties.beachBlock || Blocks.SAND;
+    // Block types (block ids)
+    this.surfaceBlock = properties.surfaceBlock;
+    this.subsurfaceBlock = properties.subsurfaceBlock;
+    this.stoneBlock = properties.stoneBlock;
+    this.beachBlock = properties.beachBlock;
     
     // Temperature and humidity
-    this.temperature = properties.temperature || 0.5; // 0-1
-    this.humidity = properties.humidity || 0.5; // 0-1
+    this.temperature = properties.temperature; // 0-1
+    this.humidity = properties.humidity; // 0-1
     
     // Features
-    this.hasTree = properties.hasTree !== false;
-    this.treeDensity = properties.treeDensity || 0.01;
-    this.grassDensity = properties.grassDensity || 0.3;
-    this.flowerDensity = properties.flowerDensity || 0.05;
+    this.canHaveTrees = properties.canHaveTrees;
+    this.treeType = properties.treeType;
+    this.treeDensity = properties.treeDensity;
+    this.grassDensity = properties.grassDensity;
+    this.flowerDensity = properties.flowerDensity;
     
     // Special features
-    this.hasOres = properties.hasOres !== false;
-    this.hasCaves = properties.hasCaves !== false;
-    this.hasWater = properties.hasWater !== false;
+    this.hasOres = properties.hasOres;
+    this.hasCaves = properties.hasCaves;
+    this.hasWater = properties.hasWater;
+  }
+  
+  /**
+   * Create a biome from a JSON definition (see BIOME_SCHEMA)
+   * @param {object} definition - Parsed biome JSON
+   * @param {string} source - Where it came from, for error messages
+   * @returns {Biome} The biome
+   */
+  static fromDefinition(definition, source) {
+    const properties = validateBiomeDefinition(definition, source);
+    return new Biome(properties.id, properties.name, properties);
   }
 }
 
-// Define all biome types
-export const Biomes = {
-  PLAINS: new Biome(0, 'Plains', {
-    baseHeight: 64,
-    heightVariation: 8,
-    terrainScale: 0.008,
-    topBlock: Blocks.GRASS,
-    fillBlock: Blocks.DIRT,
-    temperature: 0.6,
-    humidity: 0.5,
-    treeDensity: 0.005,
-    grassDensity: 0.6,
-    flowerDensity: 0.1,
-  }),
-  
-  FOREST: new Biome(1, 'Forest', {
-    baseHeight: 68,
-    heightVariation: 12,
-    terrainScale: 0.01,
-    topBlock: Blocks.GRASS,
-    fillBlock: Blocks.DIRT,
-    temperature: 0.5,
-    humidity: 0.7,
-    treeDensity: 0.05,
-    grassDensity: 0.8,
-    flowerDensity: 0.05,
-  }),
-  
-  DESERT: new Biome(2, 'Desert', {
-    baseHeight: 62,
-    heightVariation: 16,
-    terrainScale: 0.012,
-    topBlock: Blocks.SAND,
-    fillBlock: Blocks.SAND,
-    stoneBlock: Blocks.STONE,
-    temperature: 0.9,
-    humidity: 0.1,
-    hasTree: false,
-    treeDensity: 0.0,
-    grassDensity: 0.0,
-    flowerDensity: 0.0,
-  }),
-  
-  MOUNTAINS: new Biome(3, 'Mountains', {
-    baseHeight: 80,
-    heightVariation: 40,
-    terrainScale: 0.015,
-    topBlock: Blocks.STONE,
-    fillBlock: Blocks.STONE,
-    temperature: 0.2,
-    humidity: 0.4,
-    treeDensity: 0.002,
-    grassDensity: 0.1,
-    flowerDensity: 0.02,
-  }),
-  
-  SNOW_TUNDRA: new Biome(4, 'Snow Tundra', {
-    baseHeight: 64,
-    heightVariation: 6,
-    terrainScale: 0.008,
-    topBlock: Blocks.SNOW,
-    fillBlock: Blocks.DIRT,
-    temperature: 0.0,
-    humidity: 0.3,
-    hasTree: false,
-    treeDensity: 0.0,
-    grassDensity: 0.05,
-    flowerDensity: 0.0,
-  }),
-  
-  TAIGA: new Biome(5, 'Taiga', {
-    baseHeight: 66,
-    heightVariation: 10,
-    terrainScale: 0.009,
-    topBlock: Blocks.GRASS,
-    fillBlock: Blocks.DIRT,
-    temperature: 0.1,
-    humidity: 0.6,
-    treeDensity: 0.03,
-    grassDensity: 0.2,
-    flowerDensity: 0.01,
-  }),
-  
-  BEACH: new Biome(6, 'Beach', {
-    baseHeight: 58,
-    heightVariation: 2,
-    terrainScale: 0.006,
-    topBlock: Blocks.SAND,
-    fillBlock: Blocks.SAND,
-    beachBlock: Blocks.SAND,
-    temperature: 0.7,
-    humidity: 0.6,
-    hasTree: false,
-    treeDensity: 0.0,
-    grassDensity: 0.0,
-    flowerDensity: 0.0,
-  }),
-  
-  OCEAN: new Biome(7, 'Ocean', {
-    baseHeight: 40,
-    heightVariation: 8,
-    terrainScale: 0.005,
-    topBlock: Blocks.SAND,
-    fillBlock: Blocks.SAND,
-    temperature: 0.5,
-    humidity: 1.0,
-    hasTree: false,
-    treeDensity: 0.0,
-    grassDensity: 0.0,
-    flowerDensity: 0.0,
-    hasWater: true,
-  }),
-};
+/**
+ * Build the biome table from definition files
+ * @param {object} files - Map of file path to parsed JSON
+ * @returns {object} Biomes keyed by their key field
+ */
+export function loadBiomes(files) {
+  const biomes = {};
+  const ids = new Map();
+  
+  for (const [path, definition] of Object.entries(files)) {
+    const biome = Biome.fromDefinition(definition, path);
+    if (biome.key in biomes) {
+      throw new Error(`${path}: duplicate biome key "${biome.key}"`);
+    }
+    if (ids.has(biome.id)) {
+      throw new Error(`${path}: biome id ${biome.id} is already used by ${ids.get(biome.id)}`);
+    }
+    biomes[biome.key] = biome;
+    ids.set(biome.id, biome.key);
+  }
+  
+  // Every zone needs a biome for BiomeGenerator to fall back on
+  for (const zone of BIOME_SCHEMA.zone.values) {
+    if (!Object.values(biomes).some(biome => biome.zone === zone)) {
+      throw new Error(`No biome definition for zone "${zone}"`);
+    }
+  }
+  
+  return biomes;
+}
+
+// Define all biome types (bundled by Vite from src/data/biomes/*.json)
+export const Biomes = loadBiomes(
+  import.meta.glob('../data/biomes/*.json', { eager: true, import: 'default' })
+);
 
 /**
  * BiomeGenerator - Generates and manages biomes
+ * Biomes come from three seeded climate maps: continentalness decides the
+ * zone (ocean, beach, land or mountains), then temperature and humidity pick
+ * the zone's biome with the closest climate, so new biome files are placed
+ * without code changes
  */
 export class BiomeGenerator {
+  /**
+   * @param {WorldSeed|string|number} seed - World seed
+   */
   constructor(seed = 0) {
-    this.seed = seed;
+    this.seed = WorldSeed.from(seed);
+    this.config = WorldConfig.biomes;
+    
+    // Climate noise fields (separate sub-seeds so they don't line up)
+    this.temperatureNoise = new SimplexNoise(this.seed.derive('biomes.temperature'));
+    this.humidityNoise = new SimplexNoise(this.seed.derive('biomes.humidity'));
+    this.continentalNoise = new SimplexNoise(this.seed.derive('biomes.continentalness'));
+    
+    // Biomes grouped by zone (see getBiome)
+    this.zones = {};
+    for (const zone of BIOME_SCHEMA.zone.values) {
+      this.zones[zone] = BiomesById.filter(biome => biome.zone === zone);
+    }
+    
+    // Biomes at blend lattice points, shared by neighbouring columns
+    this.latticeCache = new Map();
+  }
+  
+  /**
+   * Sample the climate maps at world coordinates
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @returns {object} {temperature, humidity} in 0-1 and continentalness
+   *   in -1 (deep ocean) to 1 (continent interior)
+   */
+  getClimate(x, z) {
+    const { climateScale, continentalScale, climateContrast } = this.config;
+    
+    const temperature = this.temperatureNoise.fbm2D(x * climateScale, z * climateScale, 3);
+    const humidity = this.humidityNoise.fbm2D(x * climateScale, z * climateScale, 3);
+    const continentalness = this.continentalNoise.fbm2D(x * continentalScale, z * continentalScale, 4);
+    
+    // fbm rarely strays far from 0, so stretch it to use the whole range
+    const stretch = (value) => Math.max(-1, Math.min(1, value * climateContrast));
+    return {
+      temperature: (stretch(temperature) + 1) / 2,
+      humidity: (stretch(humidity) + 1) / 2,
+      continentalness: stretch(continentalness),
+    };
   }
   
   /**
    * Get biome at world coordinates
-   * Uses temperature and humidity to determine biome
+   * Climate values that aren't passed in are sampled from the climate maps
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {number} temperature - 0 (cold) to 1 (hot)
+   * @param {number} humidity - 0 (dry) to 1 (wet)
+   * @param {number} continentalness - -1 (ocean) to 1 (inland)
+   * @returns {Biome} The biome
    */
-  getBiome(x, z, temperature, humidity) {
-    // Determine biome based on temperature and humidity
-    if (humidity > 0.8) {
-      if (temperature < 0.2) return Biomes.TAIGA;
-      if (temperature < 0.6) return Biomes.FOREST;
-      return Biomes.PLAINS;
+  getBiome(x, z, temperature, humidity, continentalness) {
+    if (temperature === undefined || humidity === undefined || continentalness === undefined) {
+      const climate = this.getClimate(x, z);
+      temperature ??= climate.temperature;
+      humidity ??= climate.humidity;
+      continentalness ??= climate.continentalness;
     }
     
-    if (humidity > 0.5) {
-      if (temperature < 0.3) return Biomes.TAIGA;
-      if (temperature < 0.7) return Biomes.FOREST;
-      return Biomes.PLAINS;
+    // Coastline first: ocean, then a strip of beach, mountains far inland
+    const { oceanLevel, beachWidth, mountainLevel } = this.config;
+    let zone = 'land';
+    if (continentalness < oceanLevel) {
+      zone = 'ocean';
+    } else if (continentalness < oceanLevel + beachWidth) {
+      zone = 'beach';
+    } else if (continentalness > mountainLevel) {
+      zone = 'mountains';
     }
     
-    if (humidity > 0.3) {
-      if (temperature < 0.2) return Biomes.SNOW_TUNDRA;
-      if (temperature < 0.5) return Biomes.PLAINS;
-      if (temperature < 0.8) return Biomes.PLAINS;
-      return Biomes.DESERT;
+    // Within the zone, the biome whose climate is closest
+    let closest = null;
+    let closestDistance = Infinity;
+    for (const biome of this.zones[zone]) {
+      const distance = (biome.temperature - temperature) ** 2 + (biome.humidity - humidity) ** 2;
+      if (distance < closestDistance) {
+        closest = biome;
+        closestDistance = distance;
+      }
     }
-    
-    if (temperature < 0.2) return Biomes.SNOW_TUNDRA;
-    if (temperature > 0.7) return Biomes.DESERT;
-    return Biomes.PLAINS;
+    return closest;
   }
   
   /**
    * Get biome blend for smooth transitions
-   * Returns array of biomes with weights
+   * Biomes are sampled on a world-aligned lattice (every blendStep blocks)
+   * within blendRadius of the column, weighted by a smooth falloff with
+   * distance. Weights change continuously as the column moves, so values
+   * blended with them have no seams at biome borders
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {number} blendRadius - Blend distance in blocks (0 = no blending)
+   * @returns {Array} [{biome, weight}], one entry per biome, weights sum to 1
    */
-  getBiomeBlend(x, z, temperature, humidity, blendRadius = 32) {
-    const mainBiome = this.getBiome(x, z, temperature, humidity);
+  getBiomeBlend(x, z, blendRadius = this.config.blendRadius) {
+    if (blendRadius <= 0) {
+      return [{ biome: this.getBiome(x, z), weight: 1.0 }];
+    }
+    
+    const step = this.config.blendStep;
+    const radiusSquared = blendRadius * blendRadius;
+    const weights = new Map();
+    let total = 0;
     
-    // For now, return just the main biome
-    // TODO: Implement biome blending
-    return [{ biome: mainBiome, weight: 1.0 }];
+    const minX = Math.ceil((x - blendRadius) / step) * step;
+    const minZ = Math.ceil((z - blendRadius) / step) * step;
+    for (let sampleX = minX; sampleX <= x + blendRadius; sampleX += step) {
+      for (let sampleZ = minZ; sampleZ <= z + blendRadius; sampleZ += step) {
+        const distanceSquared = (sampleX - x) ** 2 + (sampleZ - z) ** 2;
+        if (distanceSquared >= radiusSquared) continue;
+        
+        const falloff = 1 - distanceSquared / radiusSquared;
+        const weight = falloff * falloff;
+        const biome = this.getLatticeBiome(sampleX, sampleZ);
+        weights.set(biome, (weights.get(biome) || 0) + weight);
+        total += weight;
+      }
+    }
+    
+    // Radius smaller than the lattice spacing: nothing close enough
+    if (total === 0) {
+      return [{ biome: this.getBiome(x, z), weight: 1.0 }];
+    }
+    
+    return Array.from(weights, ([biome, weight]) => ({ biome, weight: weight / total }));
+  }
+  
+  // Biome at a blend lattice point (cached)
+  getLatticeBiome(x, z) {
+    const key = `${x},${z}`;
+    let biome = this.latticeCache.get(key);
+    if (!biome) {
+      // Keep the cache to roughly the area around recently generated chunks
+      if (this.latticeCache.size >= 16384) {
+        this.latticeCache.clear();
+      }
+      biome = this.getBiome(x, z);
+      this.latticeCache.set(key, biome);
+    }
+    return biome;
   }
 }
 
-export const BiomesById = Object.values(Biomes);
+export const BiomesById = Object.values(Biomes).sort((a, b) => a.id - b.id);
@@ -1,6 +1,12 @@
 /**
  * Block.js - Defines block types and their properties
  * Manages block behavior, appearance, and physics
+ * Blocks are defined in JSON files under src/data/blocks, one file per
+ * namespace, and registered in a BlockRegistry under namespaced ids such as
+ * "core:stone". Numeric ids (what chunks store) are handed out in
+ * registration order when the module loads, so they can differ between
+ * versions and mods; saves record the ids they were written with (see
+ * BlockRegistry.createIdTranslation) and are translated on load
  */
 
 // Block property flags
@@ -12,6 +18,7 @@ export const BlockFlags = {
   EMITS_LIGHT: 1 << 4,     // Block produces light
   BREAKABLE: 1 << 5,       // Block can be broken
   PLACEABLE: 1 << 6,       // Block can be placed
+  PLANT: 1 << 7,           // Small decoration drawn as crossed quads, replaced by other blocks
 };
 
 /**
@@ -19,23 +26,26 @@ export const BlockFlags = {
  */
 export class Block {
   constructor(id, name, properties = {}) {
-    this.id = id;
+    this.id = id; // Numeric ID, assigned by the registry
+    this.key = properties.key ?? null; // Namespaced ID, e.g. "core:stone"
     this.name = name;
     
     // Block properties
     this.flags = properties.flags || 0;
-    this.hardness = properties.hardness || 1.0; // Time to break
+    this.hardness = properties.hardness ?? 1.0; // Time to break (Infinity = unbreakable)
     this.lightLevel = properties.lightLevel || 0; // 0-15
-    this.opacity = properties.opacity || 15; // Light blocking 0-15
+    this.lightColor = properties.lightColor ?? 0xFFFFFF; // Color of emitted light
+    this.opacity = properties.opacity ?? 15; // Light blocking 0-15
+    this.lightTint = properties.lightTint ?? 0xFFFFFF; // Filters block light passing through
     
     // Texture/color properties
-    this.color = properties.color || 0xFFFFFF;
-    this.topColor = properties.topColor || this.color;
-    this.bottomColor = properties.bottomColor || this.color;
-    this.sideColor = properties.sideColor || this.color;
+    this.color = properties.color ?? 0xFFFFFF;
+    this.topColor = properties.topColor ?? this.color;
+    this.bottomColor = properties.bottomColor ?? this.color;
+    this.sideColor = properties.sideColor ?? this.color;
     
     // Physics properties
-    this.friction = properties.friction || 0.6;
+    this.friction = properties.friction ?? 0.6;
     this.bounciness = properties.bounciness || 0;
     
     // Sound properties (for future use)
@@ -75,141 +85,311 @@ export class Block {
   isPlaceable() {
     return this.hasFlag(BlockFlags.PLACEABLE);
   }
+  
+  isPlant() {
+    return this.hasFlag(BlockFlags.PLANT);
+  }
 }
 
-// Define all block types
-export const Blocks = {
-  AIR: new Block(0, 'Air', {
-    flags: BlockFlags.TRANSPARENT,
-    opacity: 0,
-    hardness: 0,
-  }),
-  
-  GRASS: new Block(1, 'Grass', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x8B7355,
-    topColor: 0x7CBF3B,
-    bottomColor: 0x8B6F47,
-    sideColor: 0x8B7355,
-    hardness: 0.6,
-  }),
-  
-  DIRT: new Block(2, 'Dirt', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x8B6F47,
-    hardness: 0.5,
-  }),
-  
-  STONE: new Block(3, 'Stone', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x808080,
-    hardness: 1.5,
-  }),
-  
-  SAND: new Block(4, 'Sand', {
-    flags: BlockFlags.SOLID | BlockFlags.AFFECTED_BY_GRAVITY | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0xEDDC9C,
-    hardness: 0.5,
-  }),
-  
-  WOOD: new Block(5, 'Wood', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x8B4513,
-    topColor: 0x654321,
-    bottomColor: 0x654321,
-    sideColor: 0x8B4513,
-    hardness: 2.0,
-  }),
-  
-  LEAVES: new Block(6, 'Leaves', {
-    flags: BlockFlags.SOLID | BlockFlags.TRANSPARENT | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x228B22,
-    opacity: 1,
-    hardness: 0.2,
-  }),
-  
-  BEDROCK: new Block(7, 'Bedrock', {
-    flags: BlockFlags.SOLID,
-    color: 0x333333,
-    hardness: Infinity,
-  }),
-  
-  WATER: new Block(8, 'Water', {
-    flags: BlockFlags.LIQUID | BlockFlags.TRANSPARENT,
-    color: 0x4169E1,
-    opacity: 2,
-    hardness: 0,
-  }),
-  
-  LAVA: new Block(9, 'Lava', {
-    flags: BlockFlags.LIQUID | BlockFlags.EMITS_LIGHT,
-    color: 0xFF4500,
-    lightLevel: 15,
-    opacity: 0,
-    hardness: 0,
-  }),
-  
-  GLASS: new Block(10, 'Glass', {
-    flags: BlockFlags.SOLID | BlockFlags.TRANSPARENT | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0xE6F2FF,
-    opacity: 0,
-    hardness: 0.3,
-  }),
-  
-  COAL_ORE: new Block(11, 'Coal Ore', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x434343,
-    hardness: 3.0,
-  }),
-  
-  IRON_ORE: new Block(12, 'Iron Ore', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0xD8AF93,
-    hardness: 3.0,
-  }),
-  
-  GOLD_ORE: new Block(13, 'Gold Ore', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0xFCEE4B,
-    hardness: 3.0,
-  }),
-  
-  DIAMOND_ORE: new Block(14, 'Diamond Ore', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x5DCCCC,
-    hardness: 3.0,
-  }),
-  
-  GRAVEL: new Block(15, 'Gravel', {
-    flags: BlockFlags.SOLID | BlockFlags.AFFECTED_BY_GRAVITY | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0x888888,
-    hardness: 0.6,
-  }),
-  
-  SNOW: new Block(16, 'Snow', {
-    flags: BlockFlags.SOLID | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0xFFFAFA,
-    hardness: 0.2,
-  }),
-  
-  ICE: new Block(17, 'Ice', {
-    flags: BlockFlags.SOLID | BlockFlags.TRANSPARENT | BlockFlags.BREAKABLE | BlockFlags.PLACEABLE,
-    color: 0xB0E0E6,
-    opacity: 3,
-    hardness: 0.5,
-    friction: 0.98,
-  }),
+// Namespaces and block names: lower case letters, digits and underscores
+const NAME_PATTERN = /^[a-z0-9_]+$/;
+
+// Numeric ids are stored as 16-bit values
+const MAX_BLOCKS = 65536;
+
+/**
+ * Fields of a block definition
+ * type: 'string', 'integer', 'number', 'color' ("#RRGGBB") or 'flags' (a
+ * list of BlockFlags names in lower case, e.g. ["solid", "breakable"]).
+ * Fields without a default are required; unknown fields are rejected so
+ * typos don't silently fall back to defaults
+ */
+export const BLOCK_SCHEMA = {
+  id: { type: 'string' },                   // Name in the file's namespace, e.g. "stone"
+  name: { type: 'string' },                 // Display name
+  flags: { type: 'flags', default: [] },
+  hardness: { type: 'number', min: 0, default: 1, nullable: true }, // Time to break, null = unbreakable
+  
+  // Light
+  lightLevel: { type: 'integer', min: 0, max: 15, default: 0 }, // Emitted light
+  lightColor: { type: 'color', default: '#FFFFFF' },             // Color of emitted light
+  opacity: { type: 'integer', min: 0, max: 15, default: 15 },    // Light blocking
+  lightTint: { type: 'color', default: '#FFFFFF' },              // Filters block light passing through
+  
+  // Colors (faces default to color)
+  color: { type: 'color', default: '#FFFFFF' },
+  topColor: { type: 'color', default: null },
+  bottomColor: { type: 'color', default: null },
+  sideColor: { type: 'color', default: null },
+  
+  // Physics
+  friction: { type: 'number', min: 0, max: 1, default: 0.6 },
+  bounciness: { type: 'number', min: 0, max: 1, default: 0 },
+  
+  // Sounds (for future use)
+  breakSound: { type: 'string', default: 'stone' },
+  placeSound: { type: 'string', default: 'stone' },
 };
 
-// Create a lookup array for quick access by ID
-export const BlocksById = Object.values(Blocks);
+/**
+ * Check a block definition against BLOCK_SCHEMA and fill in defaults
+ * @param {object} definition - One entry of a block file's blocks list
+ * @param {string} source - Where it came from, for error messages
+ * @returns {object} Normalized properties (flags as a bit mask, colors as
+ *   numbers, unbreakable hardness as Infinity)
+ */
+export function validateBlockDefinition(definition, source = 'block definition') {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: expected an object`);
+  }
+  
+  for (const field of Object.keys(definition)) {
+    if (!(field in BLOCK_SCHEMA)) {
+      throw new Error(`${source}: unknown field "${field}"`);
+    }
+  }
+  
+  const properties = {};
+  for (const [field, rule] of Object.entries(BLOCK_SCHEMA)) {
+    let value = definition[field];
+    if (value === undefined) {
+      if (!('default' in rule)) {
+        throw new Error(`${source}: missing required field "${field}"`);
+      }
+      value = rule.default;
+    }
+    
+    if (value === null) {
+      if (!rule.nullable && rule.default !== null) {
+        throw new Error(`${source}: "${field}" can't be null`);
+      }
+      if (field === 'hardness') value = Infinity;
+    } else {
+      switch (rule.type) {
+        case 'string':
+          if (typeof value !== 'string' || value === '') {
+            throw new Error(`${source}: "${field}" must be a non-empty string`);
+          }
+          break;
+        case 'integer':
+        case 'number':
+          if (typeof value !== 'number' || !Number.isFinite(value) ||
+              (rule.type === 'integer' && !Number.isInteger(value))) {
+            throw new Error(`${source}: "${field}" must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+          }
+          if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+            throw new Error(`${source}: "${field}" must be between ${rule.min ?? '-Infinity'} and ${rule.max ?? 'Infinity'}`);
+          }
+          break;
+        case 'color':
+          if (typeof value !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(value)) {
+            throw new Error(`${source}: "${field}" must be a color like "#80FF00"`);
+          }
+          value = parseInt(value.slice(1), 16);
+          break;
+        case 'flags': {
+          if (!Array.isArray(value)) {
+            throw new Error(`${source}: "${field}" must be a list of flag names`);
+          }
+          let mask = 0;
+          for (const flag of value) {
+            const bit = typeof flag === 'string' ? BlockFlags[flag.toUpperCase()] : undefined;
+            if (bit === undefined || flag !== flag.toLowerCase()) {
+              throw new Error(`${source}: unknown flag "${flag}" (expected ${Object.keys(BlockFlags).map(name => name.toLowerCase()).join(', ')})`);
+            }
+            mask |= bit;
+          }
+          value = mask;
+          break;
+        }
+      }
+    }
+    properties[field] = value;
+  }
+  
+  if (!NAME_PATTERN.test(properties.id)) {
+    throw new Error(`${source}: "id" must be lower case letters, digits and underscores`);
+  }
+  return properties;
+}
+
+/**
+ * BlockRegistry - Blocks by namespaced id and by numeric id
+ */
+export class BlockRegistry {
+  constructor() {
+    this.blocks = []; // By numeric id
+    this.byKey = new Map(); // Namespaced id -> Block
+  }
+
+  /**
+   * Register a block under the next free numeric id
+   * The first block registered must be core:air, as chunks treat id 0 as
+   * empty space
+   * @param {string} namespace - Namespace, e.g. "core"
+   * @param {object} definition - Block definition (see BLOCK_SCHEMA)
+   * @param {string} source - Where it came from, for error messages
+   * @returns {Block} The registered block
+   */
+  register(namespace, definition, source = 'block definition') {
+    const properties = validateBlockDefinition(definition, source);
+    const key = `${namespace}:${properties.id}`;
+    if (this.byKey.has(key)) {
+      throw new Error(`${source}: block "${key}" is already registered`);
+    }
+    if (this.blocks.length === 0 && key !== 'core:air') {
+      throw new Error(`${source}: the first block registered must be core:air, not "${key}"`);
+    }
+    if (this.blocks.length >= MAX_BLOCKS) {
+      throw new Error(`${source}: more than ${MAX_BLOCKS} blocks registered`);
+    }
+    
+    const block = new Block(this.blocks.length, properties.name, { ...properties, key });
+    this.blocks.push(block);
+    this.byKey.set(key, block);
+    return block;
+  }
+
+  /**
+   * Register every block of a block file
+   * @param {object} file - { namespace, blocks: [definitions] }
+   * @param {string} source - Where it came from, for error messages
+   */
+  registerFile(file, source) {
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      throw new Error(`${source}: expected an object`);
+    }
+    for (const field of Object.keys(file)) {
+      if (field !== 'namespace' && field !== 'blocks') {
+        throw new Error(`${source}: unknown field "${field}"`);
+      }
+    }
+    if (typeof file.namespace !== 'string' || !NAME_PATTERN.test(file.namespace)) {
+      throw new Error(`${source}: "namespace" must be lower case letters, digits and underscores`);
+    }
+    if (!Array.isArray(file.blocks)) {
+      throw new Error(`${source}: "blocks" must be a list of block definitions`);
+    }
+    file.blocks.forEach((definition, i) => {
+      this.register(file.namespace, definition, `${source} blocks[${i}]`);
+    });
+  }
+
+  /**
+   * Get a block by namespaced id
+   * @param {string} key - Namespaced id, e.g. "core:stone"
+   * @returns {Block|undefined} The block, or undefined if not registered
+   */
+  get(key) {
+    return this.byKey.get(key);
+  }
+
+  /**
+   * Get a block by numeric id
+   * @param {number} id - Numeric id
+   * @returns {Block} The block (air for unknown ids)
+   */
+  getById(id) {
+    return this.blocks[id] || this.blocks[0];
+  }
+
+  /**
+   * Numeric ids of every registered block, as saved with a world
+   * @returns {object} Namespaced id -> numeric id
+   */
+  getIds() {
+    return Object.fromEntries(this.blocks.map(block => [block.key, block.id]));
+  }
+
+  /**
+   * Translate between the numeric ids a save was written with and this
+   * registry's. Blocks the save hasn't seen are added to savedIds under
+   * unused numbers; saved blocks that are no longer registered read as air
+   * (their numbers stay reserved)
+   * @param {object} savedIds - Namespaced id -> numeric id from the save
+   *   (updated in place)
+   * @returns {object} { toRuntime, toSaved }: Uint16Arrays indexed by saved
+   *   and by registry id, or both null if the ids already agree
+   */
+  createIdTranslation(savedIds) {
+    const used = new Set(Object.values(savedIds));
+    let next = 0;
+    for (const block of this.blocks) {
+      if (block.key in savedIds) continue;
+      while (used.has(next)) next++;
+      if (next >= MAX_BLOCKS) {
+        throw new Error(`Save has no numeric id left for block "${block.key}"`);
+      }
+      savedIds[block.key] = next;
+      used.add(next);
+    }
+    
+    let identity = true;
+    const toRuntime = new Uint16Array(Math.max(...used) + 1); // Unknown ids read as air
+    const toSaved = new Uint16Array(this.blocks.length);
+    for (const [key, savedId] of Object.entries(savedIds)) {
+      const block = this.byKey.get(key);
+      if (!block) {
+        console.warn(`Saved block "${key}" is not registered; it loads as air`);
+        identity = false;
+        continue;
+      }
+      toRuntime[savedId] = block.id;
+      toSaved[block.id] = savedId;
+      if (savedId !== block.id) identity = false;
+    }
+    
+    return identity ? { toRuntime: null, toSaved: null } : { toRuntime, toSaved };
+  }
+}
+
+/**
+ * Build the registry from block files
+ * The core namespace registers first (it holds air, id 0), then the other
+ * files by path
+ * @param {object} files - Map of file path to parsed JSON
+ * @returns {BlockRegistry} The registry
+ */
+export function loadBlockRegistry(files) {
+  const entries = Object.entries(files).sort(([pathA, fileA], [pathB, fileB]) =>
+    (fileB?.namespace === 'core') - (fileA?.namespace === 'core') || pathA.localeCompare(pathB));
+  
+  const registry = new BlockRegistry();
+  for (const [path, file] of entries) {
+    registry.registerFile(file, path);
+  }
+  if (!registry.get('core:air')) {
+    throw new Error('No block definition for core:air');
+  }
+  return registry;
+}
+
+// All block types (bundled by Vite from src/data/blocks/*.json)
+export const blockRegistry = loadBlockRegistry(
+  import.meta.glob('../data/blocks/*.json', { eager: true, import: 'default' })
+);
+
+// Core blocks by upper-case name (Blocks.STONE is core:stone)
+export const Blocks = Object.fromEntries(
+  blockRegistry.blocks
+    .filter(block => block.key.startsWith('core:'))
+    .map(block => [block.key.slice('core:'.length).toUpperCase(), block])
+);
+
+// Lookup array for quick access by numeric ID
+export const BlocksById = blockRegistry.blocks;
 
 // Helper function to get block by ID
 export function getBlockById(id) {
-  return BlocksById[id] || Blocks.AIR;
+  return blockRegistry.getById(id);
+}
+
+// Helper function to get block by namespaced ID (undefined if unknown)
+export function getBlock(key) {
+  return blockRegistry.get(key);
 }
 
 // Helper function to get block by name
 export function getBlockByName(name) {
-  return Object.values(Blocks).find(block => block.name === name) || Blocks.AIR;
+  return BlocksById.find(block => block.name === name) || Blocks.AIR;
 }
@@ -0,0 +1,110 @@
+/**
+ * BlockPalette.js - Palette compression for flat block arrays
+ * Replaces each block id with an index into a small palette of the ids
+ * actually present, then bit-packs the indices into 32-bit words.
+ * A chunk of air, stone and dirt packs down to 2 bits per block.
+ *
+ * Entries never straddle a word boundary, so any entry can be read with
+ * one shift and mask. The result is made of typed arrays whose buffers can
+ * be transferred to workers or written to storage as-is.
+ */
+
+/**
+ * Build a palette and per-block palette indices
+ * @param {Uint16Array} blocks - Flat block id array
+ * @returns {{palette: Uint16Array, indices: Uint16Array}}
+ */
+export function buildPalette(blocks) {
+  const palette = [];
+  const lookup = new Map();
+  const indices = new Uint16Array(blocks.length);
+
+  for (let i = 0; i < blocks.length; i++) {
+    const id = blocks[i];
+    let index = lookup.get(id);
+    if (index === undefined) {
+      index = palette.length;
+      palette.push(id);
+      lookup.set(id, index);
+    }
+    indices[i] = index;
+  }
+
+  return { palette: Uint16Array.from(palette), indices };
+}
+
+/**
+ * Number of bits needed to store indices into a palette of this size
+ * @param {number} paletteLength - Palette entry count
+ * @returns {number} Bits per entry (0 when there is only one entry)
+ */
+export function getBitsPerEntry(paletteLength) {
+  return paletteLength <= 1 ? 0 : Math.ceil(Math.log2(paletteLength));
+}
+
+/**
+ * Palette-compress a flat block array
+ * @param {Uint16Array} blocks - Flat block id array
+ * @returns {{length: number, palette: Uint16Array, bitsPerEntry: number, data: Uint32Array}}
+ */
+export function encodePalette(blocks) {
+  const { palette, indices } = buildPalette(blocks);
+  const bitsPerEntry = getBitsPerEntry(palette.length);
+
+  if (bitsPerEntry === 0) {
+    return { length: blocks.length, palette, bitsPerEntry, data: new Uint32Array(0) };
+  }
+
+  const entriesPerWord = Math.floor(32 / bitsPerEntry);
+  const data = new Uint32Array(Math.ceil(blocks.length / entriesPerWord));
+
+  for (let i = 0; i < indices.length; i++) {
+    const word = Math.floor(i / entriesPerWord);
+    const shift = (i % entriesPerWord) * bitsPerEntry;
+    data[word] |= indices[i] << shift;
+  }
+
+  return { length: blocks.length, palette, bitsPerEntry, data };
+}
+
+/**
+ * Expand palette-compressed data back into block ids
+ * @param {object} encoded - Result of encodePalette
+ * @param {Uint16Array} target - Optional destination array
+ * @returns {Uint16Array} Flat block id array
+ */
+export function decodePalette(encoded, target = new Uint16Array(encoded.length)) {
+  const { length, palette, bitsPerEntry, data } = encoded;
+
+  if (target.length !== length) {
+    throw new Error(`Palette data holds ${length} blocks, target holds ${target.length}`);
+  }
+
+  if (bitsPerEntry === 0) {
+    target.fill(palette.length > 0 ? palette[0] : 0);
+    return target;
+  }
+
+  const entriesPerWord = Math.floor(32 / bitsPerEntry);
+  const mask = (1 << bitsPerEntry) - 1;
+
+  for (let i = 0; i < length; i++) {
+    const word = data[Math.floor(i / entriesPerWord)];
+    const index = (word >>> ((i % entriesPerWord) * bitsPerEntry)) & mask;
+    if (index >= palette.length) {
+      throw new Error('Corrupt palette data: index out of range');
+    }
+    target[i] = palette[index];
+  }
+
+  return target;
+}
+
+/**
+ * Buffers that can be listed as transferables in postMessage
+ * @param {object} encoded - Result of encodePalette
+ * @returns {Array<ArrayBuffer>}
+ */
+export function getPaletteTransferables(encoded) {
+  return [encoded.palette.buffer, encoded.data.buffer];
+}
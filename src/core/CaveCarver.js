@@ -0,0 +1,186 @@
+import { WorldConfig, BlockTypes } from '../config.js';
+import { createPositionRandom, RandomSalts } from '../noise/SeededRandom.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+
+/**
+ * CaveCarver - Carves worm caves and ravines into generated terrain
+ * Every chunk may start a cave system or ravine, decided by a random stream
+ * keyed on that chunk's coordinates. To carve a chunk, the walks of all
+ * chunks within reach are replayed and only the part inside the chunk is
+ * cut out, so tunnels cross chunk borders seamlessly whatever order chunks
+ * are generated in. Carved space at or below caves.lavaLevel fills with lava
+ */
+export class CaveCarver {
+  constructor(seed = 0) {
+    this.seed = WorldSeed.from(seed).derive('carvers');
+    this.config = WorldConfig.caves;
+  }
+
+  /**
+   * Carve all worm caves and ravines that pass through a chunk
+   * @param {Chunk} chunk - Chunk with its terrain in place
+   * @param {BiomeGenerator} biomeGenerator - Biome lookup (biomes without
+   *   hasCaves start no caves)
+   */
+  carveChunk(chunk, biomeGenerator) {
+    const { worms, ravines } = this.config;
+
+    if (worms.enabled) {
+      this.forEachSource(chunk, worms.maxLength + worms.maxRadius, RandomSalts.WORMS, (random, originX, originZ) => {
+        if (random() >= worms.chance) return;
+
+        const x = originX + random() * chunk.size;
+        const y = worms.minHeight + random() * (worms.maxHeight - worms.minHeight);
+        const z = originZ + random() * chunk.size;
+        const count = 1 + Math.floor(random() * worms.maxPerSystem);
+        if (!biomeGenerator.getBiome(Math.floor(x), Math.floor(z)).hasCaves) return;
+
+        for (let i = 0; i < count; i++) {
+          this.carveWorm(chunk, x, y, z, random);
+        }
+      });
+    }
+
+    if (ravines.enabled) {
+      this.forEachSource(chunk, ravines.maxLength + ravines.maxWidth, RandomSalts.RAVINES, (random, originX, originZ) => {
+        if (random() >= ravines.chance) return;
+
+        const x = originX + random() * chunk.size;
+        const y = ravines.minHeight + random() * (ravines.maxHeight - ravines.minHeight);
+        const z = originZ + random() * chunk.size;
+        if (!biomeGenerator.getBiome(Math.floor(x), Math.floor(z)).hasCaves) return;
+
+        this.carveRavine(chunk, x, y, z, random);
+      });
+    }
+  }
+
+  /**
+   * Call start() with the random stream of every chunk whose carvers could
+   * reach this one
+   * @param {Chunk} chunk - Chunk being carved
+   * @param {number} reach - Furthest a carver gets from its start, in blocks
+   * @param {number} salt - Carver type
+   * @param {Function} start - (random, originX, originZ) with the source
+   *   chunk's world origin
+   */
+  forEachSource(chunk, reach, salt, start) {
+    const range = Math.ceil(reach / chunk.size);
+    for (let sourceX = chunk.x - range; sourceX <= chunk.x + range; sourceX++) {
+      for (let sourceZ = chunk.z - range; sourceZ <= chunk.z + range; sourceZ++) {
+        const random = createPositionRandom(this.seed, sourceX, sourceZ, salt);
+        start(random, sourceX * chunk.size, sourceZ * chunk.size);
+      }
+    }
+  }
+
+  /**
+   * Walk one tunnel, carving the steps that touch the chunk
+   * The walk draws the same numbers whichever chunk is being carved
+   * @param {Chunk} chunk - Chunk being carved
+   * @param {number} x - Start X (world)
+   * @param {number} y - Start Y
+   * @param {number} z - Start Z (world)
+   * @param {Function} random - Source chunk's random stream
+   */
+  carveWorm(chunk, x, y, z, random) {
+    const { minLength, maxLength, minRadius, maxRadius } = this.config.worms;
+    const length = minLength + Math.floor(random() * (maxLength - minLength));
+    const radius = minRadius + random() * (maxRadius - minRadius);
+    let yaw = random() * Math.PI * 2;
+    let pitch = (random() - 0.5) * 0.5;
+    let yawChange = 0;
+    let pitchChange = 0;
+
+    for (let step = 0; step < length; step++) {
+      x += Math.cos(yaw) * Math.cos(pitch);
+      y += Math.sin(pitch);
+      z += Math.sin(yaw) * Math.cos(pitch);
+
+      // Level out over time and turn smoothly
+      pitch = pitch * 0.7 + pitchChange * 0.1;
+      yaw += yawChange * 0.1;
+      pitchChange = pitchChange * 0.9 + (random() - random()) * random() * 2;
+      yawChange = yawChange * 0.75 + (random() - random()) * random() * 4;
+
+      const stepRadius = minRadius + (radius - minRadius) * Math.sin(step * Math.PI / length);
+      this.carveEllipsoid(chunk, x, y, z, stepRadius, stepRadius);
+    }
+  }
+
+  /**
+   * Walk one ravine: a nearly level path cut as tall, narrow ellipsoids
+   * @param {Chunk} chunk - Chunk being carved
+   * @param {number} x - Start X (world)
+   * @param {number} y - Center Y
+   * @param {number} z - Start Z (world)
+   * @param {Function} random - Source chunk's random stream
+   */
+  carveRavine(chunk, x, y, z, random) {
+    const { minLength, maxLength, maxWidth, depth } = this.config.ravines;
+    const length = minLength + Math.floor(random() * (maxLength - minLength));
+    const width = 1 + random() * (maxWidth - 1);
+    let yaw = random() * Math.PI * 2;
+    let pitch = (random() - 0.5) * 0.25;
+    let yawChange = 0;
+    let pitchChange = 0;
+
+    for (let step = 0; step < length; step++) {
+      x += Math.cos(yaw) * Math.cos(pitch);
+      y += Math.sin(pitch);
+      z += Math.sin(yaw) * Math.cos(pitch);
+
+      // Straighter than a worm
+      pitch = pitch * 0.7 + pitchChange * 0.05;
+      yaw += yawChange * 0.05;
+      pitchChange = pitchChange * 0.8 + (random() - random()) * random() * 2;
+      yawChange = yawChange * 0.5 + (random() - random()) * random() * 4;
+
+      const stepWidth = 1 + (width - 1) * Math.sin(step * Math.PI / length);
+      this.carveEllipsoid(chunk, x, y, z, stepWidth, stepWidth * depth);
+    }
+  }
+
+  /**
+   * Carve the part of an ellipsoid inside the chunk
+   * Air and water are left alone, as are blocks under water (so seas don't
+   * drain into caves) and the bottom layer of the world
+   * @param {Chunk} chunk - Chunk being carved
+   * @param {number} centerX - Center X (world)
+   * @param {number} centerY - Center Y
+   * @param {number} centerZ - Center Z (world)
+   * @param {number} radius - Horizontal radius
+   * @param {number} verticalRadius - Vertical radius
+   */
+  carveEllipsoid(chunk, centerX, centerY, centerZ, radius, verticalRadius) {
+    const originX = chunk.x * chunk.size;
+    const originZ = chunk.z * chunk.size;
+    const minX = Math.max(Math.floor(centerX - radius) - originX, 0);
+    const maxX = Math.min(Math.floor(centerX + radius) - originX, chunk.size - 1);
+    const minZ = Math.max(Math.floor(centerZ - radius) - originZ, 0);
+    const maxZ = Math.min(Math.floor(centerZ + radius) - originZ, chunk.size - 1);
+    if (minX > maxX || minZ > maxZ) return; // Outside the chunk
+
+    const minY = Math.max(Math.floor(centerY - verticalRadius), 1);
+    const maxY = Math.min(Math.floor(centerY + verticalRadius), chunk.height - 2);
+    const { lavaLevel } = this.config;
+
+    for (let x = minX; x <= maxX; x++) {
+      const dx = (originX + x + 0.5 - centerX) / radius;
+      for (let z = minZ; z <= maxZ; z++) {
+        const dz = (originZ + z + 0.5 - centerZ) / radius;
+        for (let y = minY; y <= maxY; y++) {
+          const dy = (y + 0.5 - centerY) / verticalRadius;
+          if (dx * dx + dy * dy + dz * dz >= 1) continue;
+
+          const block = chunk.getBlock(x, y, z);
+          if (block === BlockTypes.AIR || block === BlockTypes.WATER ||
+              block === BlockTypes.BEDROCK || block === BlockTypes.LAVA) continue;
+          if (chunk.getBlock(x, y + 1, z) === BlockTypes.WATER) continue;
+
+          chunk.setBlock(x, y, z, y <= lavaLevel ? BlockTypes.LAVA : BlockTypes.AIR);
+        }
+      }
+    }
+  }
+}
@@ -1,8 +1,11 @@
 import { WorldConfig, BlockTypes } from '../config.js';
+import { ChunkSection, DEFAULT_LIGHT } from './ChunkSection.js';
 
 /**
- * Chunk - Represents a 3D section of the world
- * Stores voxel data and manages physics state
+ * Chunk - Represents a 16-wide column of the world
+ * Stores voxel data in vertical ChunkSections and manages physics state
+ * Sections are only allocated once they hold something, so tall worlds
+ * don't pay for their empty sky
  */
 export class Chunk {
   constructor(x, z) {
@@ -10,32 +13,73 @@ export class Chunk {
     this.z = z;  // Chunk Z coordinate
     this.size = WorldConfig.chunkSize;
     this.height = WorldConfig.chunkHeight;
+    this.sectionHeight = WorldConfig.sectionHeight;
+    this.sectionCount = Math.ceil(this.height / this.sectionHeight);
     
-    // 3D array to store block types [x][y][z]
-    this.blocks = this.createBlockArray();
+    // Vertical sections, bottom to top (null = all air)
+    this.sections = new Array(this.sectionCount).fill(null);
     
     // Physics state tracking
     this.needsPhysicsUpdate = false;
     this.dirtyBlocks = new Set();  // Blocks that changed
     
-    // Mesh state
+    // Mesh state - sections whose mesh is out of date
     this.mesh = null;
     this.needsRebuild = true;
+    this.dirtySections = new Set();
+    this.dirtyNeighborSections = new Set();  // 'dx,dz,sectionY' in adjacent chunks
+    
+    // Save state - true once edited since generation or the last save
+    this.modified = false;
+    
+    // Feature writes for adjacent chunks, see FeatureWriter
+    this.featureSpills = [];
   }
 
-  // Create empty block array
-  createBlockArray() {
-    const blocks = [];
-    for (let x = 0; x < this.size; x++) {
-      blocks[x] = [];
-      for (let y = 0; y < this.height; y++) {
-        blocks[x][y] = [];
-        for (let z = 0; z < this.size; z++) {
-          blocks[x][y][z] = BlockTypes.AIR;
-        }
+  // Hand over feature writes for adjacent chunks (once)
+  takeFeatureSpills() {
+    const spills = this.featureSpills;
+    this.featureSpills = [];
+    return spills;
+  }
+
+  // Section index containing a y coordinate
+  getSectionY(y) {
+    return Math.floor(y / this.sectionHeight);
+  }
+
+  // Get a section, or null if it was never allocated
+  getSection(sectionY) {
+    return this.sections[sectionY] || null;
+  }
+
+  // Get a section, allocating it if needed
+  getOrCreateSection(sectionY) {
+    let section = this.sections[sectionY];
+    if (!section) {
+      section = new ChunkSection(this.size, this.sectionHeight);
+      this.sections[sectionY] = section;
+    }
+    return section;
+  }
+
+  // Drop a section that no longer holds anything
+  releaseSectionIfEmpty(sectionY) {
+    const section = this.sections[sectionY];
+    if (section && section.isEmpty()) {
+      this.sections[sectionY] = null;
+    }
+  }
+
+  // Highest Y inside an allocated section (-1 if the chunk is all air);
+  // everything above it is air
+  getTopY() {
+    for (let sectionY = this.sectionCount - 1; sectionY >= 0; sectionY--) {
+      if (this.sections[sectionY]) {
+        return Math.min((sectionY + 1) * this.sectionHeight, this.height) - 1;
       }
     }
-    return blocks;
+    return -1;
   }
 
   // Get block at local coordinates
@@ -43,7 +87,11 @@ export class Chunk {
     if (!this.isValidPosition(x, y, z)) {
       return BlockTypes.AIR;
     }
-    return this.blocks[x][y][z];
+    const section = this.sections[this.getSectionY(y)];
+    if (!section) {
+      return BlockTypes.AIR;
+    }
+    return section.getBlock(x, y % this.sectionHeight, z);
   }
 
   // Set block at local coordinates
@@ -52,19 +100,162 @@ export class Chunk {
       return false;
     }
     
-    const oldBlock = this.blocks[x][y][z];
-    if (oldBlock === blockType) {
+    const sectionY = this.getSectionY(y);
+    const localY = y % this.sectionHeight;
+    const existing = this.sections[sectionY];
+    
+    if ((existing ? existing.getBlock(x, localY, z) : BlockTypes.AIR) === blockType) {
       return false;
     }
     
-    this.blocks[x][y][z] = blockType;
+    const section = existing || this.getOrCreateSection(sectionY);
+    section.setBlock(x, localY, z, blockType);
+    this.releaseSectionIfEmpty(sectionY);
+    
     this.dirtyBlocks.add(`${x},${y},${z}`);
     this.needsPhysicsUpdate = true;
-    this.needsRebuild = true;
+    this.modified = true;
+    this.markMeshDirty(x, y, z);
     
     return true;
   }
 
+  // Mark every mesh that samples a position (its block, or its light) as out of date
+  markMeshDirty(x, y, z) {
+    const sectionY = this.getSectionY(y);
+    const localY = y % this.sectionHeight;
+    this.needsRebuild = true;
+    
+    // Interior positions only touch their own section (the common case for light updates)
+    const inside = this.size - 1;
+    if (x > 0 && x < inside && z > 0 && z < inside && localY > 0 && localY < this.sectionHeight - 1) {
+      this.dirtySections.add(sectionY);
+      return;
+    }
+    
+    // Faces on a section border belong to the neighbouring section's mesh too
+    const touchedSections = [sectionY];
+    if (localY === 0 && sectionY > 0) {
+      touchedSections.push(sectionY - 1);
+    } else if (localY === this.sectionHeight - 1 && sectionY < this.sectionCount - 1) {
+      touchedSections.push(sectionY + 1);
+    }
+    for (const touched of touchedSections) {
+      this.dirtySections.add(touched);
+    }
+    
+    // Same for the chunk border: adjacent chunks mesh against this block
+    const offsetsX = [0];
+    const offsetsZ = [0];
+    if (x === 0) offsetsX.push(-1);
+    if (x === this.size - 1) offsetsX.push(1);
+    if (z === 0) offsetsZ.push(-1);
+    if (z === this.size - 1) offsetsZ.push(1);
+    for (const dx of offsetsX) {
+      for (const dz of offsetsZ) {
+        if (dx === 0 && dz === 0) continue;
+        for (const touched of touchedSections) {
+          this.dirtyNeighborSections.add(`${dx},${dz},${touched}`);
+        }
+      }
+    }
+  }
+
+  // Get packed light (skylight << 12 | red << 8 | green << 4 | blue) at local coordinates
+  getLight(x, y, z) {
+    const section = this.sections[this.getSectionY(y)];
+    return section ? section.getLight(x, y % this.sectionHeight, z) : DEFAULT_LIGHT;
+  }
+
+  // Set packed light at local coordinates (caller checks bounds)
+  setLight(x, y, z, value) {
+    const sectionY = this.getSectionY(y);
+    const section = this.sections[sectionY];
+    if (!section) {
+      // Unallocated sections already read as DEFAULT_LIGHT
+      if (value === DEFAULT_LIGHT) return;
+      this.getOrCreateSection(sectionY).setLight(x, y % this.sectionHeight, z, value);
+      return;
+    }
+    section.setLight(x, y % this.sectionHeight, z, value);
+  }
+
+  // Get stored water level at local coordinates (0 = none stored)
+  getWaterLevel(x, y, z) {
+    const section = this.sections[this.getSectionY(y)];
+    return section ? section.getWaterLevel(x, y % this.sectionHeight, z) : 0;
+  }
+
+  // Set water level at local coordinates (caller checks bounds)
+  setWaterLevel(x, y, z, level) {
+    const sectionY = this.getSectionY(y);
+    this.getOrCreateSection(sectionY).setWaterLevel(x, y % this.sectionHeight, z, level);
+    this.modified = true;
+  }
+
+  // Mark every allocated section as needing a new mesh
+  markAllSectionsDirty() {
+    for (let sectionY = 0; sectionY < this.sectionCount; sectionY++) {
+      if (this.sections[sectionY]) {
+        this.dirtySections.add(sectionY);
+      }
+    }
+    this.needsRebuild = true;
+  }
+  
+  // Which sections have blocks on one border (dx, dz: direction of the
+  // adjacent chunk, e.g. 1, 0 for the +X border)
+  getBorderSections(dx, dz) {
+    const edge = this.size - 1;
+    return this.sections.map((section) => {
+      if (!section || !section.hasBlocks()) return false;
+      for (let y = 0; y < this.sectionHeight; y++) {
+        for (let i = 0; i < this.size; i++) {
+          const x = dx === 0 ? i : (dx > 0 ? edge : 0);
+          const z = dz === 0 ? i : (dz > 0 ? edge : 0);
+          if (section.getBlock(x, y, z) !== BlockTypes.AIR) return true;
+        }
+      }
+      return false;
+    });
+  }
+  
+  // Mark the sections whose meshes change now that an adjacent chunk is in
+  // the world: those with blocks on the shared border, next to blocks of the
+  // adjacent chunk (which cull their faces and shade them). Where the
+  // adjacent border is all air the meshes already saw air there
+  markBorderSectionsDirty(adjacent) {
+    const dx = adjacent.x - this.x;
+    const dz = adjacent.z - this.z;
+    const ours = this.getBorderSections(dx, dz);
+    const theirs = adjacent.getBorderSections(-dx, -dz);
+    for (let sectionY = 0; sectionY < this.sectionCount; sectionY++) {
+      // Corner shading reaches one block into the sections above and below
+      if (ours[sectionY] && (theirs[sectionY - 1] || theirs[sectionY] || theirs[sectionY + 1])) {
+        this.dirtySections.add(sectionY);
+        this.needsRebuild = true;
+      }
+    }
+  }
+
+  // Return and clear the list of sections needing a new mesh
+  takeDirtySections() {
+    const dirty = Array.from(this.dirtySections).sort((a, b) => a - b);
+    this.dirtySections.clear();
+    this.needsRebuild = false;
+    return dirty;
+  }
+
+  // Return and clear the sections of adjacent chunks that need a new mesh
+  takeDirtyNeighborSections() {
+    const dirty = Array.from(this.dirtyNeighborSections, (key) => {
+      const [dx, dz, sectionY] = key.split(',').map(Number);
+      return { dx, dz, sectionY };
+    });
+    this.dirtyNeighborSections.clear();
+    return dirty;
+  }
+
   // Check if position is within chunk bounds
   isValidPosition(x, y, z) {
     return x >= 0 && x < this.size &&
@@ -113,7 +304,7 @@ export class Chunk {
   getDirtyBlocks() {
     return Array.from(this.dirtyBlocks).map(key => {
       const [x, y, z] = key.split(',').map(Number);
-      return { x, y, z, type: this.blocks[x][y][z] };
+      return { x, y, z, type: this.getBlock(x, y, z) };
     });
   }
 
@@ -123,16 +314,71 @@ export class Chunk {
     this.needsPhysicsUpdate = false;
   }
 
+  // Palette-compressed block data per section (null for empty sections)
+  toPalette() {
+    return this.sections.map(section =>
+      section && section.hasBlocks() ? section.toPalette() : null
+    );
+  }
+
+  // Replace block data from per-section palette-compressed copies
+  loadPalette(encodedSections) {
+    encodedSections.forEach((encoded, sectionY) => {
+      if (encoded) {
+        this.getOrCreateSection(sectionY).loadPalette(encoded);
+      } else if (this.sections[sectionY]) {
+        this.sections[sectionY].blocks = null;
+        this.sections[sectionY].nonAirCount = 0;
+      }
+      this.releaseSectionIfEmpty(sectionY);
+    });
+    this.markAllSectionsDirty();
+  }
+
+  // Create a chunk from per-section palette-compressed block data
+  static fromPalette(x, z, encodedSections) {
+    const chunk = new Chunk(x, z);
+    chunk.loadPalette(encodedSections);
+    return chunk;
+  }
+
+  // Section arrays for postMessage plus the buffers to transfer with them.
+  // Transferring detaches the arrays, so this chunk is unusable afterwards
+  toTransferable() {
+    const sections = [];
+    const transfer = [];
+    this.sections.forEach((section, sectionY) => {
+      if (!section) return;
+      const { blocks, nonAirCount, lightData, waterLevels } = section;
+      sections.push({ sectionY, blocks, nonAirCount, lightData, waterLevels });
+      for (const array of [blocks, lightData, waterLevels]) {
+        if (array) transfer.push(array.buffer);
+      }
+    });
+    return { data: { x: this.x, z: this.z, sections, featureSpills: this.featureSpills }, transfer };
+  }
+
+  // Rebuild a chunk from toTransferable() data received from a worker
+  static fromTransferable({ x, z, sections, featureSpills = [] }) {
+    const chunk = new Chunk(x, z);
+    chunk.featureSpills = featureSpills;
+    for (const { sectionY, blocks, nonAirCount, lightData, waterLevels } of sections) {
+      const section = chunk.getOrCreateSection(sectionY);
+      section.blocks = blocks;
+      section.nonAirCount = nonAirCount;
+      section.lightData = lightData;
+      section.waterLevels = waterLevels;
+      chunk.releaseSectionIfEmpty(sectionY);
+    }
+    chunk.markAllSectionsDirty();
+    return chunk;
+  }
+
   // Clone chunk data
   clone() {
     const newChunk = new Chunk(this.x, this.z);
-    for (let x = 0; x < this.size; x++) {
-      for (let y = 0; y < this.height; y++) {
-        for (let z = 0; z < this.size; z++) {
-          newChunk.blocks[x][y][z] = this.blocks[x][y][z];
-        }
-      }
-    }
+    newChunk.sections = this.sections.map(section => section ? section.clone() : null);
+    newChunk.markAllSectionsDirty();
     return newChunk;
   }
 
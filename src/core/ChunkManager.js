@@ -1,19 +1,84 @@
 import { WorldConfig } from '../config.js';
 import { WorldGenerator } from './WorldGenerator.js';
+import { Chunk } from './Chunk.js';
+import { LightingSystem } from './LightingSystem.js';
+import { FeatureWriter } from './FeatureWriter.js';
+import { WorkerPool, JobCancelledError } from '../workers/WorkerPool.js';
+
+// Vite bundles the worker because of the literal new URL(...) pattern
+function createGenerationWorker() {
+  return new Worker(new URL('../workers/generationWorker.js', import.meta.url), { type: 'module' });
+}
 
 /**
  * ChunkManager - Manages chunk loading and unloading
  * Loads chunks around the player, unloads distant chunks
+ * When a WorldStorage is attached, saved chunks are loaded instead of
+ * regenerated and modified chunks are saved when they unload
+ *
+ * requestChunk() generates in a WorkerPool, nearest to the focus chunk
+ * first. Finished chunks wait until integrateReadyChunks() adds them to the
+ * world, so the main thread can spread that work over several frames.
+ *
+ * Trees near a chunk border reach into the next chunk. Those writes are
+ * applied straight away if the neighbour is loaded, otherwise they wait in
+ * pendingFeatureWrites (saved with the world) until it is generated.
+ * Unedited chunks aren't saved, so a source chunk spills again each time it
+ * is regenerated; appliedFeatureWrites (also saved with the world) records
+ * which sources a saved chunk already has, so edits to it aren't undone.
  */
 export class ChunkManager {
-  constructor(seed = null) {
-    this.generator = new WorldGenerator(seed);
+  /**
+   * @param {WorldSeed|string|number} seed - World seed
+   * @param {object} options - WorldGenerator options ({ terrainMode })
+   */
+  constructor(seed = null, options = {}) {
+    this.generator = new WorldGenerator(seed, options);
     this.chunks = new Map();  // key: 'x,z' -> Chunk
     this.renderDistance = WorldConfig.renderDistance;
     this.chunkSize = WorldConfig.chunkSize;
     
     this.loadQueue = [];
     this.lastPlayerChunk = { x: null, z: null };
+    
+    // Persistence
+    this.storage = null;
+    this.pendingLoads = new Map();  // key: 'x,z' -> { promise, resolve, cancelled }
+    
+    // Feature writes for chunks not in the world yet,
+    // key: target 'x,z' -> Map(source 'x,z' -> flat [x, y, z, blockType, ...])
+    this.pendingFeatureWrites = new Map();
+    // Sources whose writes a chunk already holds, key: target 'x,z' -> Set(source 'x,z')
+    this.appliedFeatureWrites = new Map();
+    this.featureWritesChanged = false;
+    
+    // Light spreads across loaded chunks and updates with block edits
+    this.lighting = new LightingSystem(this);
+    
+    // Background generation (null = generate on this thread)
+    this.workerPool = WorkerPool.isSupported()
+      ? new WorkerPool(
+        createGenerationWorker,
+        WorldConfig.generation.workers || WorkerPool.getDefaultSize()
+      )
+      : null;
+    this.readyChunks = [];  // { key, pending, chunk, fromSave, error } awaiting integration
+    this.focus = { x: 0, z: 0 };  // Chunk that generation is prioritized around
+  }
+
+  // Attach a WorldStorage used to load and save chunks
+  setStorage(storage) {
+    this.storage = storage;
+    
+    this.pendingFeatureWrites.clear();
+    for (const [target, sources] of Object.entries(storage.getFeatureWrites())) {
+      this.pendingFeatureWrites.set(target, new Map(Object.entries(sources)));
+    }
+    this.appliedFeatureWrites.clear();
+    for (const [target, sources] of Object.entries(storage.getAppliedFeatureWrites())) {
+      this.appliedFeatureWrites.set(target, new Set(sources));
+    }
+    this.featureWritesChanged = false;
   }
 
   // Get chunk key for storage
@@ -53,6 +118,30 @@ export class ChunkManager {
     return this.chunks.get(key);
   }
 
+  /**
+   * Get a chunk and the eight chunks around it
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @returns {Array<Chunk|null>} 3x3 grid, index (dx + 1) + (dz + 1) * 3,
+   *   null where a chunk isn't loaded
+   */
+  getNeighborhood(chunkX, chunkZ) {
+    const neighborhood = [];
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        neighborhood.push(this.getChunk(chunkX + dx, chunkZ + dz) || null);
+      }
+    }
+    return neighborhood;
+  }
+
+  // Get the loaded chunks sharing a face with a chunk
+  getAdjacentChunks(chunkX, chunkZ) {
+    return [[1, 0], [-1, 0], [0, 1], [0, -1]]
+      .map(([dx, dz]) => this.getChunk(chunkX + dx, chunkZ + dz))
+      .filter(Boolean);
+  }
+
   // Check if chunk is loaded
   hasChunk(chunkX, chunkZ) {
     return this.chunks.has(this.getChunkKey(chunkX, chunkZ));
@@ -66,18 +155,237 @@ export class ChunkManager {
     
     // Generate new chunk
     const chunk = this.generator.generateChunk(chunkX, chunkZ);
+    this.lighting.calculateChunkLighting(chunk);
     const key = this.getChunkKey(chunkX, chunkZ);
     this.chunks.set(key, chunk);
+    this.lighting.onChunkLoaded(chunk);
+    this.exchangeFeatureWrites(chunk);
     
     return chunk;
   }
 
+  /**
+   * Load a chunk from storage, or generate it in the background if it was
+   * never saved. The promise resolves once integrateReadyChunks() has added
+   * the chunk, or with null if the request was cancelled or failed.
+   * Concurrent requests for the same chunk share one load
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @returns {Promise<Chunk|null>} The loaded chunk
+   */
+  requestChunk(chunkX, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkZ);
+    
+    if (this.chunks.has(key)) {
+      return Promise.resolve(this.chunks.get(key));
+    }
+    if (this.pendingLoads.has(key)) {
+      return this.pendingLoads.get(key).promise;
+    }
+    
+    const pending = { promise: null, resolve: null, cancelled: false };
+    pending.promise = new Promise((resolve) => { pending.resolve = resolve; });
+    this.pendingLoads.set(key, pending);
+    
+    this.readSavedChunk(chunkX, chunkZ).then((saved) => {
+      if (pending.cancelled) return;
+      if (saved) {
+        // Saves from before lighting was stored need it calculated
+        if (!saved.sections.some(section => section && section.lightData)) {
+          this.lighting.calculateChunkLighting(saved);
+        }
+        this.readyChunks.push({ key, pending, chunk: saved, fromSave: true });
+      } else {
+        this.generateChunk(chunkX, chunkZ, key, pending);
+      }
+    });
+    
+    return pending.promise;
+  }
+
+  // Generate a requested chunk in a worker and queue it for integration
+  generateChunk(chunkX, chunkZ, key, pending) {
+    if (!this.workerPool) {
+      try {
+        const chunk = this.generator.generateChunk(chunkX, chunkZ);
+        this.lighting.calculateChunkLighting(chunk);
+        this.readyChunks.push({ key, pending, chunk });
+      } catch (error) {
+        this.readyChunks.push({ key, pending, error });
+      }
+      return;
+    }
+    
+    const { seed, terrainMode } = this.generator;
+    const payload = { seed: seed.text, terrainMode, chunkX, chunkZ };
+    this.workerPool.run(payload, { key, priority: this.getChunkPriority(payload) })
+      .then((result) => {
+        this.readyChunks.push({ key, pending, chunk: Chunk.fromTransferable(result) });
+      })
+      .catch((error) => {
+        if (error instanceof JobCancelledError) return;
+        this.readyChunks.push({ key, pending, error });
+      });
+  }
+
+  /**
+   * Stop waiting for a requested chunk; its promise resolves with null.
+   * Generation that already started still runs, but the result is dropped
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   */
+  cancelChunk(chunkX, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkZ);
+    const pending = this.pendingLoads.get(key);
+    if (!pending) return;
+    
+    pending.cancelled = true;
+    this.pendingLoads.delete(key);
+    if (this.workerPool) {
+      this.workerPool.cancel(key);
+    }
+    pending.resolve(null);
+  }
+
+  // Generation priority: squared distance from the focus chunk
+  getChunkPriority({ chunkX, chunkZ }) {
+    const dx = chunkX - this.focus.x;
+    const dz = chunkZ - this.focus.z;
+    return dx * dx + dz * dz;
+  }
+
+  // Move the chunk that queued generation is prioritized around
+  setFocus(chunkX, chunkZ) {
+    if (chunkX === this.focus.x && chunkZ === this.focus.z) return;
+    
+    this.focus = { x: chunkX, z: chunkZ };
+    if (this.workerPool) {
+      this.workerPool.reprioritize(payload => this.getChunkPriority(payload));
+    }
+  }
+
+  /**
+   * Add finished chunks to the world until the time budget is spent
+   * At least one chunk is added per call so loading always progresses
+   * @param {number} budgetMs - Milliseconds available this frame
+   * @returns {Array<Chunk>} Chunks added to the world (including requested
+   *   chunks that a synchronous loadChunk added first)
+   */
+  integrateReadyChunks(budgetMs = Infinity) {
+    const start = performance.now();
+    const integrated = [];
+    
+    while (this.readyChunks.length > 0) {
+      const { key, pending, chunk, fromSave = false, error } = this.readyChunks.shift();
+      if (pending.cancelled) continue;
+      
+      this.pendingLoads.delete(key);
+      if (error) {
+        console.error(`Failed to generate chunk ${key}:`, error);
+        pending.resolve(null);
+      } else if (this.chunks.has(key)) {
+        // A synchronous loadChunk won the race; report its chunk instead
+        integrated.push(this.chunks.get(key));
+        pending.resolve(this.chunks.get(key));
+      } else {
+        this.chunks.set(key, chunk);
+        this.lighting.onChunkLoaded(chunk);
+        this.exchangeFeatureWrites(chunk, fromSave);
+        integrated.push(chunk);
+        pending.resolve(chunk);
+      }
+      
+      if (performance.now() - start >= budgetMs) break;
+    }
+    
+    return integrated;
+  }
+
+  /**
+   * Settle cross-chunk feature writes for a chunk that just entered the world
+   * Writes waiting for it are applied, and its own spills go to loaded
+   * neighbours or wait in pendingFeatureWrites
+   * @param {Chunk} chunk - Newly added chunk
+   * @param {boolean} fromSave - Whether it was loaded from storage (rather
+   *   than generated, which starts it without any neighbour's writes)
+   */
+  exchangeFeatureWrites(chunk, fromSave = false) {
+    const key = this.getChunkKey(chunk.x, chunk.z);
+    if (!fromSave && this.appliedFeatureWrites.delete(key)) {
+      this.featureWritesChanged = true;
+    }
+    
+    const waiting = this.pendingFeatureWrites.get(key);
+    if (waiting) {
+      this.pendingFeatureWrites.delete(key);
+      this.featureWritesChanged = true;
+      for (const [source, writes] of waiting) {
+        this.applyFeatureWrites(chunk, source, writes);
+      }
+    }
+    
+    for (const { chunkX, chunkZ, writes } of chunk.takeFeatureSpills()) {
+      const target = this.getChunk(chunkX, chunkZ);
+      if (target) {
+        this.applyFeatureWrites(target, key, writes);
+        continue;
+      }
+      
+      // A regenerated chunk spills the same writes again, so replace
+      // rather than append
+      const targetKey = this.getChunkKey(chunkX, chunkZ);
+      if (!this.pendingFeatureWrites.has(targetKey)) {
+        this.pendingFeatureWrites.set(targetKey, new Map());
+      }
+      this.pendingFeatureWrites.get(targetKey).set(key, writes);
+      this.featureWritesChanged = true;
+    }
+  }
+  
+  // Apply a source chunk's feature writes to a loaded chunk through
+  // setBlock, so lighting, meshes and saving all see them. Skipped if the
+  // chunk already has them: the player may have edited them since
+  applyFeatureWrites(chunk, source, writes) {
+    const key = this.getChunkKey(chunk.x, chunk.z);
+    if (!this.appliedFeatureWrites.has(key)) {
+      this.appliedFeatureWrites.set(key, new Set());
+    }
+    const applied = this.appliedFeatureWrites.get(key);
+    if (applied.has(source)) return;
+    applied.add(source);
+    this.featureWritesChanged = true;
+    
+    const originX = chunk.x * this.chunkSize;
+    const originZ = chunk.z * this.chunkSize;
+    for (let i = 0; i < writes.length; i += 4) {
+      const x = writes[i];
+      const y = writes[i + 1];
+      const z = writes[i + 2];
+      if (FeatureWriter.canReplace(chunk.getBlock(x, y, z))) {
+        this.setBlock(originX + x, y, originZ + z, writes[i + 3]);
+      }
+    }
+  }
+
+  // Read a chunk from storage, treating unreadable saves as missing
+  async readSavedChunk(chunkX, chunkZ) {
+    if (!this.storage) return null;
+    
+    try {
+      return await this.storage.loadChunk(chunkX, chunkZ);
+    } catch (error) {
+      console.error(`Failed to load saved chunk ${chunkX},${chunkZ}, regenerating:`, error);
+      return null;
+    }
+  }
+
   // Unload a chunk
   unloadChunk(chunkX, chunkZ) {
     const key = this.getChunkKey(chunkX, chunkZ);
     const chunk = this.chunks.get(key);
     
     if (chunk) {
+      this.saveChunks([chunk]);
       chunk.dispose();  // Clean up mesh resources
       this.chunks.delete(key);
       return true;
@@ -86,6 +394,36 @@ export class ChunkManager {
     return false;
   }
 
+  /**
+   * Save modified chunks to storage (no-op without storage)
+   * @param {Array<Chunk>} chunks - Chunks to consider, defaults to all loaded
+   * @returns {Promise<number>} Number of chunks written
+   */
+  saveChunks(chunks = this.getAllChunks()) {
+    if (!this.storage) return Promise.resolve(0);
+    
+    if (this.featureWritesChanged) {
+      this.featureWritesChanged = false;
+      const featureWrites = {};
+      for (const [target, sources] of this.pendingFeatureWrites) {
+        featureWrites[target] = Object.fromEntries(sources);
+      }
+      const appliedFeatureWrites = {};
+      for (const [target, sources] of this.appliedFeatureWrites) {
+        appliedFeatureWrites[target] = Array.from(sources);
+      }
+      this.storage.saveFeatureWrites(featureWrites, appliedFeatureWrites).catch((error) => {
+        console.error('Failed to save feature writes:', error);
+        this.featureWritesChanged = true;
+      });
+    }
+    
+    return this.storage.saveChunks(chunks).catch((error) => {
+      console.error('Failed to save chunks:', error);
+      return 0;
+    });
+  }
+
   // Update loaded chunks based on player position
   updateChunks(playerX, playerZ) {
     const playerChunk = this.worldToChunk(playerX, playerZ);
@@ -149,7 +487,11 @@ export class ChunkManager {
     if (!chunk) return false;
     
     const local = this.worldToLocal(worldX, worldY, worldZ);
-    return chunk.setBlock(local.x, local.y, local.z, blockType);
+    const oldBlock = chunk.getBlock(local.x, local.y, local.z);
+    if (!chunk.setBlock(local.x, local.y, local.z, blockType)) return false;
+    
+    this.lighting.onBlockChange(chunk, local.x, local.y, local.z, oldBlock, blockType);
+    return true;
   }
 
   // Get chunks that need physics updates
@@ -162,11 +504,29 @@ export class ChunkManager {
     return this.getAllChunks().filter(chunk => chunk.needsRebuild);
   }
 
-  // Dispose all chunks
+  // Dispose all chunks, saving any unsaved edits first
   dispose() {
+    for (const [key, pending] of this.pendingLoads) {
+      pending.cancelled = true;
+      pending.resolve(null);
+      this.pendingLoads.delete(key);
+    }
+    this.readyChunks = [];
+    if (this.workerPool) {
+      this.workerPool.dispose();
+      this.workerPool = null;
+    }
+    
+    const saved = this.saveChunks();
     for (const chunk of this.chunks.values()) {
       chunk.dispose();
     }
     this.chunks.clear();
+    
+    if (this.storage) {
+      const storage = this.storage;
+      saved.then(() => storage.close());
+      this.storage = null;
+    }
   }
 }
@@ -0,0 +1,117 @@
+/**
+ * ChunkNoiseCache.js - Noise fields of a chunk being generated
+ * Filled in bulk when WorldGenerator starts a chunk, so generation stages
+ * look values up instead of sampling noise block by block. Column fields
+ * (biome and blended terrain shape) hold one value per column; 3D fields
+ * (noise caves and density noise) are sampled on the lattices set by
+ * WorldConfig.caves.sampleStep and WorldConfig.terrain.density.sampleStep
+ * and upsampled (see NoiseGrid). Lookups return exactly what the
+ * WorldGenerator methods they stand in for would
+ */
+
+import { fillGrid2D, fillGrid3D } from '../noise/NoiseGrid.js';
+
+export class ChunkNoiseCache {
+  /**
+   * @param {WorldGenerator} worldGen - Generator the fields come from
+   * @param {Chunk} chunk - Chunk being generated
+   */
+  constructor(worldGen, chunk) {
+    const { size } = chunk;
+    const columns = size * size;
+    this.size = size;
+    this.originX = chunk.x * size;
+    this.originZ = chunk.z * size;
+
+    // Column fields, indexed x * size + z
+    this.biomes = new Array(columns);
+    this.height = new Float64Array(columns);
+    this.squash = new Float64Array(columns);
+    this.stretch = new Float64Array(columns);
+    const region = { x: this.originX, z: this.originZ, sizeX: size, sizeZ: size };
+    fillGrid2D(this.height, region, (worldX, worldZ, index) => {
+      const shape = worldGen.getTerrainShape(worldX, worldZ);
+      this.biomes[index] = worldGen.biomeGenerator.getBiome(worldX, worldZ);
+      this.squash[index] = shape.squash;
+      this.stretch[index] = shape.stretch;
+      return shape.height;
+    });
+
+    // Noise caves, over the height range they can open in
+    const { minHeight, maxHeight, threshold, sampleStep } = worldGen.caveConfig;
+    this.caveThreshold = threshold;
+    this.caveBottom = minHeight;
+    this.caveTop = maxHeight;
+    this.caves = fillGrid3D(
+      new Float64Array(columns * (maxHeight - minHeight + 1)),
+      { ...region, y: minHeight, sizeY: maxHeight - minHeight + 1, step: sampleStep },
+      (x, y, z) => worldGen.sampleCaveNoise(x, y, z)
+    );
+
+    // Density noise, over the band any column reads it in
+    this.density = null;
+    if (worldGen.terrainMode === 'density') {
+      let bottom = Infinity;
+      let top = -Infinity;
+      for (let i = 0; i < columns; i++) {
+        const band = worldGen.getDensityBand(this.getShape(i));
+        bottom = Math.min(bottom, band.bottom + 1);
+        top = Math.max(top, band.top);
+      }
+      this.densityBottom = Math.max(bottom, 0);
+      this.densityHeight = Math.max(top - this.densityBottom + 1, 1);
+      this.density = fillGrid3D(
+        new Float64Array(columns * this.densityHeight),
+        { ...region, y: this.densityBottom, sizeY: this.densityHeight, step: worldGen.densityConfig.sampleStep },
+        (x, y, z) => worldGen.sampleDensityNoise(x, y, z)
+      );
+    }
+  }
+
+  /**
+   * Index of a column in the column fields
+   * @param {number} x - Local X
+   * @param {number} z - Local Z
+   * @returns {number} Index
+   */
+  getIndex(x, z) {
+    return x * this.size + z;
+  }
+
+  /**
+   * Blended terrain shape of a column (see WorldGenerator.getTerrainShape)
+   * @param {number} index - Column index
+   * @returns {object} { height, squash, stretch }
+   */
+  getShape(index) {
+    return { height: this.height[index], squash: this.squash[index], stretch: this.stretch[index] };
+  }
+
+  /**
+   * Check if a position in the chunk is a noise cave
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {boolean} True if cave
+   */
+  isCave(worldX, worldY, worldZ) {
+    if (worldY < this.caveBottom || worldY > this.caveTop) {
+      return false;
+    }
+    const column = this.getIndex(worldX - this.originX, worldZ - this.originZ);
+    const index = column * (this.caveTop - this.caveBottom + 1) + worldY - this.caveBottom;
+    return this.caves[index] > this.caveThreshold;
+  }
+
+  /**
+   * 3D noise term of the terrain density at a position in the chunk
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate, within the density band
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} Noise value
+   */
+  getDensityNoise(worldX, worldY, worldZ) {
+    const column = this.getIndex(worldX - this.originX, worldZ - this.originZ);
+    return this.density[column * this.densityHeight + worldY - this.densityBottom];
+  }
+}
@@ -0,0 +1,129 @@
+import { BlockTypes } from '../config.js';
+import { encodePalette, decodePalette } from './BlockPalette.js';
+
+/**
+ * ChunkSection - A 16-block-tall slice of a chunk
+ * Block, light and water arrays are allocated lazily, so sections that are
+ * all air (most of the sky) cost nothing beyond the empty slot in Chunk.sections
+ *
+ * Arrays are flat and indexed by getIndex(x, y, z) with y local to the section
+ */
+
+// Packed light (skylight << 12 | red << 8 | green << 4 | blue) for voxels
+// that were never lit: full skylight, no block light
+export const DEFAULT_LIGHT = 0xF000;
+
+export class ChunkSection {
+  constructor(size, height) {
+    this.size = size;      // Width and depth in blocks
+    this.height = height;  // Height in blocks (WorldConfig.sectionHeight)
+    this.volume = size * height * size;
+
+    this.blocks = null;       // Uint16Array of block ids, null while all air
+    this.nonAirCount = 0;
+    this.lightData = null;    // Uint16Array of packed sky/RGB block light
+    this.waterLevels = null;  // Uint8Array of water levels (0 = unset)
+  }
+
+  // Get flat array index for section-local coordinates
+  getIndex(x, y, z) {
+    return x + (z * this.size) + (y * this.size * this.size);
+  }
+
+  // Get block at section-local coordinates (no bounds check)
+  getBlock(x, y, z) {
+    return this.blocks ? this.blocks[this.getIndex(x, y, z)] : BlockTypes.AIR;
+  }
+
+  /**
+   * Set block at section-local coordinates (no bounds check)
+   * @returns {number} The previous block id
+   */
+  setBlock(x, y, z, blockType) {
+    if (!this.blocks) {
+      if (blockType === BlockTypes.AIR) return BlockTypes.AIR;
+      this.blocks = new Uint16Array(this.volume);
+    }
+
+    const index = this.getIndex(x, y, z);
+    const oldBlock = this.blocks[index];
+    this.blocks[index] = blockType;
+
+    if (oldBlock === BlockTypes.AIR && blockType !== BlockTypes.AIR) {
+      this.nonAirCount++;
+    } else if (oldBlock !== BlockTypes.AIR && blockType === BlockTypes.AIR) {
+      this.nonAirCount--;
+      if (this.nonAirCount === 0) {
+        this.blocks = null;  // Back to all air - release the array
+      }
+    }
+
+    return oldBlock;
+  }
+
+  // Recount non-air blocks after the blocks array was written directly
+  recount() {
+    this.nonAirCount = 0;
+    if (!this.blocks) return;
+
+    for (let i = 0; i < this.blocks.length; i++) {
+      if (this.blocks[i] !== BlockTypes.AIR) this.nonAirCount++;
+    }
+    if (this.nonAirCount === 0) {
+      this.blocks = null;
+    }
+  }
+
+  // True if the section holds only air
+  hasBlocks() {
+    return this.nonAirCount > 0;
+  }
+
+  // True if the section holds nothing worth keeping
+  isEmpty() {
+    return !this.blocks && !this.lightData && !this.waterLevels;
+  }
+
+  getLight(x, y, z) {
+    return this.lightData ? this.lightData[this.getIndex(x, y, z)] : DEFAULT_LIGHT;
+  }
+
+  setLight(x, y, z, value) {
+    if (!this.lightData) {
+      if (value === DEFAULT_LIGHT) return;
+      this.lightData = new Uint16Array(this.volume).fill(DEFAULT_LIGHT);
+    }
+    this.lightData[this.getIndex(x, y, z)] = value;
+  }
+
+  getWaterLevel(x, y, z) {
+    return this.waterLevels ? this.waterLevels[this.getIndex(x, y, z)] : 0;
+  }
+
+  setWaterLevel(x, y, z, level) {
+    if (!this.waterLevels) {
+      this.waterLevels = new Uint8Array(this.volume);
+    }
+    this.waterLevels[this.getIndex(x, y, z)] = level;
+  }
+
+  // Palette-compressed copy of the block data (see BlockPalette.js)
+  toPalette() {
+    return encodePalette(this.blocks || new Uint16Array(this.volume));
+  }
+
+  // Replace block data from a palette-compressed copy
+  loadPalette(encoded) {
+    this.blocks = decodePalette(encoded, new Uint16Array(this.volume));
+    this.recount();
+  }
+
+  clone() {
+    const section = new ChunkSection(this.size, this.height);
+    section.blocks = this.blocks ? this.blocks.slice() : null;
+    section.nonAirCount = this.nonAirCount;
+    section.lightData = this.lightData ? this.lightData.slice() : null;
+    section.waterLevels = this.waterLevels ? this.waterLevels.slice() : null;
+    return section;
+  }
+}
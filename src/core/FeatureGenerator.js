@@ -0,0 +1,100 @@
+import { WorldConfig, BlockTypes } from '../config.js';
+import { TreeGenerator } from './TreeGenerator.js';
+import { FeatureWriter } from './FeatureWriter.js';
+import { createPositionRandom, RandomSalts } from '../noise/SeededRandom.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+
+/**
+ * FeatureGenerator - Feature stage of chunk generation, run after terrain
+ * Places trees and ground plants according to each biome's treeDensity,
+ * grassDensity and flowerDensity. Trees near the border reach into
+ * neighbouring chunks; those blocks are returned as spills for ChunkManager
+ * to apply when the neighbour is in the world (see FeatureWriter)
+ */
+export class FeatureGenerator {
+  constructor(seed = 0) {
+    this.seed = WorldSeed.from(seed).derive('features'); // Tree and plant streams
+    this.config = WorldConfig.features;
+    this.treeGenerator = new TreeGenerator(WorldSeed.from(seed));
+  }
+
+  /**
+   * Place features in a freshly generated chunk
+   * @param {Chunk} chunk - Chunk with its terrain in place
+   * @param {BiomeGenerator} biomeGenerator - Biome lookup
+   * @returns {Array} Spills for other chunks: [{ chunkX, chunkZ, writes }]
+   */
+  placeFeatures(chunk, biomeGenerator) {
+    const writer = new FeatureWriter(chunk);
+
+    // Top block of each column, found once and shared by both passes
+    const surface = new Int16Array(chunk.size * chunk.size);
+    for (let x = 0; x < chunk.size; x++) {
+      for (let z = 0; z < chunk.size; z++) {
+        surface[x + z * chunk.size] = this.findSurface(chunk, x, z);
+      }
+    }
+    const getSurfaceHeight = (x, z) => surface[x + z * chunk.size];
+
+    if (this.config.trees) {
+      this.treeGenerator.generateTreesForChunk(
+        writer,
+        biomeGenerator,
+        getSurfaceHeight,
+        (worldX, worldZ) => createPositionRandom(this.seed, worldX, worldZ, RandomSalts.TREES),
+        this.config.treeSpacing
+      );
+    }
+
+    if (this.config.decorations) {
+      this.placePlants(writer, biomeGenerator, getSurfaceHeight);
+    }
+
+    return writer.takeSpills();
+  }
+
+  /**
+   * Scatter tall grass and flowers on grass-topped columns
+   * @param {FeatureWriter} writer - Writer for the chunk
+   * @param {BiomeGenerator} biomeGenerator - Biome lookup
+   * @param {Function} getSurfaceHeight - (localX, localZ) => Y of the top block
+   */
+  placePlants(writer, biomeGenerator, getSurfaceHeight) {
+    const { chunk } = writer;
+
+    for (let x = 0; x < chunk.size; x++) {
+      for (let z = 0; z < chunk.size; z++) {
+        const y = getSurfaceHeight(x, z);
+        if (y < 0 || y >= chunk.height - 1) continue;
+        if (chunk.getBlock(x, y, z) !== BlockTypes.GRASS) continue;
+        if (chunk.getBlock(x, y + 1, z) !== BlockTypes.AIR) continue; // Tree trunk
+
+        const worldX = chunk.x * chunk.size + x;
+        const worldZ = chunk.z * chunk.size + z;
+        const biome = biomeGenerator.getBiome(worldX, worldZ);
+        const roll = createPositionRandom(this.seed, worldX, worldZ, RandomSalts.PLANTS)();
+
+        if (roll < biome.flowerDensity) {
+          writer.setBlock(x, y + 1, z, BlockTypes.FLOWER);
+        } else if (roll < biome.flowerDensity + biome.grassDensity) {
+          writer.setBlock(x, y + 1, z, BlockTypes.TALL_GRASS);
+        }
+      }
+    }
+  }
+
+  // Y of the highest non-air block in a column, or -1 if it's all air
+  findSurface(chunk, x, z) {
+    for (let sectionY = chunk.sectionCount - 1; sectionY >= 0; sectionY--) {
+      if (!chunk.getSection(sectionY)) continue;
+
+      const bottom = sectionY * chunk.sectionHeight;
+      for (let y = Math.min(bottom + chunk.sectionHeight, chunk.height) - 1; y >= bottom; y--) {
+        if (chunk.getBlock(x, y, z) !== BlockTypes.AIR) {
+          return y;
+        }
+      }
+    }
+    return -1;
+  }
+}
@@ -0,0 +1,67 @@
+import { BlockTypes, getBlockById } from '../config.js';
+
+/**
+ * FeatureWriter - Block writes for features (trees, plants) placed in a chunk
+ * Positions are local to the chunk but may fall outside it: those writes
+ * are collected per neighbouring chunk as "spills", which ChunkManager
+ * applies once the neighbour is in the world. Features only ever replace
+ * air, leaves and plants, so applying a spill late is harmless; applying
+ * it twice is not once the player has edited those blocks, so ChunkManager
+ * applies each source's spill to a chunk only once
+ */
+export class FeatureWriter {
+  constructor(chunk) {
+    this.chunk = chunk;
+    this.size = chunk.size;
+    this.height = chunk.height;
+    this.spills = new Map(); // 'chunkX,chunkZ' -> { chunkX, chunkZ, writes }
+  }
+
+  // Whether a feature may overwrite a block
+  static canReplace(blockType) {
+    return blockType === BlockTypes.AIR || blockType === BlockTypes.LEAVES ||
+      getBlockById(blockType).isPlant();
+  }
+
+  // Get block at local coordinates (air outside the chunk)
+  getBlock(x, y, z) {
+    return this.chunk.getBlock(x, y, z);
+  }
+
+  /**
+   * Place a feature block, spilling into a neighbour if outside the chunk
+   * @param {number} x - Local X (may be outside 0..size-1)
+   * @param {number} y - Y
+   * @param {number} z - Local Z (may be outside 0..size-1)
+   * @param {number} blockType - Block to place
+   */
+  setBlock(x, y, z, blockType) {
+    if (y < 0 || y >= this.height) return;
+
+    if (x >= 0 && x < this.size && z >= 0 && z < this.size) {
+      if (FeatureWriter.canReplace(this.chunk.getBlock(x, y, z))) {
+        this.chunk.setBlock(x, y, z, blockType);
+      }
+      return;
+    }
+
+    const dx = Math.floor(x / this.size);
+    const dz = Math.floor(z / this.size);
+    const chunkX = this.chunk.x + dx;
+    const chunkZ = this.chunk.z + dz;
+    const key = `${chunkX},${chunkZ}`;
+    let spill = this.spills.get(key);
+    if (!spill) {
+      spill = { chunkX, chunkZ, writes: [] };
+      this.spills.set(key, spill);
+    }
+    spill.writes.push(x - dx * this.size, y, z - dz * this.size, blockType);
+  }
+
+  // Writes that landed in other chunks: [{ chunkX, chunkZ, writes }]
+  takeSpills() {
+    const spills = Array.from(this.spills.values());
+    this.spills.clear();
+    return spills;
+  }
+}
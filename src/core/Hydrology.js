@@ -0,0 +1,193 @@
+import { WorldConfig, BlockTypes, getBlockById } from '../config.js';
+import { SimplexNoise } from '../noise/SimplexNoise.js';
+import { createChunkRandom, RandomSalts } from '../noise/SeededRandom.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+
+/**
+ * Hydrology - Oceans, rivers and lakes for world generation
+ * Everything below water.seaLevel that terrain leaves open fills with water,
+ * which makes the oceans. Rivers are valleys cut where ridged noise is near
+ * zero; their channel drops below sea level so it fills from the same
+ * water table and rivers run seamlessly into the sea. Lakes are carved per
+ * chunk, only where the ground would hold the water in. Generated water is
+ * all source water (see WaterPhysics.initializeChunkWater)
+ */
+export class Hydrology {
+  constructor(seed = 0) {
+    const worldSeed = WorldSeed.from(seed);
+    this.seed = worldSeed.derive('lakes'); // Lake streams
+    this.config = WorldConfig.water;
+    this.seaLevel = this.config.seaLevel;
+    this.riverNoise = new SimplexNoise(worldSeed.derive('hydrology.rivers'));
+    this.bedNoise = new SimplexNoise(worldSeed.derive('hydrology.beds'));
+  }
+
+  /**
+   * How far into a river valley a column is
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} 0 outside valleys to 1 on a river's center line
+   */
+  getRiverFactor(worldX, worldZ) {
+    const { scale, valleyWidth } = this.config.rivers;
+    const ridge = Math.abs(this.riverNoise.fbm2D(worldX * scale, worldZ * scale, 2));
+    return ridge < valleyWidth ? 1 - ridge / valleyWidth : 0;
+  }
+
+  /**
+   * Lower terrain into a river valley
+   * The valley slopes down to banks just above sea level; the channel in
+   * its middle drops below sea level, deepest along the center line. Terrain
+   * that is already lower (the sea floor) is left alone
+   * @param {number} height - Terrain height before rivers
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} Terrain height
+   */
+  carveRiver(height, worldX, worldZ) {
+    const { enabled, channelWidth, depth } = this.config.rivers;
+    if (!enabled) return height;
+
+    const factor = this.getRiverFactor(worldX, worldZ);
+    if (factor === 0) return height;
+
+    const bankHeight = this.seaLevel + 1;
+    const channelStart = 1 - channelWidth;
+    if (factor < channelStart) {
+      if (height <= bankHeight) return height;
+      const t = factor / channelStart;
+      return height + (bankHeight - height) * t * t * (3 - 2 * t); // Smoothstep
+    }
+
+    const t = (factor - channelStart) / channelWidth;
+    return Math.min(height, this.seaLevel - 1 - depth * t);
+  }
+
+  /**
+   * Surface block for a river, lake or sea bed: patches of gravel in the
+   * biome's beach block
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @param {object} biome - Biome of the column
+   * @returns {number} Block type
+   */
+  getBedBlock(worldX, worldZ, biome) {
+    const noise = this.bedNoise.noise2D(worldX * 0.08, worldZ * 0.08);
+    return noise > this.config.gravelThreshold ? BlockTypes.GRAVEL : biome.beachBlock;
+  }
+
+  /**
+   * Whether a surface this high is a bank (sand rather than the biome's
+   * surface block)
+   * @param {number} surfaceHeight - Y of the column's top block
+   * @returns {boolean} True for banks
+   */
+  isBank(surfaceHeight) {
+    return surfaceHeight >= this.seaLevel && surfaceHeight <= this.seaLevel + this.config.bankHeight;
+  }
+
+  /**
+   * Carve a lake into a chunk, if the chunk gets one
+   * The lake is a blob of overlapping ellipsoids sunk into the ground at a
+   * random spot above sea level: the lower half fills with water and the
+   * upper half is cleared. It is only placed if every block around the
+   * water is solid, so lakes end up in basins and flat ground, never
+   * spilling down a slope. Solid ground touching the water becomes a bed
+   * of sand or gravel
+   * @param {Chunk} chunk - Chunk with its terrain in place
+   * @param {BiomeGenerator} biomeGenerator - Biome lookup (biomes without
+   *   hasWater get no lakes)
+   */
+  placeLake(chunk, biomeGenerator) {
+    const { enabled, chance, size, height } = this.config.lakes;
+    if (!enabled) return;
+
+    const random = createChunkRandom(this.seed, chunk, RandomSalts.LAKES);
+    if (random() >= chance) return;
+
+    // Blob in a size x height x size box that stays inside the chunk
+    const boxX = Math.floor(random() * (chunk.size - size + 1));
+    const boxZ = Math.floor(random() * (chunk.size - size + 1));
+    const blob = new Uint8Array(size * size * height);
+    const index = (x, y, z) => x + z * size + y * size * size;
+    const blobs = 4 + Math.floor(random() * 4);
+    for (let i = 0; i < blobs; i++) {
+      const radiusX = (random() * 6 + 3) / 2;
+      const radiusY = (random() * 4 + 2) / 2;
+      const radiusZ = (random() * 6 + 3) / 2;
+      const centerX = radiusX + 1 + random() * (size - radiusX * 2 - 2);
+      const centerY = radiusY + 1 + random() * (height - radiusY * 2 - 2);
+      const centerZ = radiusZ + 1 + random() * (size - radiusZ * 2 - 2);
+
+      for (let x = 1; x < size - 1; x++) {
+        for (let z = 1; z < size - 1; z++) {
+          for (let y = 1; y < height - 1; y++) {
+            const dx = (x + 0.5 - centerX) / radiusX;
+            const dy = (y + 0.5 - centerY) / radiusY;
+            const dz = (z + 0.5 - centerZ) / radiusZ;
+            if (dx * dx + dy * dy + dz * dz < 1) blob[index(x, y, z)] = 1;
+          }
+        }
+      }
+    }
+
+    // Sink the box so the water surface sits one block below the ground
+    const middleX = boxX + (size >> 1);
+    const middleZ = boxZ + (size >> 1);
+    const biome = biomeGenerator.getBiome(chunk.x * chunk.size + middleX, chunk.z * chunk.size + middleZ);
+    if (!biome.hasWater) return;
+
+    let surface = chunk.height - 1;
+    while (surface > 0 && chunk.getBlock(middleX, surface, middleZ) === BlockTypes.AIR) surface--;
+    if (surface <= this.seaLevel + 1) return; // Low ground already fills from the sea
+
+    const waterHeight = height >> 1;
+    const baseY = surface - waterHeight;
+    if (baseY < 1 || baseY + height >= chunk.height) return;
+
+    const inBlob = (x, y, z) => x >= 0 && x < size && z >= 0 && z < size && y >= 0 && y < height &&
+      blob[index(x, y, z)] === 1;
+    const neighbors = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1], [0, -1, 0], [0, 1, 0]];
+
+    // Water needs solid ground around it, and the cleared space must not
+    // open into existing water
+    for (let x = 0; x < size; x++) {
+      for (let z = 0; z < size; z++) {
+        for (let y = 0; y < height; y++) {
+          if (!inBlob(x, y, z)) continue;
+          for (const [dx, dy, dz] of neighbors) {
+            if (inBlob(x + dx, y + dy, z + dz)) continue;
+            const block = chunk.getBlock(boxX + x + dx, baseY + y + dy, boxZ + z + dz);
+            const submerged = y + dy < waterHeight;
+            if (submerged ? !getBlockById(block).isSolid() : getBlockById(block).isLiquid()) return;
+          }
+        }
+      }
+    }
+
+    for (let x = 0; x < size; x++) {
+      for (let z = 0; z < size; z++) {
+        for (let y = 0; y < height; y++) {
+          if (!inBlob(x, y, z)) continue;
+          const water = y < waterHeight;
+          chunk.setBlock(boxX + x, baseY + y, boxZ + z, water ? BlockTypes.WATER : BlockTypes.AIR);
+          if (!water) continue;
+
+          // Bed and banks
+          for (const [dx, dy, dz] of neighbors) {
+            if (dy > 0 || inBlob(x + dx, y + dy, z + dz)) continue;
+            const bedX = boxX + x + dx;
+            const bedY = baseY + y + dy;
+            const bedZ = boxZ + z + dz;
+            const block = chunk.getBlock(bedX, bedY, bedZ);
+            if (block === biome.surfaceBlock || block === biome.subsurfaceBlock) {
+              chunk.setBlock(bedX, bedY, bedZ, this.getBedBlock(
+                chunk.x * chunk.size + bedX, chunk.z * chunk.size + bedZ, biome
+              ));
+            }
+          }
+        }
+      }
+    }
+  }
+}
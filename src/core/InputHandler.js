@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { BlockTypes } from '../config.js';
+import { WorldConfig, BlockTypes } from '../config.js';
 
 export class InputHandler {
   constructor(camera, chunkManager, renderer) {
@@ -10,7 +10,7 @@ export class InputHandler {
     this.raycaster = new THREE.Raycaster();
     this.raycaster.far = 10; // Max reach distance
     
-    this.selectedBlockType = BlockType.STONE;
+    this.selectedBlockType = BlockTypes.STONE;
     
     // Bind event handlers
     this.onMouseDown = this.onMouseDown.bind(this);
@@ -101,7 +101,7 @@ export class InputHandler {
     const { x, y, z } = hit.breakPosition;
     
     // Validate position
-    if (y < 0 || y >= 128) return;
+    if (y < 0 || y >= WorldConfig.chunkHeight) return;
     
     // Get chunk coordinates
     const chunkX = Math.floor(x / 16);
@@ -117,12 +117,12 @@ export class InputHandler {
     
     // Check if block exists
     const currentBlock = chunk.getBlock(localX, y, localZ);
-    if (currentBlock === BlockType.AIR) return;
+    if (currentBlock === BlockTypes.AIR) return;
     
-    // Break block
-    chunk.setBlock(localX, y, localZ, BlockType.AIR);
+    // Break block (through the chunk manager, which also updates lighting)
+    this.chunkManager.setBlock(x, y, z, BlockTypes.AIR);
     
-    // Update chunk mesh
+    // Update mesh of the edited section (and any section sharing the face)
     this.renderer.updateChunkMesh(chunk);
     
     console.log(`Broke block at (${x}, ${y}, ${z})`);
@@ -135,7 +135,7 @@ export class InputHandler {
     const { x, y, z } = hit.placePosition;
     
     // Validate position
-    if (y < 0 || y >= 128) return;
+    if (y < 0 || y >= WorldConfig.chunkHeight) return;
     
     // Check if placement position collides with player
     const playerPos = this.camera.position;
@@ -163,12 +163,12 @@ export class InputHandler {
     
     // Check if position is already occupied
     const currentBlock = chunk.getBlock(localX, y, localZ);
-    if (currentBlock !== BlockType.AIR) return;
+    if (currentBlock !== BlockTypes.AIR) return;
     
-    // Place block
-    chunk.setBlock(localX, y, localZ, this.selectedBlockType);
+    // Place block (through the chunk manager, which also updates lighting)
+    this.chunkManager.setBlock(x, y, z, this.selectedBlockType);
     
-    // Update chunk mesh
+    // Update mesh of the edited section (and any section sharing the face)
     this.renderer.updateChunkMesh(chunk);
     
     console.log(`Placed block type ${this.selectedBlockType} at (${x}, ${y}, ${z})`);
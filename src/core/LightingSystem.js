@@ -1,52 +1,77 @@
-import { BlockTypes, getBlockById } from '../config.js';
+import { BlocksById } from '../config.js';
 
 /**
  * LightingSystem - Calculates voxel lighting using light propagation
- * Supports sunlight and block light sources
- * Uses flood-fill algorithm for light propagation
+ * Supports sunlight and colored block light: sources emit Block.lightLevel
+ * tinted by Block.lightColor, and the red, green and blue channels spread
+ * independently, so translucent blocks can filter them (Block.lightTint)
+ * Uses breadth-first flood fills that cross chunk borders through the
+ * ChunkManager, and a "darkness" pass to remove light when blocks change
+ *
+ * Light is stored per block as skylight << 12 | red << 8 | green << 4 | blue
+ * (see Chunk.getLight).
+ * Each light change marks the meshes that sample it for a rebuild.
  */
+
+// Bit shift of each channel in packed light values
+const SKY = 12;
+const RED = 8;
+const GREEN = 4;
+const BLUE = 0;
+const BLOCK_CHANNELS = [RED, GREEN, BLUE];
+const CHANNELS = [SKY, RED, GREEN, BLUE];
+
+// Extra levels a fully filtered-out color channel loses per tinted block
+const TINT_ABSORPTION = 15;
+
+// Neighbor offsets; straight down gets the full-sunlight rule in spreadLight
+const DIRECTIONS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1],
+];
+const DOWN = 3;
+
 export class LightingSystem {
-    constructor(chunkManager) {
+    /**
+     * @param {ChunkManager|null} chunkManager - Loaded chunks light can spread
+     *   into; without one, light stays inside the chunk being lit
+     */
+    constructor(chunkManager = null) {
         this.chunkManager = chunkManager;
         
         // Lighting configuration
         this.maxLightLevel = 15; // 0 = dark, 15 = brightest
         this.sunlightLevel = 15;
+        this.skylightScale = 1; // Time of day: 1 = full daylight (see WorldClock)
         
-        // Light sources (blocks that emit light)
-        this.lightSources = new Map([
-            [BlockTypes.LAVA, 15],
-            // Can add more light-emitting blocks here
-        ]);
-        
-        // Pending light updates
-        this.lightUpdates = new Set();
-    }
+        // Per channel and block id: light emitted, and light lost passing
+        // through (15 = opaque). Sunlight is white and ignores tints
+        this.emission = {};
+        this.opacity = {};
+        for (const shift of CHANNELS) {
+            this.emission[shift] = new Uint8Array(BlocksById.length);
+            this.opacity[shift] = new Uint8Array(BlocksById.length);
+        }
+        BlocksById.forEach((block, id) => {
+            this.opacity[SKY][id] = Math.min(block.opacity, this.maxLightLevel);
+            for (const shift of BLOCK_CHANNELS) {
+                const colorShift = shift * 2; // Hex color byte for this channel
+                const emitted = (block.lightColor >> colorShift) & 0xFF;
+                const passed = (block.lightTint >> colorShift) & 0xFF;
 
-    /**
-     * Calculate lighting for a chunk
-     * @param {Chunk} chunk - The chunk to light
-     */
-    calculateChunkLighting(chunk) {
-        // Initialize light values
-        this.initializeLightData(chunk);
-        
-        // Propagate sunlight from top
-        this.propagateSunlight(chunk);
+                this.emission[shift][id] = block.emitsLight()
+                    ? Math.round(block.lightLevel * emitted / 255)
+                    : 0;
+                this.opacity[shift][id] = Math.min(
+                    block.opacity + Math.round((255 - passed) / 255 * TINT_ABSORPTION),
+                    this.maxLightLevel
+                );
+            }
+        });
         
-        // Propagate block lights
-        this.propagateBlockLight(chunk);
-    }
-
-    /**
-     * Initialize light data for chunk
-     * @param {Chunk} chunk - The chunk
-     */
-    initializeLightData(chunk) {
-        if (!chunk.lightData) {
-            // Create light data array: skylight (4 bits) + blocklight (4 bits) = 1 byte per block
-            chunk.lightData = new Uint8Array(chunk.size * chunk.height * chunk.size);
-        }
+        // Reused result of locate()
+        this.located = { chunk: null, x: 0, z: 0 };
     }
 
     /**
@@ -55,18 +80,25 @@ export class LightingSystem {
      * @param {number} x - Local X
      * @param {number} y - Y coordinate
      * @param {number} z - Local Z
-     * @returns {object} {skylight, blocklight}
+     * @returns {object} {skylight, blocklight, red, green, blue}, where
+     *   blocklight is the brightest of the three color channels
      */
     getLightAt(chunk, x, y, z) {
-        if (!chunk.lightData) return { skylight: 15, blocklight: 0 };
-        
-        const index = this.getIndex(chunk, x, y, z);
-        if (index === -1) return { skylight: 15, blocklight: 0 };
+        if (!chunk.isValidPosition(x, y, z)) {
+            return { skylight: 15, blocklight: 0, red: 0, green: 0, blue: 0 };
+        }
         
-        const value = chunk.lightData[index];
+        // Skylight + RGB block light, 4 bits each = 2 bytes per block, stored per section
+        const value = chunk.getLight(x, y, z);
+        const red = (value >> RED) & 0xF;
+        const green = (value >> GREEN) & 0xF;
+        const blue = (value >> BLUE) & 0xF;
         return {
-            skylight: (value >> 4) & 0xF, // Upper 4 bits
-            blocklight: value & 0xF // Lower 4 bits
+            skylight: (value >> SKY) & 0xF, // Upper 4 bits
+            blocklight: Math.max(red, green, blue),
+            red,
+            green,
+            blue
         };
     }
 
@@ -77,240 +109,399 @@ export class LightingSystem {
      * @param {number} y - Y coordinate
      * @param {number} z - Local Z
      * @param {number} skylight - Sky light level (0-15)
-     * @param {number} blocklight - Block light level (0-15)
+     * @param {number} red - Red block light level (0-15); alone, white light
+     * @param {number} green - Green block light level (0-15)
+     * @param {number} blue - Blue block light level (0-15)
      */
-    setLightAt(chunk, x, y, z, skylight, blocklight) {
-        if (!chunk.lightData) this.initializeLightData(chunk);
-        
-        const index = this.getIndex(chunk, x, y, z);
-        if (index === -1) return;
+    setLightAt(chunk, x, y, z, skylight, red, green = red, blue = red) {
+        if (!chunk.isValidPosition(x, y, z)) return;
         
-        // Pack both values into one byte
-        chunk.lightData[index] = ((skylight & 0xF) << 4) | (blocklight & 0xF);
+        // Pack all four channels into two bytes
+        chunk.setLight(x, y, z,
+            ((skylight & 0xF) << SKY) | ((red & 0xF) << RED) | ((green & 0xF) << GREEN) | ((blue & 0xF) << BLUE));
+        chunk.markMeshDirty(x, y, z);
+    }
+
+    // Dim stored skylight for the time of day (stored levels don't change)
+    setSkylightScale(scale) {
+        this.skylightScale = Math.min(Math.max(scale, 0), 1);
     }
 
     /**
-     * Get array index from coordinates
+     * Light level a block currently receives, with skylight scaled for the
+     * time of day
      * @param {Chunk} chunk - The chunk
      * @param {number} x - Local X
-     * @param {number} y - Y coordinate
+     * @param {number} y - Y
      * @param {number} z - Local Z
-     * @returns {number} Array index or -1 if out of bounds
+     * @returns {number} Light level (0-15)
+     */
+    getEffectiveLightAt(chunk, x, y, z) {
+        const { skylight, blocklight } = this.getLightAt(chunk, x, y, z);
+        return Math.max(Math.round(skylight * this.skylightScale), blocklight);
+    }
+
+    // Light lost entering a block in a channel (15 = blocks light completely)
+    getOpacity(blockType, shift = SKY) {
+        return this.opacity[shift][blockType] ?? this.maxLightLevel;
+    }
+
+    // Light emitted by a block in a channel
+    getEmission(blockType, shift) {
+        return this.emission[shift][blockType] ?? 0;
+    }
+
+    getChannel(chunk, x, y, z, shift) {
+        return (chunk.getLight(x, y, z) >> shift) & 0xF;
+    }
+
+    setChannel(chunk, x, y, z, shift, level) {
+        const value = chunk.getLight(x, y, z);
+        chunk.setLight(x, y, z, (value & ~(0xF << shift)) | (level << shift));
+        chunk.markMeshDirty(x, y, z);
+    }
+
+    /**
+     * Find the chunk holding a position given relative to another chunk
+     * @param {Chunk} chunk - Chunk the coordinates are local to
+     * @param {number} x - Local X, may be outside the chunk
+     * @param {number} y - Y coordinate
+     * @param {number} z - Local Z, may be outside the chunk
+     * @param {boolean} local - True to stay inside the chunk
+     * @returns {object|null} Shared { chunk, x, z } (copy before the next call),
+     *   or null if outside the world or in a chunk that isn't loaded
+     */
+    locate(chunk, x, y, z, local) {
+        if (y < 0 || y >= chunk.height) return null;
+        
+        const located = this.located;
+        const size = chunk.size;
+        if (x >= 0 && x < size && z >= 0 && z < size) {
+            located.chunk = chunk;
+            located.x = x;
+            located.z = z;
+            return located;
+        }
+        if (local || !this.chunkManager) return null;
+        
+        const dx = Math.floor(x / size);
+        const dz = Math.floor(z / size);
+        const neighbor = this.chunkManager.getChunk(chunk.x + dx, chunk.z + dz);
+        if (!neighbor) return null;
+        
+        located.chunk = neighbor;
+        located.x = x - dx * size;
+        located.z = z - dz * size;
+        return located;
+    }
+
+    // Height above which a chunk holds nothing but air in full sunlight
+    getLitTop(chunk) {
+        for (let sectionY = chunk.sectionCount - 1; sectionY >= 0; sectionY--) {
+            if (chunk.sections[sectionY]) {
+                return (sectionY + 1) * chunk.sectionHeight;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Calculate lighting for a chunk from scratch, ignoring its neighbors
+     * (onChunkLoaded exchanges light with them once the chunk is in the world)
+     * @param {Chunk} chunk - The chunk to light
      */
-    getIndex(chunk, x, y, z) {
-        if (x < 0 || x >= chunk.size || z < 0 || z >= chunk.size) return -1;
-        if (y < 0 || y >= chunk.height) return -1;
+    calculateChunkLighting(chunk) {
+        // Reset to the default: full sunlight, no block light
+        for (let sectionY = 0; sectionY < chunk.sectionCount; sectionY++) {
+            if (chunk.sections[sectionY]) {
+                chunk.sections[sectionY].lightData = null;
+                chunk.releaseSectionIfEmpty(sectionY);
+            }
+        }
+        
+        const top = this.getLitTop(chunk);
+        if (top === 0) return;
+        
+        // Propagate sunlight from top
+        const sunlitFrom = this.propagateSunlight(chunk, top);
+        this.spreadLight(this.findSkylightSeeds(chunk, sunlitFrom), SKY, true);
         
-        return x + (z * chunk.size) + (y * chunk.size * chunk.size);
+        // Propagate block lights, one color channel at a time
+        const sources = this.findLightSources(chunk, top);
+        for (const shift of BLOCK_CHANNELS) {
+            this.spreadLight(sources.slice(), shift, true);
+        }
     }
 
     /**
-     * Propagate sunlight from top of chunk
+     * Cast sunlight straight down each column, fading through translucent blocks
      * @param {Chunk} chunk - The chunk
+     * @param {number} top - Height to start from (everything above is lit)
+     * @returns {Int16Array} Per column (x + z * size), the lowest y from which
+     *   the column is in full sunlight all the way up
      */
-    propagateSunlight(chunk) {
-        for (let x = 0; x < chunk.size; x++) {
-            for (let z = 0; z < chunk.size; z++) {
+    propagateSunlight(chunk, top) {
+        const size = chunk.size;
+        const sunlitFrom = new Int16Array(size * size);
+        
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
                 let lightLevel = this.sunlightLevel;
+                let lowestSunlit = top;
                 
-                // Propagate sunlight downward
-                for (let y = chunk.height - 1; y >= 0; y--) {
-                    const blockType = chunk.getBlock(x, y, z);
-                    const block = getBlockById(blockType);
-                    
-                    if (blockType === BlockTypes.AIR || !block || !block.isSolid()) {
-                        // Air or transparent block - light passes through
-                        const current = this.getLightAt(chunk, x, y, z);
-                        this.setLightAt(chunk, x, y, z, lightLevel, current.blocklight);
-                    } else {
-                        // Solid block - blocks light
-                        lightLevel = 0;
-                        const current = this.getLightAt(chunk, x, y, z);
-                        this.setLightAt(chunk, x, y, z, 0, current.blocklight);
+                for (let y = top - 1; y >= 0; y--) {
+                    const opacity = this.getOpacity(chunk.getBlock(x, y, z));
+                    lightLevel = Math.max(0, lightLevel - opacity);
+                    if (lightLevel === this.sunlightLevel) {
+                        lowestSunlit = y;
                     }
+                    chunk.setLight(x, y, z, lightLevel << SKY);
                 }
+                
+                sunlitFrom[x + z * size] = lowestSunlit;
             }
         }
         
-        // Propagate sunlight horizontally
-        this.propagateLightHorizontal(chunk, true);
+        return sunlitFrom;
     }
 
     /**
-     * Propagate block light from light sources
+     * Cells that can pass skylight sideways: lit cells beside a column whose
+     * sunlight stops higher up, and dimmed cells under translucent blocks
      * @param {Chunk} chunk - The chunk
+     * @param {Int16Array} sunlitFrom - Output of propagateSunlight
+     * @returns {Array} Spread queue (see spreadLight)
      */
-    propagateBlockLight(chunk) {
-        // Find all light sources
-        const lightSources = [];
+    findSkylightSeeds(chunk, sunlitFrom) {
+        const size = chunk.size;
+        const queue = [];
         
-        for (let x = 0; x < chunk.size; x++) {
-            for (let y = 0; y < chunk.height; y++) {
-                for (let z = 0; z < chunk.size; z++) {
-                    const blockType = chunk.getBlock(x, y, z);
-                    const lightLevel = this.lightSources.get(blockType);
-                    
-                    if (lightLevel) {
-                        const current = this.getLightAt(chunk, x, y, z);
-                        this.setLightAt(chunk, x, y, z, current.skylight, lightLevel);
-                        lightSources.push({ x, y, z, level: lightLevel });
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                let seedTop = sunlitFrom[x + z * size];
+                if (x > 0) seedTop = Math.max(seedTop, sunlitFrom[x - 1 + z * size]);
+                if (x < size - 1) seedTop = Math.max(seedTop, sunlitFrom[x + 1 + z * size]);
+                if (z > 0) seedTop = Math.max(seedTop, sunlitFrom[x + (z - 1) * size]);
+                if (z < size - 1) seedTop = Math.max(seedTop, sunlitFrom[x + (z + 1) * size]);
+                
+                for (let y = 0; y < seedTop; y++) {
+                    if (this.getChannel(chunk, x, y, z, SKY) > 1) {
+                        queue.push(chunk, x, y, z);
                     }
                 }
             }
         }
         
-        // Propagate light from sources
-        for (const source of lightSources) {
-            this.propagateLightFromSource(chunk, source.x, source.y, source.z, source.level, false);
-        }
+        return queue;
     }
 
     /**
-     * Propagate light horizontally using BFS
+     * Light every emitting block at full strength in each color channel
      * @param {Chunk} chunk - The chunk
-     * @param {boolean} isSkylight - True for skylight, false for blocklight
+     * @param {number} top - Height above which the chunk is empty
+     * @returns {Array} Spread queue of the sources (see spreadLight)
      */
-    propagateLightHorizontal(chunk, isSkylight) {
+    findLightSources(chunk, top) {
         const queue = [];
         
-        // Add all lit blocks to queue
-        for (let x = 0; x < chunk.size; x++) {
-            for (let y = 0; y < chunk.height; y++) {
-                for (let z = 0; z < chunk.size; z++) {
-                    const light = this.getLightAt(chunk, x, y, z);
-                    const level = isSkylight ? light.skylight : light.blocklight;
-                    
-                    if (level > 0) {
-                        queue.push({ x, y, z, level });
+        for (let y = 0; y < top; y++) {
+            const section = chunk.sections[chunk.getSectionY(y)];
+            if (!section || !section.hasBlocks()) continue;
+            
+            for (let z = 0; z < chunk.size; z++) {
+                for (let x = 0; x < chunk.size; x++) {
+                    const blockType = chunk.getBlock(x, y, z);
+                    let emits = false;
+                    for (const shift of BLOCK_CHANNELS) {
+                        const emission = this.getEmission(blockType, shift);
+                        if (emission > 0) {
+                            this.setChannel(chunk, x, y, z, shift, emission);
+                            emits = true;
+                        }
+                    }
+                    if (emits) {
+                        queue.push(chunk, x, y, z);
                     }
                 }
             }
         }
         
-        // BFS propagation
-        while (queue.length > 0) {
-            const { x, y, z, level } = queue.shift();
-            
+        return queue;
+    }
+
+    /**
+     * Flood light outward from queued cells (BFS)
+     * Each step loses max(1, opacity) levels; full sunlight moving straight
+     * down through clear blocks doesn't fade
+     * @param {Array} queue - Flat list of (chunk, x, y, z) cells to spread from;
+     *   grows while running
+     * @param {number} shift - Channel (SKY, RED, GREEN or BLUE)
+     * @param {boolean} local - True to keep light inside the starting chunks
+     */
+    spreadLight(queue, shift, local = false) {
+        for (let head = 0; head < queue.length; head += 4) {
+            const chunk = queue[head];
+            const x = queue[head + 1];
+            const y = queue[head + 2];
+            const z = queue[head + 3];
+            const level = this.getChannel(chunk, x, y, z, shift);
             if (level <= 1) continue; // Light too weak to propagate
             
-            const neighbors = [
-                [x + 1, y, z], [x - 1, y, z],
-                [x, y + 1, z], [x, y - 1, z],
-                [x, y, z + 1], [x, y, z - 1]
-            ];
-            
-            for (const [nx, ny, nz] of neighbors) {
-                if (nx < 0 || nx >= chunk.size || nz < 0 || nz >= chunk.size) continue;
-                if (ny < 0 || ny >= chunk.height) continue;
-                
-                const neighborBlock = chunk.getBlock(nx, ny, nz);
-                const block = getBlockById(neighborBlock);
+            for (let d = 0; d < DIRECTIONS.length; d++) {
+                const [dx, dy, dz] = DIRECTIONS[d];
+                const ny = y + dy;
+                const target = this.locate(chunk, x + dx, ny, z + dz, local);
+                if (!target) continue;
+                const { chunk: neighborChunk, x: nx, z: nz } = target;
                 
-                // Only propagate through air/transparent blocks
-                if (neighborBlock !== BlockTypes.AIR && block && block.isSolid()) continue;
+                const opacity = this.getOpacity(neighborChunk.getBlock(nx, ny, nz), shift);
+                if (opacity >= this.maxLightLevel) continue;
                 
-                const neighborLight = this.getLightAt(chunk, nx, ny, nz);
-                const currentLevel = isSkylight ? neighborLight.skylight : neighborLight.blocklight;
-                const newLevel = level - 1;
+                const straightSunlight = shift === SKY && d === DOWN &&
+                    level === this.sunlightLevel && opacity === 0;
+                const newLevel = straightSunlight ? level : level - Math.max(1, opacity);
                 
-                if (newLevel > currentLevel) {
-                    if (isSkylight) {
-                        this.setLightAt(chunk, nx, ny, nz, newLevel, neighborLight.blocklight);
-                    } else {
-                        this.setLightAt(chunk, nx, ny, nz, neighborLight.skylight, newLevel);
-                    }
-                    queue.push({ x: nx, y: ny, z: nz, level: newLevel });
+                if (newLevel > this.getChannel(neighborChunk, nx, ny, nz, shift)) {
+                    this.setChannel(neighborChunk, nx, ny, nz, shift, newLevel);
+                    queue.push(neighborChunk, nx, ny, nz);
                 }
             }
         }
     }
 
     /**
-     * Propagate light from a specific source
-     * @param {Chunk} chunk - The chunk
-     * @param {number} x - Source X
-     * @param {number} y - Source Y
-     * @param {number} z - Source Z
-     * @param {number} lightLevel - Initial light level
-     * @param {boolean} isSkylight - True for skylight
+     * Remove light that came from already-darkened cells (BFS "darkness" pass)
+     * Neighbors dimmer than the removed light were lit by it and go dark too;
+     * brighter ones have another source and are queued to light the gap back up
+     * @param {Array} queue - Flat list of (chunk, x, y, z, oldLevel) cells
+     *   already set to 0; grows while running
+     * @param {number} shift - Channel (SKY, RED, GREEN or BLUE)
+     * @param {Array} relight - Spread queue receiving cells to spread from after
      */
-    propagateLightFromSource(chunk, x, y, z, lightLevel, isSkylight) {
-        const queue = [{ x, y, z, level: lightLevel }];
-        const visited = new Set();
-        
-        while (queue.length > 0) {
-            const { x: cx, y: cy, z: cz, level } = queue.shift();
-            const key = `${cx},${cy},${cz}`;
-            
-            if (visited.has(key)) continue;
-            visited.add(key);
+    removeLight(queue, shift, relight) {
+        for (let head = 0; head < queue.length; head += 5) {
+            const chunk = queue[head];
+            const x = queue[head + 1];
+            const y = queue[head + 2];
+            const z = queue[head + 3];
+            const level = queue[head + 4];
             
-            if (level <= 0) continue;
-            
-            const neighbors = [
-                [cx + 1, cy, cz], [cx - 1, cy, cz],
-                [cx, cy + 1, cz], [cx, cy - 1, cz],
-                [cx, cy, cz + 1], [cx, cy, cz - 1]
-            ];
-            
-            for (const [nx, ny, nz] of neighbors) {
-                if (nx < 0 || nx >= chunk.size || nz < 0 || nz >= chunk.size) continue;
-                if (ny < 0 || ny >= chunk.height) continue;
+            for (let d = 0; d < DIRECTIONS.length; d++) {
+                const [dx, dy, dz] = DIRECTIONS[d];
+                const ny = y + dy;
+                const target = this.locate(chunk, x + dx, ny, z + dz, false);
+                if (!target) continue;
+                const { chunk: neighborChunk, x: nx, z: nz } = target;
                 
-                const blockType = chunk.getBlock(nx, ny, nz);
-                const block = getBlockById(blockType);
+                const neighborLevel = this.getChannel(neighborChunk, nx, ny, nz, shift);
+                if (neighborLevel === 0) continue;
                 
-                if (blockType !== BlockTypes.AIR && block && block.isSolid()) continue;
+                const litByRemoved = neighborLevel < level ||
+                    (shift === SKY && d === DOWN && level === this.sunlightLevel && neighborLevel === level);
+                if (!litByRemoved) {
+                    relight.push(neighborChunk, nx, ny, nz);
+                    continue;
+                }
                 
-                const currentLight = this.getLightAt(chunk, nx, ny, nz);
-                const currentLevel = isSkylight ? currentLight.skylight : currentLight.blocklight;
-                const newLevel = level - 1;
+                this.setChannel(neighborChunk, nx, ny, nz, shift, 0);
+                queue.push(neighborChunk, nx, ny, nz, neighborLevel);
                 
-                if (newLevel > currentLevel) {
-                    if (isSkylight) {
-                        this.setLightAt(chunk, nx, ny, nz, newLevel, currentLight.blocklight);
-                    } else {
-                        this.setLightAt(chunk, nx, ny, nz, currentLight.skylight, newLevel);
-                    }
-                    queue.push({ x: nx, y: ny, z: nz, level: newLevel });
+                // Light sources inside the darkened area relight themselves
+                const emission = shift === SKY ? 0 : this.getEmission(neighborChunk.getBlock(nx, ny, nz), shift);
+                if (emission > 0) {
+                    this.setChannel(neighborChunk, nx, ny, nz, shift, emission);
+                    relight.push(neighborChunk, nx, ny, nz);
                 }
             }
         }
     }
 
     /**
-     * Update lighting when a block changes
-     * @param {Chunk} chunk - The chunk
-     * @param {number} x - Local X
-     * @param {number} y - Y coordinate
-     * @param {number} z - Local Z
-     * @param {number} oldBlockType - Previous block type
-     * @param {number} newBlockType - New block type
+     * Exchange light with the loaded chunks beside a newly added chunk
+     * @param {Chunk} chunk - The chunk just added to the ChunkManager
      */
-    onBlockChange(chunk, x, y, z, oldBlockType, newBlockType) {
-        // Recalculate lighting for this position and neighbors
-        this.recalculateLight(chunk, x, y, z);
+    onChunkLoaded(chunk) {
+        if (!this.chunkManager) return;
         
-        // If new block is a light source, propagate its light
-        const lightLevel = this.lightSources.get(newBlockType);
-        if (lightLevel) {
-            this.propagateLightFromSource(chunk, x, y, z, lightLevel, false);
+        const size = chunk.size;
+        const last = size - 1;
+        for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const neighbor = this.chunkManager.getChunk(chunk.x + dx, chunk.z + dz);
+            if (!neighbor) continue;
+            
+            const top = Math.max(this.getLitTop(chunk), this.getLitTop(neighbor));
+            for (const shift of CHANNELS) {
+                const queue = [];
+                for (let i = 0; i < size; i++) {
+                    // Border cell on this side and the cell touching it across the border
+                    const ax = dx === 0 ? i : (dx > 0 ? last : 0);
+                    const az = dz === 0 ? i : (dz > 0 ? last : 0);
+                    const bx = dx === 0 ? i : last - ax;
+                    const bz = dz === 0 ? i : last - az;
+                    
+                    for (let y = 0; y < top; y++) {
+                        const a = this.getChannel(chunk, ax, y, az, shift);
+                        const b = this.getChannel(neighbor, bx, y, bz, shift);
+                        if (a > b + 1) {
+                            queue.push(chunk, ax, y, az);
+                        } else if (b > a + 1) {
+                            queue.push(neighbor, bx, y, bz);
+                        }
+                    }
+                }
+                this.spreadLight(queue, shift);
+            }
         }
     }
 
     /**
-     * Recalculate light at a specific position
+     * Update lighting when a block changes
+     * Removes the light that passed through or came from the old block, then
+     * spreads light back in from the surroundings and any new light source
      * @param {Chunk} chunk - The chunk
      * @param {number} x - Local X
      * @param {number} y - Y coordinate
      * @param {number} z - Local Z
+     * @param {number} oldBlockType - Previous block type
+     * @param {number} newBlockType - New block type
      */
-    recalculateLight(chunk, x, y, z) {
-        // Reset light to 0
-        this.setLightAt(chunk, x, y, z, 0, 0);
+    onBlockChange(chunk, x, y, z, oldBlockType, newBlockType) {
+        if (oldBlockType === newBlockType) return;
         
-        // Recalculate from neighbors and sunlight
-        // This is a simplified version - full implementation would need
-        // more sophisticated light removal/addition algorithms
+        for (const shift of CHANNELS) {
+            const relight = [];
+            
+            const level = this.getChannel(chunk, x, y, z, shift);
+            if (level > 0) {
+                this.setChannel(chunk, x, y, z, shift, 0);
+                this.removeLight([chunk, x, y, z, level], shift, relight);
+            }
+            
+            // Sunlight enters the top layer straight from the sky
+            if (shift === SKY && y === chunk.height - 1) {
+                const skylight = Math.max(0, this.sunlightLevel - this.getOpacity(newBlockType));
+                if (skylight > 0) {
+                    this.setChannel(chunk, x, y, z, shift, skylight);
+                    relight.push(chunk, x, y, z);
+                }
+            }
+            
+            // If new block is a light source, propagate its light
+            const emission = shift === SKY ? 0 : this.getEmission(newBlockType, shift);
+            if (emission > 0) {
+                this.setChannel(chunk, x, y, z, shift, emission);
+                relight.push(chunk, x, y, z);
+            }
+            
+            // Light from the surroundings flows back into the changed block
+            for (const [dx, dy, dz] of DIRECTIONS) {
+                const target = this.locate(chunk, x + dx, y + dy, z + dz, false);
+                if (target) {
+                    relight.push(target.chunk, target.x, y + dy, target.z);
+                }
+            }
+            
+            this.spreadLight(relight, shift);
+        }
     }
 }
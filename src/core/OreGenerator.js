@@ -1,96 +1,79 @@
 /**
  * OreGenerator.js - Generates ore veins in the world
  * Places coal, iron, gold, and diamond ores at appropriate depths
+ * Each chunk draws from its own random stream, so its ores don't depend
+ * on which chunks were generated before it
  */
 
 import { Blocks } from './Block.js';
 import { WorldConfig } from '../config.js';
+import { createChunkRandom, RandomSalts } from '../noise/SeededRandom.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
 
 export class OreGenerator {
   constructor(seed = 0) {
-    this.seed = seed;
-    this.random = this.seededRandom(seed);
-  }
-  
-  // Seeded random number generator
-  seededRandom(seed) {
-    let state = seed;
-    return () => {
-      state = (state * 9301 + 49297) % 233280;
-      return state / 233280;
-    };
+    this.seed = WorldSeed.from(seed).derive('ores');
   }
   
   /**
    * Generate ores in a chunk
    * @param {Chunk} chunk - The chunk to generate ores in
-   * @param {number} chunkX - Chunk X coordinate
-   * @param {number} chunkZ - Chunk Z coordinate
+   * @param {ChunkNoiseCache} noise - The chunk's noise fields (veins don't
+   *   start in biomes without hasOres)
    */
-  generateOres(chunk, chunkX, chunkZ) {
+  generateOres(chunk, noise) {
     const oreConfig = WorldConfig.ores;
+    const random = createChunkRandom(this.seed, chunk, RandomSalts.ORES);
     
     // Generate coal veins
-    this.generateOreType(
-      chunk, chunkX, chunkZ,
-      Blocks.COAL_ORE.id,
-      oreConfig.coal
-    );
+    this.generateOreType(chunk, Blocks.COAL_ORE.id, oreConfig.coal, random, noise);
     
     // Generate iron veins
-    this.generateOreType(
-      chunk, chunkX, chunkZ,
-      Blocks.IRON_ORE.id,
-      oreConfig.iron
-    );
+    this.generateOreType(chunk, Blocks.IRON_ORE.id, oreConfig.iron, random, noise);
     
     // Generate gold veins
-    this.generateOreType(
-      chunk, chunkX, chunkZ,
-      Blocks.GOLD_ORE.id,
-      oreConfig.gold
-    );
+    this.generateOreType(chunk, Blocks.GOLD_ORE.id, oreConfig.gold, random, noise);
     
     // Generate diamond veins
-    this.generateOreType(
-      chunk, chunkX, chunkZ,
-      Blocks.DIAMOND_ORE.id,
-      oreConfig.diamond
-    );
+    this.generateOreType(chunk, Blocks.DIAMOND_ORE.id, oreConfig.diamond, random, noise);
   }
   
   /**
    * Generate a specific ore type
+   * @param {Function} random - The chunk's ore stream
+   * @param {ChunkNoiseCache} noise - The chunk's noise fields (for biomes)
    */
-  generateOreType(chunk, chunkX, chunkZ, oreBlockId, config) {
+  generateOreType(chunk, oreBlockId, config, random, noise) {
     const { minHeight, maxHeight, veinSize, veinsPerChunk } = config;
     
     // Generate multiple veins per chunk
     for (let vein = 0; vein < veinsPerChunk; vein++) {
       // Random position in chunk
-      const x = Math.floor(this.random() * chunk.size);
-      const y = minHeight + Math.floor(this.random() * (maxHeight - minHeight));
-      const z = Math.floor(this.random() * chunk.size);
+      const x = Math.floor(random() * chunk.size);
+      const y = minHeight + Math.floor(random() * (maxHeight - minHeight));
+      const z = Math.floor(random() * chunk.size);
+      if (!noise.biomes[noise.getIndex(x, z)].hasOres) continue;
       
       // Check if the block at this position is stone
       if (chunk.getBlock(x, y, z) === Blocks.STONE.id) {
         // Generate vein
-        this.generateVein(chunk, x, y, z, oreBlockId, veinSize);
+        this.generateVein(chunk, x, y, z, oreBlockId, veinSize, random);
       }
     }
   }
   
   /**
    * Generate a single ore vein
+   * @param {Function} random - The chunk's ore stream
    */
-  generateVein(chunk, startX, startY, startZ, oreBlockId, size) {
+  generateVein(chunk, startX, startY, startZ, oreBlockId, size, random) {
     const positions = [[startX, startY, startZ]];
     
     for (let i = 0; i < size; i++) {
       if (positions.length === 0) break;
       
       // Pick a random position from the list
-      const idx = Math.floor(this.random() * positions.length);
+      const idx = Math.floor(random() * positions.length);
       const [x, y, z] = positions[idx];
       positions.splice(idx, 1);
       
@@ -109,7 +92,7 @@ export class OreGenerator {
           // Only add valid positions
           if (chunk.isValidPosition(nx, ny, nz)) {
             // Random chance to extend vein
-            if (this.random() > 0.5) {
+            if (random() > 0.5) {
               positions.push([nx, ny, nz]);
             }
           }
@@ -0,0 +1,108 @@
+/**
+ * PriorityQueue.js - Binary min-heap keyed by a numeric priority
+ * Lower priority values come out first (e.g. distance to the camera)
+ */
+export class PriorityQueue {
+  constructor() {
+    this.heap = [];  // { item, priority }
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Add an item
+   * @param {*} item - Queued item
+   * @param {number} priority - Lower values are popped first
+   */
+  push(item, priority) {
+    this.heap.push({ item, priority });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  /**
+   * Remove and return the item with the lowest priority
+   * @returns {*} The item, or undefined if empty
+   */
+  pop() {
+    if (this.heap.length === 0) return undefined;
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top.item;
+  }
+
+  /**
+   * Remove every item matching a predicate
+   * @param {Function} predicate - Receives the item
+   * @returns {Array} Removed items
+   */
+  remove(predicate) {
+    const removed = [];
+    const kept = [];
+    for (const entry of this.heap) {
+      (predicate(entry.item) ? removed : kept).push(entry);
+    }
+    if (removed.length > 0) {
+      this.heap = kept;
+      this.heapify();
+    }
+    return removed.map(entry => entry.item);
+  }
+
+  /**
+   * Recompute every priority (e.g. after the camera moved)
+   * @param {Function} getPriority - Receives the item, returns its new priority
+   */
+  reprioritize(getPriority) {
+    for (const entry of this.heap) {
+      entry.priority = getPriority(entry.item);
+    }
+    this.heapify();
+  }
+
+  // Remove all items
+  clear() {
+    const items = this.heap.map(entry => entry.item);
+    this.heap = [];
+    return items;
+  }
+
+  heapify() {
+    for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  siftUp(index) {
+    const heap = this.heap;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heap[parent].priority <= heap[index].priority) break;
+      [heap[parent], heap[index]] = [heap[index], heap[parent]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const heap = this.heap;
+    const length = heap.length;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && heap[left].priority < heap[smallest].priority) smallest = left;
+      if (right < length && heap[right].priority < heap[smallest].priority) smallest = right;
+      if (smallest === index) break;
+
+      [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+      index = smallest;
+    }
+  }
+}
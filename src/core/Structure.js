@@ -0,0 +1,547 @@
+/**
+ * Structure.js - Structures placed from block templates
+ * Templates (src/data/structures/templates) are layered block patterns;
+ * structures (src/data/structures) arrange one or more templates as pieces
+ * and say where they may appear. Both are checked when the module loads.
+ * StructureGenerator places them during world generation
+ */
+
+import { Blocks, getBlock, getBlockById } from './Block.js';
+import { Biomes } from './Biome.js';
+import { WorldConfig } from '../config.js';
+import { createPositionRandom } from '../noise/SeededRandom.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+
+// Template character that leaves the existing block in place
+const KEEP = ' ';
+
+// Where a structure sits: on the ground under each piece, or buried at a
+// random height between minY and maxY
+const PLACEMENTS = ['surface', 'underground'];
+
+// Check that a definition only has known fields
+function checkFields(definition, fields, source) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: expected an object`);
+  }
+  for (const field of Object.keys(definition)) {
+    if (!fields.includes(field)) {
+      throw new Error(`${source}: unknown field "${field}"`);
+    }
+  }
+}
+
+// Check an integer field, falling back to a default if it's missing
+function readInteger(definition, field, source, min = -Infinity, max = Infinity, fallback = undefined) {
+  const value = definition[field] ?? fallback;
+  if (value === undefined) {
+    throw new Error(`${source}: missing required field "${field}"`);
+  }
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${source}: "${field}" must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Check a namespaced block id such as "core:stone" and return the numeric id
+function readBlock(value, source, field) {
+  const block = typeof value === 'string' ? getBlock(value) : undefined;
+  if (!block) {
+    throw new Error(`${source}: "${field}" names unknown block "${value}"`);
+  }
+  return block.id;
+}
+
+/**
+ * StructureTemplate - A box of blocks drawn as layers of text
+ * layers run bottom to top; each layer is a list of rows along Z, each
+ * row a string with one character per block along X. palette maps
+ * characters to namespaced block ids, and a space keeps whatever is already there.
+ * foundation, if set, fills the ground under the bottom layer so the
+ * template doesn't float on slopes
+ */
+export class StructureTemplate {
+  constructor(key, width, height, depth, blocks, foundation = null) {
+    this.key = key;
+    this.width = width; // X
+    this.height = height; // Y
+    this.depth = depth; // Z
+    this.blocks = blocks; // Int16Array, x + z * width + y * width * depth, -1 = keep
+    this.foundation = foundation; // Block id or null
+  }
+
+  // Block id at template coordinates (-1 = keep)
+  getBlock(x, y, z) {
+    return this.blocks[x + z * this.width + y * this.width * this.depth];
+  }
+
+  /**
+   * Create a template from a JSON definition
+   * @param {object} definition - { key, palette, layers, foundation }
+   * @param {string} source - Where it came from, for error messages
+   * @returns {StructureTemplate} The template
+   */
+  static fromDefinition(definition, source = 'structure template') {
+    checkFields(definition, ['key', 'palette', 'layers', 'foundation'], source);
+    const { key, palette, layers } = definition;
+    if (typeof key !== 'string' || key === '') {
+      throw new Error(`${source}: "key" must be a non-empty string`);
+    }
+
+    if (!palette || typeof palette !== 'object' || Array.isArray(palette)) {
+      throw new Error(`${source}: "palette" must map characters to blocks`);
+    }
+    const blockIds = new Map();
+    for (const [character, block] of Object.entries(palette)) {
+      if (character.length !== 1 || character === KEEP) {
+        throw new Error(`${source}: palette keys must be single characters other than a space`);
+      }
+      blockIds.set(character, readBlock(block, source, `palette.${character}`));
+    }
+
+    if (!Array.isArray(layers) || layers.length === 0 || !layers.every(Array.isArray)) {
+      throw new Error(`${source}: "layers" must be a non-empty list of layers`);
+    }
+    const depth = layers[0].length;
+    const width = depth > 0 ? String(layers[0][0]).length : 0;
+    if (depth === 0 || width === 0) {
+      throw new Error(`${source}: layers must not be empty`);
+    }
+
+    const blocks = new Int16Array(width * depth * layers.length);
+    layers.forEach((rows, y) => {
+      if (rows.length !== depth || !rows.every(row => typeof row === 'string' && row.length === width)) {
+        throw new Error(`${source}: layer ${y} must have ${depth} rows of ${width} characters`);
+      }
+      rows.forEach((row, z) => {
+        for (let x = 0; x < width; x++) {
+          const character = row[x];
+          if (character !== KEEP && !blockIds.has(character)) {
+            throw new Error(`${source}: layer ${y} uses "${character}", which is not in the palette`);
+          }
+          blocks[x + z * width + y * width * depth] = character === KEEP ? -1 : blockIds.get(character);
+        }
+      });
+    });
+
+    const foundation = definition.foundation == null ? null : readBlock(definition.foundation, source, 'foundation');
+    return new StructureTemplate(key, width, layers.length, depth, blocks, foundation);
+  }
+}
+
+/**
+ * Structure - Pieces (templates at offsets) and where they may appear
+ * Fields of a structure definition:
+ *   key, name
+ *   biomes: Biomes keys the structure may start in (omitted = any)
+ *   placement: 'surface' (each piece sits on the ground at its center; none
+ *     are placed under water) or 'underground' (minY to maxY)
+ *   spacing, separation: the world is split into regions of spacing x
+ *     spacing chunks, each holding at most one start, at least separation
+ *     chunks from the next region's
+ *   chance: chance a region gets a start
+ *   pieces: [{ template, x, z, y, rotation, chance }] with x/z the piece's
+ *     corner relative to the start, y relative to the ground (surface) or
+ *     the start height (underground), rotation in quarter turns
+ */
+export class Structure {
+  constructor(properties) {
+    Object.assign(this, properties);
+    this.salt = hashKey(this.key);
+
+    // Footprint with no rotation, relative to the start
+    this.minX = Math.min(...this.pieces.map(piece => piece.x));
+    this.minZ = Math.min(...this.pieces.map(piece => piece.z));
+    this.maxX = Math.max(...this.pieces.map(piece => piece.x + piece.sizeX - 1));
+    this.maxZ = Math.max(...this.pieces.map(piece => piece.z + piece.sizeZ - 1));
+
+    // Furthest the footprint reaches from the start in any rotation
+    this.reach = Math.max(-this.minX, -this.minZ, this.maxX, this.maxZ);
+  }
+
+  /**
+   * Create a structure from a JSON definition
+   * @param {object} definition - Parsed structure JSON
+   * @param {string} source - Where it came from, for error messages
+   * @param {object} templates - Templates keyed by key
+   * @param {object} biomes - Biomes keyed by key (for checking biomes)
+   * @returns {Structure} The structure
+   */
+  static fromDefinition(definition, source, templates, biomes) {
+    checkFields(definition, [
+      'key', 'name', 'biomes', 'placement', 'minY', 'maxY', 'spacing', 'separation', 'chance', 'pieces'
+    ], source);
+
+    for (const field of ['key', 'name']) {
+      if (typeof definition[field] !== 'string' || definition[field] === '') {
+        throw new Error(`${source}: "${field}" must be a non-empty string`);
+      }
+    }
+
+    let allowedBiomes = null;
+    if (definition.biomes !== undefined) {
+      if (!Array.isArray(definition.biomes) || definition.biomes.length === 0) {
+        throw new Error(`${source}: "biomes" must be a non-empty list of biome keys`);
+      }
+      for (const biome of definition.biomes) {
+        if (!(biome in biomes)) {
+          throw new Error(`${source}: "biomes" names unknown biome "${biome}"`);
+        }
+      }
+      allowedBiomes = new Set(definition.biomes);
+    }
+
+    const placement = definition.placement ?? 'surface';
+    if (!PLACEMENTS.includes(placement)) {
+      throw new Error(`${source}: "placement" must be one of ${PLACEMENTS.join(', ')}`);
+    }
+    const underground = placement === 'underground';
+    const minY = underground ? readInteger(definition, 'minY', source, 1, WorldConfig.chunkHeight - 1) : 0;
+    const maxY = underground ? readInteger(definition, 'maxY', source, minY, WorldConfig.chunkHeight - 1) : 0;
+
+    const spacing = readInteger(definition, 'spacing', source, 2, 256);
+    const separation = readInteger(definition, 'separation', source, 1, spacing - 1);
+    const chance = definition.chance ?? 1;
+    if (typeof chance !== 'number' || chance < 0 || chance > 1) {
+      throw new Error(`${source}: "chance" must be a number between 0 and 1`);
+    }
+
+    if (!Array.isArray(definition.pieces) || definition.pieces.length === 0) {
+      throw new Error(`${source}: "pieces" must be a non-empty list`);
+    }
+    const pieces = definition.pieces.map((piece, i) => {
+      const pieceSource = `${source} piece ${i}`;
+      checkFields(piece, ['template', 'x', 'y', 'z', 'rotation', 'chance'], pieceSource);
+      const template = templates[piece.template];
+      if (!template) {
+        throw new Error(`${pieceSource}: unknown template "${piece.template}"`);
+      }
+      const rotation = readInteger(piece, 'rotation', pieceSource, 0, 3, 0);
+      const pieceChance = piece.chance ?? 1;
+      if (typeof pieceChance !== 'number' || pieceChance < 0 || pieceChance > 1) {
+        throw new Error(`${pieceSource}: "chance" must be a number between 0 and 1`);
+      }
+      return {
+        template,
+        x: readInteger(piece, 'x', pieceSource, -256, 256, 0),
+        y: readInteger(piece, 'y', pieceSource, -64, 64, 0),
+        z: readInteger(piece, 'z', pieceSource, -256, 256, 0),
+        rotation,
+        chance: pieceChance,
+        // Footprint after the piece's own rotation
+        sizeX: rotation % 2 === 0 ? template.width : template.depth,
+        sizeZ: rotation % 2 === 0 ? template.depth : template.width,
+      };
+    });
+
+    // Pieces of one structure must not overlap
+    pieces.forEach((a, i) => pieces.slice(i + 1).forEach((b, j) => {
+      if (a.x < b.x + b.sizeX && b.x < a.x + a.sizeX && a.z < b.z + b.sizeZ && b.z < a.z + a.sizeZ) {
+        throw new Error(`${source}: pieces ${i} and ${i + 1 + j} overlap`);
+      }
+    }));
+
+    const structure = new Structure({
+      key: definition.key,
+      name: definition.name,
+      biomes: allowedBiomes,
+      placement,
+      minY,
+      maxY,
+      spacing,
+      separation,
+      chance,
+      pieces,
+    });
+
+    // Starts in neighbouring regions are at least separation chunks (plus
+    // one block) apart, so structures of a kind can never overlap
+    if (structure.reach * 2 > separation * WorldConfig.chunkSize) {
+      throw new Error(
+        `${source}: pieces reach ${structure.reach} blocks from the start, more than half of ` +
+        `separation (${separation} chunks)`
+      );
+    }
+
+    return structure;
+  }
+}
+
+// Stable salt for a structure's random stream, so adding structures doesn't
+// move existing ones (FNV-1a)
+function hashKey(key) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Build the template and structure tables from definition files
+ * @param {object} templateFiles - Map of file path to parsed template JSON
+ * @param {object} structureFiles - Map of file path to parsed structure JSON
+ * @param {object} biomes - Biomes keyed by key
+ * @returns {object} { templates, structures }, each keyed by key
+ */
+export function loadStructures(templateFiles, structureFiles, biomes) {
+  const templates = {};
+  for (const [path, definition] of Object.entries(templateFiles)) {
+    const template = StructureTemplate.fromDefinition(definition, path);
+    if (template.key in templates) {
+      throw new Error(`${path}: duplicate template key "${template.key}"`);
+    }
+    templates[template.key] = template;
+  }
+
+  const structures = {};
+  for (const [path, definition] of Object.entries(structureFiles)) {
+    const structure = Structure.fromDefinition(definition, path, templates, biomes);
+    if (structure.key in structures) {
+      throw new Error(`${path}: duplicate structure key "${structure.key}"`);
+    }
+    structures[structure.key] = structure;
+  }
+
+  return { templates, structures };
+}
+
+// Rotate a position around the origin by quarter turns
+function rotate(x, z, rotation) {
+  switch (rotation) {
+    case 1: return [-z, x];
+    case 2: return [-x, -z];
+    case 3: return [z, -x];
+    default: return [x, z];
+  }
+}
+
+/**
+ * StructureGenerator - Places structures in generated chunks
+ * Every region of each structure may hold one start, decided by a random
+ * stream keyed on the region and the structure. To fill a chunk, the
+ * starts of all regions within reach are worked out again and only the
+ * blocks inside the chunk are written, so structures span chunk borders
+ * seamlessly whatever order chunks are generated in. Where starts of
+ * different structures with the same placement would overlap, the one
+ * whose key sorts first wins
+ */
+export class StructureGenerator {
+  /**
+   * @param {WorldSeed|string|number} seed - World seed
+   * @param {object} structures - Structures keyed by key (defaults to the
+   *   bundled definitions)
+   */
+  constructor(seed = 0, structures = Structures) {
+    this.seed = WorldSeed.from(seed).derive('structures');
+    this.config = WorldConfig.structures;
+    this.structures = Object.keys(structures).sort().map(key => structures[key]);
+
+    // Starts by structure and region, shared by neighbouring chunks
+    this.startCache = new Map();
+  }
+
+  /**
+   * Place the parts of all structures that reach into a chunk
+   * @param {Chunk} chunk - Chunk with its terrain in place
+   * @param {WorldGenerator} worldGen - For biomes and ground heights
+   */
+  placeStructures(chunk, worldGen) {
+    if (!this.config.enabled) return;
+
+    const minX = chunk.x * chunk.size;
+    const minZ = chunk.z * chunk.size;
+    const maxX = minX + chunk.size - 1;
+    const maxZ = minZ + chunk.size - 1;
+
+    for (const structure of this.structures) {
+      this.forEachStart(structure, minX, minZ, maxX, maxZ, worldGen, start => {
+        if (start.minX > maxX || start.maxX < minX || start.minZ > maxZ || start.maxZ < minZ) return;
+        this.placeStart(chunk, start, worldGen);
+      });
+    }
+  }
+
+  /**
+   * Call visit() with every start of a structure whose footprint could
+   * touch an area
+   * @param {Structure} structure - Structure to look for
+   * @param {number} minX - Area bounds (world, inclusive)
+   * @param {number} minZ
+   * @param {number} maxX
+   * @param {number} maxZ
+   * @param {WorldGenerator} worldGen - For biomes
+   * @param {Function} visit - (start)
+   */
+  forEachStart(structure, minX, minZ, maxX, maxZ, worldGen, visit) {
+    const regionSize = structure.spacing * WorldConfig.chunkSize;
+    const firstX = Math.floor((minX - structure.reach) / regionSize);
+    const firstZ = Math.floor((minZ - structure.reach) / regionSize);
+    const lastX = Math.floor((maxX + structure.reach) / regionSize);
+    const lastZ = Math.floor((maxZ + structure.reach) / regionSize);
+
+    for (let regionX = firstX; regionX <= lastX; regionX++) {
+      for (let regionZ = firstZ; regionZ <= lastZ; regionZ++) {
+        const start = this.getStart(structure, regionX, regionZ, worldGen);
+        if (start) visit(start);
+      }
+    }
+  }
+
+  /**
+   * The start of a structure in a region, if it has one
+   * @param {Structure} structure - Structure
+   * @param {number} regionX - Region X
+   * @param {number} regionZ - Region Z
+   * @param {WorldGenerator} worldGen - For biomes
+   * @returns {object|null} { structure, x, y, z, rotation, minX, minZ, maxX, maxZ }
+   */
+  getStart(structure, regionX, regionZ, worldGen) {
+    const key = `${structure.key},${regionX},${regionZ}`;
+    if (this.startCache.has(key)) return this.startCache.get(key);
+
+    const start = this.findStart(structure, regionX, regionZ, worldGen);
+    if (this.startCache.size >= 4096) this.startCache.clear();
+    this.startCache.set(key, start);
+    return start;
+  }
+
+  // Work out a region's start (see getStart)
+  findStart(structure, regionX, regionZ, worldGen) {
+    const size = WorldConfig.chunkSize;
+    const random = createPositionRandom(this.seed, regionX, regionZ, structure.salt);
+    if (random() >= structure.chance) return null;
+
+    const range = structure.spacing - structure.separation;
+    const chunkX = regionX * structure.spacing + Math.floor(random() * range);
+    const chunkZ = regionZ * structure.spacing + Math.floor(random() * range);
+    const x = chunkX * size + Math.floor(random() * size);
+    const z = chunkZ * size + Math.floor(random() * size);
+    const y = structure.minY + Math.floor(random() * (structure.maxY - structure.minY + 1));
+    const rotation = Math.floor(random() * 4);
+
+    if (structure.biomes && !structure.biomes.has(worldGen.biomeGenerator.getBiome(x, z).key)) {
+      return null;
+    }
+
+    const [ax, az] = rotate(structure.minX, structure.minZ, rotation);
+    const [bx, bz] = rotate(structure.maxX, structure.maxZ, rotation);
+    const start = {
+      structure, x, y, z, rotation,
+      minX: x + Math.min(ax, bx),
+      minZ: z + Math.min(az, bz),
+      maxX: x + Math.max(ax, bx),
+      maxZ: z + Math.max(az, bz),
+    };
+
+    // Give way to structures that sort first
+    for (const other of this.structures) {
+      if (other === structure) break;
+      if (other.placement !== structure.placement) continue;
+
+      let blocked = false;
+      this.forEachStart(other, start.minX, start.minZ, start.maxX, start.maxZ, worldGen, otherStart => {
+        if (otherStart.minX <= start.maxX && otherStart.maxX >= start.minX &&
+            otherStart.minZ <= start.maxZ && otherStart.maxZ >= start.minZ) {
+          blocked = true;
+        }
+      });
+      if (blocked) return null;
+    }
+
+    return start;
+  }
+
+  /**
+   * Write the blocks of a start that fall inside a chunk
+   * @param {Chunk} chunk - Chunk being generated
+   * @param {object} start - Start from getStart
+   * @param {WorldGenerator} worldGen - For ground heights
+   */
+  placeStart(chunk, start, worldGen) {
+    const { structure, rotation } = start;
+    const seaLevel = worldGen.hydrology.seaLevel;
+    const random = createPositionRandom(this.seed, start.x, start.z, structure.salt);
+
+    for (const piece of structure.pieces) {
+      if (random() >= piece.chance) continue;
+
+      // Ground height at the piece's center decides where surface pieces sit
+      let baseY = start.y + piece.y;
+      if (structure.placement === 'surface') {
+        const [centerX, centerZ] = rotate(
+          piece.x + (piece.sizeX >> 1), piece.z + (piece.sizeZ >> 1), rotation
+        );
+        const ground = worldGen.getSurfaceHeight(start.x + centerX, start.z + centerZ);
+        if (ground <= seaLevel) continue;
+        baseY = ground + piece.y;
+      }
+
+      this.placePiece(chunk, piece, start, baseY);
+    }
+  }
+
+  /**
+   * Write one piece's blocks that fall inside a chunk
+   * @param {Chunk} chunk - Chunk being generated
+   * @param {object} piece - Piece of the start's structure
+   * @param {object} start - Start from getStart
+   * @param {number} baseY - Y of the template's bottom layer
+   */
+  placePiece(chunk, piece, start, baseY) {
+    const { template } = piece;
+    const originX = chunk.x * chunk.size;
+    const originZ = chunk.z * chunk.size;
+
+    for (let tx = 0; tx < template.width; tx++) {
+      for (let tz = 0; tz < template.depth; tz++) {
+        // Template cell -> piece footprint -> structure -> world
+        const [px, pz] = this.rotateInPiece(tx, tz, template, piece.rotation);
+        const [sx, sz] = rotate(piece.x + px, piece.z + pz, start.rotation);
+        const x = start.x + sx - originX;
+        const z = start.z + sz - originZ;
+        if (x < 0 || x >= chunk.size || z < 0 || z >= chunk.size) continue;
+
+        for (let ty = 0; ty < template.height; ty++) {
+          const y = baseY + ty;
+          const block = template.getBlock(tx, ty, tz);
+          if (block < 0 || y < 1 || y >= chunk.height) continue;
+          chunk.setBlock(x, y, z, block);
+        }
+
+        // Fill the ground under the bottom layer
+        if (template.foundation !== null && template.getBlock(tx, 0, tz) > 0) {
+          const { foundationDepth } = this.config;
+          for (let y = baseY - 1; y >= Math.max(baseY - foundationDepth, 1); y--) {
+            if (!this.isFoundationGap(chunk.getBlock(x, y, z))) break;
+            chunk.setBlock(x, y, z, template.foundation);
+          }
+        }
+      }
+    }
+  }
+
+  // Position of a template cell within its piece's footprint
+  rotateInPiece(x, z, template, rotation) {
+    switch (rotation) {
+      case 1: return [template.depth - 1 - z, x];
+      case 2: return [template.width - 1 - x, template.depth - 1 - z];
+      case 3: return [z, template.width - 1 - x];
+      default: return [x, z];
+    }
+  }
+
+  // Whether a foundation may fill a block (air, water, plants and leaves)
+  isFoundationGap(blockType) {
+    return !getBlockById(blockType).isSolid() || blockType === Blocks.LEAVES.id;
+  }
+}
+
+// Define all structures (bundled by Vite from src/data/structures)
+const loaded = loadStructures(
+  import.meta.glob('../data/structures/templates/*.json', { eager: true, import: 'default' }),
+  import.meta.glob('../data/structures/*.json', { eager: true, import: 'default' }),
+  Biomes
+);
+export const StructureTemplates = loaded.templates;
+export const Structures = loaded.structures;
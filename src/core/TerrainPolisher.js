@@ -7,15 +7,18 @@
 import { BlockTypes } from '../config.js';
 import { SimplexNoise } from '../noise/SimplexNoise.js';
 import { Biomes } from './Biome.js';
+import { createChunkRandom, RandomSalts } from '../noise/SeededRandom.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
 
 /**
  * TerrainPolisher - Enhances generated terrain with polish passes
  */
 export class TerrainPolisher {
   constructor(seed = 0) {
-    this.seed = seed;
-    this.featureNoise = new SimplexNoise(seed + 5000);
-    this.erosionNoise = new SimplexNoise(seed + 6000);
+    const worldSeed = WorldSeed.from(seed);
+    this.seed = worldSeed.derive('polish'); // Rock pile streams
+    this.featureNoise = new SimplexNoise(worldSeed.derive('polish.features'));
+    this.erosionNoise = new SimplexNoise(worldSeed.derive('polish.erosion'));
   }
 
   /**
@@ -46,9 +49,10 @@ export class TerrainPolisher {
    * Smooth terrain transitions between biomes and height changes
    */
   smoothTerrainTransitions(chunk, worldGen) {
+    const top = Math.min(chunk.getTopY(), chunk.height - 2); // Air above
     for (let x = 1; x < chunk.size - 1; x++) {
       for (let z = 1; z < chunk.size - 1; z++) {
-        for (let y = 1; y < chunk.height - 1; y++) {
+        for (let y = 1; y <= top; y++) {
           const blockType = chunk.getBlock(x, y, z);
           
           // Skip air and special blocks
@@ -146,21 +150,15 @@ export class TerrainPolisher {
     for (let x = 1; x < chunk.size - 1; x++) {
       for (let z = 1; z < chunk.size - 1; z++) {
         // Find surface height
-        let surfaceY = -1;
-        for (let y = chunk.height - 1; y >= 0; y--) {
-          if (chunk.getBlock(x, y, z) !== BlockTypes.AIR) {
-            surfaceY = y;
-            break;
-          }
-        }
+        const surfaceY = this.getTopBlock(chunk, x, z);
         
         if (surfaceY <= 0) continue;
         
-        const worldX = chunk.chunkX * chunk.size + x;
-        const worldZ = chunk.chunkZ * chunk.size + z;
+        const worldX = chunk.x * chunk.size + x;
+        const worldZ = chunk.z * chunk.size + z;
         
         // Use noise to determine erosion amount
-        const erosionValue = this.erosionNoise.noise(worldX * 0.05, worldZ * 0.05);
+        const erosionValue = this.erosionNoise.noise2D(worldX * 0.05, worldZ * 0.05);
         
         if (erosionValue > 0.6) {
           // Strong erosion - remove top blocks
@@ -189,23 +187,16 @@ export class TerrainPolisher {
   addSurfaceDetails(chunk, worldGen) {
     for (let x = 0; x < chunk.size; x++) {
       for (let z = 0; z < chunk.size; z++) {
-        const worldX = chunk.chunkX * chunk.size + x;
-        const worldZ = chunk.chunkZ * chunk.size + z;
+        const worldX = chunk.x * chunk.size + x;
+        const worldZ = chunk.z * chunk.size + z;
         
         // Find surface
-        let surfaceY = -1;
-        for (let y = chunk.height - 1; y >= 0; y--) {
-          const blockType = chunk.getBlock(x, y, z);
-          if (blockType !== BlockTypes.AIR && blockType !== BlockTypes.WATER) {
-            surfaceY = y;
-            break;
-          }
-        }
+        const surfaceY = this.getSurfaceHeight(chunk, x, z);
         
         if (surfaceY <= 0 || surfaceY >= chunk.height - 1) continue;
         
         // Add occasional stone patches on grass
-        const detailNoise = this.featureNoise.noise(worldX * 0.2, worldZ * 0.2);
+        const detailNoise = this.featureNoise.noise2D(worldX * 0.2, worldZ * 0.2);
         if (detailNoise > 0.85 && chunk.getBlock(x, surfaceY, z) === BlockTypes.GRASS) {
           chunk.setBlock(x, surfaceY, z, BlockTypes.STONE);
         }
@@ -217,23 +208,19 @@ export class TerrainPolisher {
    * Place natural features like boulders and rock formations
    */
   placeNaturalFeatures(chunk, worldGen) {
+    const random = createChunkRandom(this.seed, chunk, RandomSalts.ROCK_PILES);
+    
     for (let x = 2; x < chunk.size - 2; x++) {
       for (let z = 2; z < chunk.size - 2; z++) {
-        const worldX = chunk.chunkX * chunk.size + x;
-        const worldZ = chunk.chunkZ * chunk.size + z;
+        const worldX = chunk.x * chunk.size + x;
+        const worldZ = chunk.z * chunk.size + z;
         
         // Find surface
-        let surfaceY = -1;
-        for (let y = chunk.height - 1; y >= 0; y--) {
-          if (chunk.getBlock(x, y, z) !== BlockTypes.AIR) {
-            surfaceY = y;
-            break;
-          }
-        }
+        const surfaceY = this.getTopBlock(chunk, x, z);
         
         if (surfaceY <= 0 || surfaceY >= chunk.height - 5) continue;
         
-        const featureValue = this.featureNoise.noise(worldX * 0.08, worldZ * 0.08);
+        const featureValue = this.featureNoise.noise2D(worldX * 0.08, worldZ * 0.08);
         
         // Place boulders
         if (featureValue > 0.92) {
@@ -241,7 +228,7 @@ export class TerrainPolisher {
         }
         // Place small rock piles
         else if (featureValue > 0.88 && featureValue <= 0.92) {
-          this.placeRockPile(chunk, x, surfaceY + 1, z);
+          this.placeRockPile(chunk, x, surfaceY + 1, z, random);
         }
       }
     }
@@ -269,13 +256,14 @@ export class TerrainPolisher {
 
   /**
    * Place a small rock pile
+   * @param {Function} random - The chunk's rock pile stream
    */
-  placeRockPile(chunk, x, y, z) {
+  placeRockPile(chunk, x, y, z, random) {
     if (x >= 0 && x < chunk.size && y >= 0 && y < chunk.height && z >= 0 && z < chunk.size) {
       if (chunk.getBlock(x, y, z) === BlockTypes.AIR) {
         chunk.setBlock(x, y, z, BlockTypes.STONE);
         // Occasionally add a second block
-        if (Math.random() > 0.5 && y + 1 < chunk.height) {
+        if (random() > 0.5 && y + 1 < chunk.height) {
           chunk.setBlock(x, y + 1, z, BlockTypes.STONE);
         }
       }
@@ -287,10 +275,11 @@ export class TerrainPolisher {
    */
   cleanupFloatingBlocks(chunk) {
     // Multiple passes for thorough cleanup
+    const top = Math.min(chunk.getTopY(), chunk.height - 2); // Air above
     for (let pass = 0; pass < 2; pass++) {
       for (let x = 0; x < chunk.size; x++) {
         for (let z = 0; z < chunk.size; z++) {
-          for (let y = 1; y < chunk.height - 1; y++) {
+          for (let y = 1; y <= top; y++) {
             const blockType = chunk.getBlock(x, y, z);
             
             // Skip air and water
@@ -298,8 +287,9 @@ export class TerrainPolisher {
               continue;
             }
             
-            // Check if block is floating (no support below within 3 blocks)
-            if (this.isFloating(chunk, x, y, z)) {
+            // Check if block is floating (no support below within 3 blocks),
+            // keeping blocks that hold water back
+            if (this.isFloating(chunk, x, y, z) && !this.touchesWater(chunk, x, y, z)) {
               chunk.setBlock(x, y, z, BlockTypes.AIR);
             }
           }
@@ -346,11 +336,38 @@ export class TerrainPolisher {
     return solidNeighbors < 3;
   }
 
+  /**
+   * Check if water rests on or against a block
+   */
+  touchesWater(chunk, x, y, z) {
+    const neighbors = [
+      [x+1, y, z], [x-1, y, z],
+      [x, y+1, z],
+      [x, y, z+1], [x, y, z-1]
+    ];
+    
+    return neighbors.some(([nx, ny, nz]) =>
+      nx >= 0 && nx < chunk.size && nz >= 0 && nz < chunk.size &&
+      chunk.getBlock(nx, ny, nz) === BlockTypes.WATER);
+  }
+
+  /**
+   * Get the height of the top non-air block (water included)
+   */
+  getTopBlock(chunk, x, z) {
+    for (let y = chunk.getTopY(); y >= 0; y--) {
+      if (chunk.getBlock(x, y, z) !== BlockTypes.AIR) {
+        return y;
+      }
+    }
+    return -1;
+  }
+
   /**
    * Get surface height at position (utility function)
    */
   getSurfaceHeight(chunk, x, z) {
-    for (let y = chunk.height - 1; y >= 0; y--) {
+    for (let y = chunk.getTopY(); y >= 0; y--) {
       const blockType = chunk.getBlock(x, y, z);
       if (blockType !== BlockTypes.AIR && blockType !== BlockTypes.WATER) {
         return y;
@@ -1,15 +1,26 @@
 import { BlockTypes } from '../config.js';
 import { SimplexNoise } from '../noise/SimplexNoise.js';
+import { FeatureWriter } from './FeatureWriter.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+
+// Math.random would make trees differ each time a chunk is generated
+function requireRandom(random, method) {
+  if (typeof random !== 'function') {
+    throw new Error(`TreeGenerator.${method}: random must be a seeded random() function`);
+  }
+}
 
 /**
  * TreeGenerator - Generates trees in the voxel world
  * Creates various tree types with configurable parameters
- * Uses noise for natural variation in tree placement
+ * Randomness comes from a caller-supplied random() so a tree at a given
+ * position always grows the same way (see FeatureGenerator); trees drawn
+ * through a FeatureWriter may reach into neighbouring chunks
  */
 export class TreeGenerator {
   constructor(seed = 0) {
-    this.seed = seed;
-    this.noise = new SimplexNoise(seed + 5000); // Different seed for tree placement
+    this.seed = WorldSeed.from(seed);
+    this.noise = new SimplexNoise(this.seed.derive('trees.groves')); // Tree placement
     
     // Tree configuration
     this.treeTypes = {
@@ -43,16 +54,21 @@ export class TreeGenerator {
    * @param {number} worldX - World X coordinate
    * @param {number} worldZ - World Z coordinate  
    * @param {object} biome - Biome data
+   * @param {number} cellArea - Columns this candidate position stands for
+   * @param {Function} random - Seeded random, returns numbers in [0, 1)
    * @returns {boolean} True if tree should spawn
    */
-  shouldSpawnTree(worldX, worldZ, biome) {
+  shouldSpawnTree(worldX, worldZ, biome, cellArea = 1, random) {
+    requireRandom(random, 'shouldSpawnTree');
     if (!biome.canHaveTrees) return false;
     
-    // Use noise to determine tree placement
+    // Use noise to clump trees into groves
     const treeNoise = this.noise.noise2D(worldX * 0.05, worldZ * 0.05);
     
-    // Trees spawn based on biome tree density and noise threshold
-    return treeNoise > (1.0 - biome.treeDensity);
+    // Trees spawn based on biome tree density (trees per column), thinned
+    // out where the noise is low
+    const chance = biome.treeDensity * cellArea * (1 + treeNoise);
+    return random() < chance;
   }
 
   /**
@@ -62,33 +78,27 @@ export class TreeGenerator {
    */
   getTreeTypeForBiome(biome) {
     // Different biomes have different tree types
-    const biomeTreeMap = {
-      'PLAINS': 'oak',
-      'FOREST': 'oak',
-      'TAIGA': 'pine',
-      'BIRCH_FOREST': 'birch',
-      'MOUNTAIN': 'pine',
-    };
-    
-    return biomeTreeMap[biome.name] || 'oak';
+    return biome.treeType || 'oak';
   }
 
   /**
    * Generate a tree in the chunk
-   * @param {Chunk} chunk - The chunk to generate trees in
+   * @param {Chunk|FeatureWriter} chunk - The chunk to generate trees in
    * @param {number} localX - Local X position in chunk
    * @param {number} y - World Y position (ground level)
    * @param {number} localZ - Local Z position in chunk
    * @param {string} treeType - Type of tree to generate
+   * @param {Function} random - Seeded random, returns numbers in [0, 1)
    */
-  generateTree(chunk, localX, y, localZ, treeType = 'oak') {
+  generateTree(chunk, localX, y, localZ, treeType = 'oak', random) {
+    requireRandom(random, 'generateTree');
     const config = this.treeTypes[treeType];
     if (!config) return;
     
     // Random trunk height
     const trunkHeight = Math.floor(
       config.trunkHeight.min + 
-      Math.random() * (config.trunkHeight.max - config.trunkHeight.min)
+      random() * (config.trunkHeight.max - config.trunkHeight.min)
     );
     
     // Generate trunk
@@ -99,10 +109,10 @@ export class TreeGenerator {
     // Generate leaves
     if (config.tapered) {
       // Tapered tree (pine/spruce)
-      this.generateTaperedLeaves(chunk, localX, y + trunkHeight, localZ, config);
+      this.generateTaperedLeaves(chunk, localX, y + trunkHeight, localZ, config, random);
     } else {
       // Round tree (oak/birch)
-      this.generateRoundLeaves(chunk, localX, y + trunkHeight, localZ, config);
+      this.generateRoundLeaves(chunk, localX, y + trunkHeight, localZ, config, random);
     }
   }
 
@@ -113,8 +123,10 @@ export class TreeGenerator {
    * @param {number} y - Base Y
    * @param {number} z - Center Z
    * @param {object} config - Tree configuration
+   * @param {Function} random - Seeded random, returns numbers in [0, 1)
    */
-  generateRoundLeaves(chunk, x, y, z, config) {
+  generateRoundLeaves(chunk, x, y, z, config, random) {
+    requireRandom(random, 'generateRoundLeaves');
     const radius = config.leafRadius;
     const height = config.leafHeight;
     
@@ -132,7 +144,7 @@ export class TreeGenerator {
             if (dx === 0 && dz === 0 && dy <= 0) continue;
             
             // Random gaps for natural look
-            if (Math.random() > 0.85) continue;
+            if (random() > 0.85) continue;
             
             this.safeSetBlock(chunk, x + dx, y + dy, z + dz, config.leafBlock);
           }
@@ -148,8 +160,10 @@ export class TreeGenerator {
    * @param {number} y - Base Y
    * @param {number} z - Center Z
    * @param {object} config - Tree configuration
+   * @param {Function} random - Seeded random, returns numbers in [0, 1)
    */
-  generateTaperedLeaves(chunk, x, y, z, config) {
+  generateTaperedLeaves(chunk, x, y, z, config, random) {
+    requireRandom(random, 'generateTaperedLeaves');
     const height = config.leafHeight;
     const baseRadius = config.leafRadius;
     
@@ -166,7 +180,7 @@ export class TreeGenerator {
             if (dx === 0 && dz === 0) continue;
             
             // Random gaps
-            if (Math.random() > 0.9) continue;
+            if (random() > 0.9) continue;
             
             this.safeSetBlock(chunk, x + dx, y + dy, z + dz, config.leafBlock);
           }
@@ -177,13 +191,19 @@ export class TreeGenerator {
 
   /**
    * Safely set a block (checks bounds)
-   * @param {Chunk} chunk - The chunk
+   * A FeatureWriter takes positions outside the chunk as spills instead
+   * @param {Chunk|FeatureWriter} chunk - The chunk
    * @param {number} x - Local X
    * @param {number} y - World Y
    * @param {number} z - Local Z
    * @param {number} blockType - Block type to set
    */
   safeSetBlock(chunk, x, y, z, blockType) {
+    if (chunk instanceof FeatureWriter) {
+      chunk.setBlock(x, y, z, blockType);
+      return;
+    }
+    
     // Check if position is within chunk bounds
     if (x < 0 || x >= chunk.size || z < 0 || z >= chunk.size) return;
     if (y < 0 || y >= chunk.height) return;
@@ -196,30 +216,41 @@ export class TreeGenerator {
   }
 
   /**
-   * Generate all trees for a chunk
-   * @param {Chunk} chunk - The chunk to generate trees in
+   * Generate all trees rooted in a chunk
+   * Each world-aligned spacing x spacing cell gets one jittered candidate
+   * position, so placement doesn't depend on which chunk generates first
+   * @param {FeatureWriter} writer - Writer for the chunk (leaves may spill into neighbours)
    * @param {BiomeGenerator} biomeGenerator - Biome generator instance
-   * @param {Function} getTerrainHeight - Function to get terrain height at position
+   * @param {Function} getSurfaceHeight - (localX, localZ) => Y of the top block
+   * @param {Function} createRandom - (worldX, worldZ) => random() for a cell
+   * @param {number} spacing - Cell size in blocks
    */
-  generateTreesForChunk(chunk, biomeGenerator, getTerrainHeight) {
-    // Check a grid of positions in the chunk
-    const spacing = 4; // Check every 4 blocks
+  generateTreesForChunk(writer, biomeGenerator, getSurfaceHeight, createRandom, spacing = 4) {
+    const { chunk } = writer;
+    const originX = chunk.x * chunk.size;
+    const originZ = chunk.z * chunk.size;
+    const firstCellX = Math.floor(originX / spacing) * spacing;
+    const firstCellZ = Math.floor(originZ / spacing) * spacing;
     
-    for (let x = 2; x < chunk.size - 2; x += spacing) {
-      for (let z = 2; z < chunk.size - 2; z += spacing) {
-        const worldX = chunk.x * chunk.size + x;
-        const worldZ = chunk.z * chunk.size + z;
+    for (let cellX = firstCellX; cellX < originX + chunk.size; cellX += spacing) {
+      for (let cellZ = firstCellZ; cellZ < originZ + chunk.size; cellZ += spacing) {
+        const random = createRandom(cellX, cellZ);
+        const worldX = cellX + Math.floor(random() * spacing);
+        const worldZ = cellZ + Math.floor(random() * spacing);
+        const x = worldX - originX;
+        const z = worldZ - originZ;
+        if (x < 0 || x >= chunk.size || z < 0 || z >= chunk.size) continue; // Rooted next door
         
         const biome = biomeGenerator.getBiome(worldX, worldZ);
         
-        if (this.shouldSpawnTree(worldX, worldZ, biome)) {
-          const height = getTerrainHeight(worldX, worldZ, biome);
+        if (this.shouldSpawnTree(worldX, worldZ, biome, spacing * spacing, random)) {
+          const height = getSurfaceHeight(x, z);
           
           // Check if ground block is grass or dirt
           const groundBlock = chunk.getBlock(x, height, z);
           if (groundBlock === BlockTypes.GRASS || groundBlock === BlockTypes.DIRT) {
             const treeType = this.getTreeTypeForBiome(biome);
-            this.generateTree(chunk, x, height + 1, z, treeType);
+            this.generateTree(writer, x, height + 1, z, treeType, random);
           }
         }
       }
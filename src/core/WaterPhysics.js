@@ -64,9 +64,10 @@ export class WaterPhysics {
     
     const waterLevel = this.getWaterLevel(chunk, localPos.x, localPos.y, localPos.z);
     
-    // Check if this is a source block
+    // Check if this is a source block (placed, or generated with no level set)
     const sourceKey = `${worldX},${worldY},${worldZ}`;
-    const isSource = this.sourceBlocks.has(sourceKey);
+    const isSource = this.sourceBlocks.has(sourceKey) ||
+      chunk.getWaterLevel(localPos.x, localPos.y, localPos.z) === 0;
     
     // Water flows down first
     if (this.tryFlowDown(worldX, worldY, worldZ, waterLevel)) {
@@ -176,13 +177,8 @@ export class WaterPhysics {
    * @returns {number} Water level (0-7)
    */
   getWaterLevel(chunk, x, y, z) {
-    if (!chunk.waterLevels) {
-      chunk.waterLevels = new Uint8Array(chunk.size * chunk.height * chunk.size);
-      chunk.waterLevels.fill(this.maxWaterLevel); // Default to full
-    }
-    
-    const index = x + (z * chunk.size) + (y * chunk.size * chunk.size);
-    return chunk.waterLevels[index] || this.maxWaterLevel;
+    // Unset levels (0) read as full, matching freshly generated water
+    return chunk.getWaterLevel(x, y, z) || this.maxWaterLevel;
   }
 
   /**
@@ -194,13 +190,7 @@ export class WaterPhysics {
    * @param {number} level - Water level (0-7)
    */
   setWaterLevel(chunk, x, y, z, level) {
-    if (!chunk.waterLevels) {
-      chunk.waterLevels = new Uint8Array(chunk.size * chunk.height * chunk.size);
-      chunk.waterLevels.fill(this.maxWaterLevel);
-    }
-    
-    const index = x + (z * chunk.size) + (y * chunk.size * chunk.size);
-    chunk.waterLevels[index] = Math.max(0, Math.min(level, this.maxWaterLevel));
+    chunk.setWaterLevel(x, y, z, Math.max(0, Math.min(level, this.maxWaterLevel)));
   }
 
   /**
@@ -274,31 +264,48 @@ export class WaterPhysics {
 
   /**
    * Initialize water physics for a chunk
+   * Generated water (oceans, rivers, lakes) is all source water. Its level
+   * is never set, which marks it as a source without tracking it in
+   * sourceBlocks; only water with open space beside or below it is queued
    * @param {Chunk} chunk - The chunk
    */
   initializeChunkWater(chunk) {
-    // Find all water blocks and queue them for initial processing
-    for (let x = 0; x < chunk.size; x++) {
-      for (let y = 0; y < chunk.height; y++) {
-        for (let z = 0; z < chunk.size; z++) {
-          const blockType = chunk.getBlock(x, y, z);
-          if (blockType === BlockTypes.WATER) {
+    for (let sectionY = 0; sectionY < chunk.sectionCount; sectionY++) {
+      if (!chunk.getSection(sectionY)) continue;
+      
+      const bottom = sectionY * chunk.sectionHeight;
+      const top = Math.min(bottom + chunk.sectionHeight, chunk.height);
+      for (let x = 0; x < chunk.size; x++) {
+        for (let y = bottom; y < top; y++) {
+          for (let z = 0; z < chunk.size; z++) {
+            if (chunk.getBlock(x, y, z) !== BlockTypes.WATER) continue;
+            
             const worldX = chunk.x * chunk.size + x;
             const worldZ = chunk.z * chunk.size + z;
-            
-            // Check if it's a naturally generated water (likely a source)
-            const hasWaterAbove = y < chunk.height - 1 && 
-                                  chunk.getBlock(x, y + 1, z) === BlockTypes.WATER;
-            
-            if (hasWaterAbove || y === chunk.height - 1) {
-              // Mark as source block
-              this.sourceBlocks.set(`${worldX},${y},${worldZ}`, true);
+            if (this.canFlowFrom(worldX, y, worldZ)) {
+              this.queueWaterUpdate(worldX, y, worldZ);
             }
-            
-            this.queueWaterUpdate(worldX, y, worldZ);
           }
         }
       }
     }
   }
+
+  /**
+   * Check if water has somewhere to go (air beside or below it)
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} z - World Z
+   * @returns {boolean} True if any of those neighbors is air
+   */
+  canFlowFrom(x, y, z) {
+    const neighbors = [
+      [x + 1, y, z], [x - 1, y, z],
+      [x, y, z + 1], [x, y, z - 1],
+      [x, y - 1, z]
+    ];
+    
+    return neighbors.some(([nx, ny, nz]) =>
+      ny >= 0 && this.chunkManager.getBlock(nx, ny, nz) === BlockTypes.AIR);
+  }
 }
@@ -0,0 +1,85 @@
+/**
+ * WorldClock - Time of day for the day-night cycle
+ * Time runs from 0 to 1 over one day: 0 = midnight, 0.25 = sunrise,
+ * 0.5 = noon, 0.75 = sunset. The clock can be paused and set directly,
+ * e.g. window.voxelEngine.clock.setTime(0.5) from the console
+ */
+export class WorldClock {
+  /**
+   * @param {object} options - { dayLength, startTime, paused, nightSkylight }
+   *   (see WorldConfig.time)
+   */
+  constructor({ dayLength = 600, startTime = 0.3, paused = false, nightSkylight = 0.25 } = {}) {
+    this.dayLength = dayLength; // Seconds per full day
+    this.nightSkylight = nightSkylight; // Skylight scale at night
+    this.paused = paused;
+    this.time = 0;
+    this.setTime(startTime);
+  }
+
+  /**
+   * Advance the clock
+   * @param {number} deltaTime - Seconds since the last update
+   */
+  update(deltaTime) {
+    if (this.paused) return;
+    this.setTime(this.time + deltaTime / this.dayLength);
+  }
+
+  /**
+   * Jump to a time of day
+   * @param {number} time - Time of day (wraps into 0-1)
+   */
+  setTime(time) {
+    this.time = ((time % 1) + 1) % 1;
+  }
+
+  getTime() {
+    return this.time;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Direction from the world towards the sun (the moon is opposite)
+   * The sun rises in +x, peaks overhead at noon and sets in -x, tilted
+   * slightly towards +z so noon shadows are not perfectly vertical
+   * @returns {object} Unit vector {x, y, z}
+   */
+  getSunDirection() {
+    const angle = (this.time - 0.25) * Math.PI * 2;
+    const x = Math.cos(angle);
+    const y = Math.sin(angle);
+    const z = 0.3;
+    const length = Math.sqrt(x * x + y * y + z * z);
+    return { x: x / length, y: y / length, z: z / length };
+  }
+
+  /**
+   * How much daylight there is, easing in while the sun is near the horizon
+   * @returns {number} 0 (night) to 1 (day)
+   */
+  getDaylight() {
+    const height = Math.sin((this.time - 0.25) * Math.PI * 2);
+    const t = Math.min(Math.max((height + 0.1) / 0.3, 0), 1);
+    return t * t * (3 - 2 * t); // Smoothstep
+  }
+
+  /**
+   * Factor applied to stored skylight levels at the current time
+   * @returns {number} nightSkylight (midnight) to 1 (day)
+   */
+  getSkylightScale() {
+    return this.nightSkylight + (1 - this.nightSkylight) * this.getDaylight();
+  }
+}
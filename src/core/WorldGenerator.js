@@ -1,31 +1,83 @@
 import { WorldConfig, BlockTypes, Blocks } from '../config.js';
 import { SimplexNoise } from '../noise/SimplexNoise.js';
+import { NoiseGraph } from '../noise/NoiseGraph.js';
+import { sampleLattice3D } from '../noise/NoiseGrid.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+import defaultTerrainGraph from '../data/noise/terrain.json';
 import { BiomeGenerator } from './Biome.js';
 import { OreGenerator } from './OreGenerator.js';
 import { Chunk } from './Chunk.js';
+import { ChunkNoiseCache } from './ChunkNoiseCache.js';
 import { TerrainPolisher } from './TerrainPolisher.js';
+import { FeatureGenerator } from './FeatureGenerator.js';
+import { CaveCarver } from './CaveCarver.js';
+import { Hydrology } from './Hydrology.js';
+import { StructureGenerator } from './Structure.js';
+
+// Ways of shaping terrain, see WorldConfig.terrain.mode
+export const TERRAIN_MODES = ['heightmap', 'density'];
+
+// Biome fields the terrain graph can read with input nodes
+const TERRAIN_GRAPH_INPUTS = [
+  'heightOffset', 'heightVariation', 'terrainScale', 'temperature', 'humidity', 'squash', 'stretch'
+];
+
+// Round a blended height to a block Y within the world
+function clampHeight(height) {
+  return Math.max(0, Math.min(Math.floor(height), WorldConfig.chunkHeight - 1));
+}
 
 /**
  * WorldGenerator - Generates terrain using advanced noise algorithms
- * Creates height maps, caves, biomes, ores, and places different block types
+ * Creates height maps, water, caves, biomes, ores, structures, trees and
+ * plants, and places different block types
  * Integrates SimplexNoise, BiomeGenerator, and OreGenerator systems
+ *
+ * In heightmap mode every column is solid up to getTerrainHeight. In
+ * density mode a block is solid where the density (a gradient that falls
+ * off above the blended height plus 3D noise) is positive, which allows
+ * cliffs, overhangs and arches near the surface
  */
 export class WorldGenerator {
-  constructor(seed = null) {
-    this.seed = seed || WorldConfig.seed;
+  /**
+   * @param {WorldSeed|string|number} seed - World seed, as text or a number
+   *   (defaults to WorldConfig.seed)
+   * @param {object} options - { terrainMode, terrainGraph }: 'heightmap' or
+   *   'density' (defaults to WorldConfig.terrain.mode), and a noise graph
+   *   definition for biome heights (defaults to src/data/noise/terrain.json)
+   */
+  constructor(seed = null, { terrainMode = WorldConfig.terrain.mode, terrainGraph = defaultTerrainGraph } = {}) {
+    if (!TERRAIN_MODES.includes(terrainMode)) {
+      throw new Error(`Unknown terrain mode "${terrainMode}" (expected ${TERRAIN_MODES.join(' or ')})`);
+    }
+    this.seed = WorldSeed.from(seed ?? WorldConfig.seed);
+    this.terrainMode = terrainMode;
     
-    // Initialize noise generators
-    this.noise = new SimplexNoise(this.seed);
-    this.caveNoise = new SimplexNoise(this.seed + 1000); // Different seed for caves
+    // Initialize noise generators, each on its own sub-seed
+    this.caveNoise = new SimplexNoise(this.seed.derive('caves'));
+    this.densityNoise = new SimplexNoise(this.seed.derive('density')); // Density mode terrain
+    this.terrainGraph = NoiseGraph.fromDefinition(terrainGraph, {
+      seed: this.seed.derive('terrain'),
+      inputs: TERRAIN_GRAPH_INPUTS,
+      source: 'terrain graph',
+    });
     
     // Initialize biome and ore generators
     this.biomeGenerator = new BiomeGenerator(this.seed);
     this.oreGenerator = new OreGenerator(this.seed);
         this.terrainPolisher = new TerrainPolisher(this.seed);
+    this.featureGenerator = new FeatureGenerator(this.seed);
+    this.caveCarver = new CaveCarver(this.seed);
+    this.hydrology = new Hydrology(this.seed);
+    this.structureGenerator = new StructureGenerator(this.seed);
     
     // Config references
     this.terrainConfig = WorldConfig.terrain;
+    this.densityConfig = WorldConfig.terrain.density;
     this.caveConfig = WorldConfig.caves;
+    
+    // Stretch of the density lattice columns, see sampleDensityNoise
+    this.stretchCache = new Map();
   }
 
   /**
@@ -37,6 +89,9 @@ export class WorldGenerator {
   generateChunk(chunkX, chunkZ) {
     const chunk = new Chunk(chunkX, chunkZ);
     
+    // Biomes, terrain shape and cave/density noise for every column at once
+    const noise = new ChunkNoiseCache(this, chunk);
+    
     // Fill chunk with blocks
     for (let x = 0; x < chunk.size; x++) {
       for (let z = 0; z < chunk.size; z++) {
@@ -45,56 +100,208 @@ export class WorldGenerator {
         const worldZ = chunkZ * chunk.size + z;
         
         // Get biome for this column
-        const biome = this.biomeGenerator.getBiome(worldX, worldZ);
+        const index = noise.getIndex(x, z);
+        const biome = noise.biomes[index];
+        
+        if (this.terrainMode === 'density') {
+          this.fillDensityColumn(chunk, x, z, worldX, worldZ, biome, noise);
+          continue;
+        }
         
-        // Generate height at this position
-        const height = this.getTerrainHeight(worldX, worldZ, biome);
+        // Height at this position, blended with nearby biomes
+        const height = clampHeight(noise.height[index]);
         
-        // Fill column
-        for (let y = 0; y < chunk.height; y++) {
-          let blockType = this.getBlockType(worldX, y, worldZ, height, biome);
-          chunk.setBlock(x, y, z, blockType);
+        // Fill column up to the surface or sea level (air is skipped so
+        // empty sections stay unallocated)
+        const top = Math.min(Math.max(height, this.hydrology.seaLevel), chunk.height - 1);
+        for (let y = 0; y <= top; y++) {
+          const blockType = this.getBlockType(worldX, y, worldZ, height, biome, noise);
+          if (blockType !== BlockTypes.AIR) {
+            chunk.setBlock(x, y, z, blockType);
+          }
         }
       }
     }
     
+    // Worm caves and ravines, which may start in neighbouring chunks
+    this.caveCarver.carveChunk(chunk, this.biomeGenerator);
+    
     // Generate ores after base terrain
-    this.oreGenerator.generateOres(chunk);
+    this.oreGenerator.generateOres(chunk, noise);
 
         // Apply terrain polishing for enhanced terrain quality
     this.terrainPolisher.polishChunk(chunk, this);
     
+    // Lakes last, where the finished ground can hold them
+    this.hydrology.placeLake(chunk, this.biomeGenerator);
+    
+    // Ruins, dungeons and villages, which may start in neighbouring chunks
+    this.structureGenerator.placeStructures(chunk, this);
+    
+    // Trees and plants last, so they sit on the finished surface
+    chunk.featureSpills = this.featureGenerator.placeFeatures(chunk, this.biomeGenerator);
+    
     chunk.needsPhysicsUpdate = false; // Initial generation doesn't need physics
     chunk.dirtyBlocks.clear();
+    chunk.modified = false; // Only player/physics edits need saving
+    chunk.dirtyNeighborSections.clear(); // Neighbors re-mesh when the chunk is added
     
     return chunk;
   }
 
   /**
    * Get terrain height at world coordinates with biome influence
+   * Each biome near the column contributes the height it would generate on
+   * its own (the terrain graph sampled with the biome's fields), weighted by
+   * BiomeGenerator.getBiomeBlend, so mountains taper into plains. River
+   * valleys are then cut into the result (see Hydrology.carveRiver)
    * @param {number} worldX - World X coordinate
    * @param {number} worldZ - World Z coordinate
-   * @param {object} biome - Biome data
    * @returns {number} Height value
    */
-  getTerrainHeight(worldX, worldZ, biome) {
-    const { scale, octaves, persistence, lacunarity } = this.terrainConfig;
-    
-    // Use SimplexNoise FBM for terrain generation
-    const noiseValue = this.noise.fbm(
-      worldX * scale * biome.terrainScale,
-      0,
-      worldZ * scale * biome.terrainScale,
-      octaves,
-      persistence,
-      lacunarity
-    );
+  getTerrainHeight(worldX, worldZ) {
+    return clampHeight(this.getTerrainShape(worldX, worldZ).height);
+  }
+
+  /**
+   * Blended terrain parameters for a column
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {object} { height, squash, stretch }: unrounded height and the
+   *   biomes' density mode factors, all weighted by the biome blend
+   */
+  getTerrainShape(worldX, worldZ) {
+    let biomeHeight = 0;
+    let squash = 0;
+    let stretch = 0;
+    for (const { biome, weight } of this.biomeGenerator.getBiomeBlend(worldX, worldZ)) {
+      // Height relative to baseHeight, from the terrain graph
+      biomeHeight += weight * this.terrainGraph.sample2D(worldX, worldZ, biome);
+      squash += weight * biome.squash;
+      stretch += weight * biome.stretch;
+    }
     
-    // Apply biome-specific height modifiers
-    const biomeHeight = this.terrainConfig.baseHeight + biome.heightOffset;
-    const height = Math.floor(biomeHeight + noiseValue * biome.heightVariation);
+    const height = this.hydrology.carveRiver(this.terrainConfig.baseHeight + biomeHeight, worldX, worldZ);
+    return { height, squash, stretch };
+  }
+
+  /**
+   * Terrain density at a position (density mode); solid where positive
+   * The gradient term reaches +-1 at `range / squash` blocks below/above the
+   * blended height, so 3D noise (-1 to 1) can only reshape that band
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @param {object} shape - getTerrainShape result for the column
+   * @param {object} noise - Density noise source (the chunk's
+   *   ChunkNoiseCache while generating it)
+   * @returns {number} Density
+   */
+  getDensity(worldX, worldY, worldZ, shape, noise = this) {
+    const gradient = (shape.height - worldY) * shape.squash / this.densityConfig.range;
+    return gradient + noise.getDensityNoise(worldX, worldY, worldZ);
+  }
+
+  /**
+   * 3D noise term of the density, interpolated from the density lattice
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} Noise value (-1 to 1)
+   */
+  getDensityNoise(worldX, worldY, worldZ) {
+    return sampleLattice3D(worldX, worldY, worldZ, this.densityConfig.sampleStep,
+      (x, y, z) => this.sampleDensityNoise(x, y, z));
+  }
+
+  /**
+   * Density noise at a lattice point, stretched vertically by the blended
+   * stretch of its column
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} Noise value (-1 to 1)
+   */
+  sampleDensityNoise(worldX, worldY, worldZ) {
+    const { scale, octaves } = this.densityConfig;
+    const key = `${worldX},${worldZ}`;
+    let stretch = this.stretchCache.get(key);
+    if (stretch === undefined) {
+      // Keep the cache to roughly the area around recently generated chunks
+      if (this.stretchCache.size >= 4096) this.stretchCache.clear();
+      stretch = this.getTerrainShape(worldX, worldZ).stretch;
+      this.stretchCache.set(key, stretch);
+    }
+    return this.densityNoise.fbm3D(worldX * scale, worldY * scale / stretch, worldZ * scale, octaves);
+  }
+
+  /**
+   * Heights between which a density mode column can be open or solid
+   * @param {object} shape - getTerrainShape result for the column
+   * @returns {object} { bottom, top }: always solid at and below bottom;
+   *   open above top, which reaches sea level so water can fill in
+   */
+  getDensityBand(shape) {
+    const reach = this.densityConfig.range / shape.squash;
+    return {
+      bottom: Math.ceil(shape.height - reach),
+      top: Math.min(Math.max(Math.floor(shape.height + reach), this.hydrology.seaLevel), WorldConfig.chunkHeight - 1),
+    };
+  }
+
+  /**
+   * Fill one column in density mode
+   * Each solid run is layered like a heightmap column whose surface is the
+   * top of the run, so overhangs get grass on top and stone underneath
+   * @param {Chunk} chunk - Chunk being generated
+   * @param {number} x - Local X
+   * @param {number} z - Local Z
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @param {object} biome - Biome of the column
+   * @param {ChunkNoiseCache} noise - The chunk's noise fields
+   */
+  fillDensityColumn(chunk, x, z, worldX, worldZ, biome, noise) {
+    const shape = noise.getShape(noise.getIndex(x, z));
+    const { top, bottom } = this.getDensityBand(shape);
     
-    return Math.max(0, Math.min(height, WorldConfig.chunkHeight - 1));
+    let depth = 0; // Solid blocks directly above
+    for (let y = top; y >= 0; y--) {
+      if (y > bottom && this.getDensity(worldX, y, worldZ, shape, noise) <= 0) {
+        depth = 0;
+        if (y <= this.hydrology.seaLevel) {
+          chunk.setBlock(x, y, z, BlockTypes.WATER);
+        }
+        continue;
+      }
+      
+      const blockType = this.getBlockType(worldX, y, worldZ, y + depth, biome, noise);
+      if (blockType !== BlockTypes.AIR) {
+        chunk.setBlock(x, y, z, blockType);
+      }
+      depth++;
+    }
+  }
+
+  /**
+   * Height of the highest solid block in a column
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} Surface Y
+   */
+  getSurfaceHeight(worldX, worldZ) {
+    if (this.terrainMode !== 'density') {
+      return this.getTerrainHeight(worldX, worldZ);
+    }
+    
+    const shape = this.getTerrainShape(worldX, worldZ);
+    const reach = this.densityConfig.range / shape.squash;
+    const top = Math.min(Math.floor(shape.height + reach), WorldConfig.chunkHeight - 1);
+    const bottom = Math.max(Math.ceil(shape.height - reach), 0);
+    for (let y = top; y > bottom; y--) {
+      if (this.getDensity(worldX, y, worldZ, shape) > 0) return y;
+    }
+    return bottom;
   }
 
   /**
@@ -104,31 +311,34 @@ export class WorldGenerator {
    * @param {number} worldZ - World Z coordinate
    * @param {number} surfaceHeight - Surface height at this column
    * @param {object} biome - Biome data
+   * @param {object} caves - Cave source (the chunk's ChunkNoiseCache while
+   *   generating it)
    * @returns {number} Block type ID
    */
-  getBlockType(worldX, worldY, worldZ, surfaceHeight, biome) {
-    // Air above surface
-    if (worldY > surfaceHeight) {
-      return BlockTypes.AIR;
-    }
+  getBlockType(worldX, worldY, worldZ, surfaceHeight, biome, caves = this) {
+    const { seaLevel } = this.hydrology;
     
-    // Check for caves
-    if (this.isCave(worldX, worldY, worldZ)) {
-      return BlockTypes.AIR;
+    // Air above surface, water up to sea level
+    if (worldY > surfaceHeight) {
+      return worldY <= seaLevel ? BlockTypes.WATER : BlockTypes.AIR;
     }
     
-    // Water level
-    const waterLevel = this.terrainConfig.baseHeight;
-    if (worldY <= waterLevel - 5 && worldY > surfaceHeight) {
-      return BlockTypes.WATER;
+    // Check for caves (kept a few blocks under sea and river beds so the
+    // water doesn't pour into them)
+    const underWater = surfaceHeight < seaLevel && worldY > surfaceHeight - 4;
+    if (!underWater && caves.isCave(worldX, worldY, worldZ)) {
+      return worldY <= this.caveConfig.lavaLevel ? BlockTypes.LAVA : BlockTypes.AIR;
     }
     
     // Surface layer - use biome surface block
     if (worldY === surfaceHeight) {
-      if (surfaceHeight < waterLevel - 2) {
-        return BlockTypes.SAND; // Beach/underwater
+      if (surfaceHeight < seaLevel) {
+        return this.hydrology.getBedBlock(worldX, worldZ, biome); // Under water
+      }
+      if (this.hydrology.isBank(surfaceHeight)) {
+        return biome.beachBlock; // Shores and river banks
       }
-      return biome.surfaceBlock || BlockTypes.GRASS;
+      return biome.surfaceBlock;
     }
     
     // Subsurface layers
@@ -136,30 +346,46 @@ export class WorldGenerator {
     
     // Subsurface layer - use biome subsurface block
     if (depthFromSurface <= 3) {
-      return biome.subsurfaceBlock || BlockTypes.DIRT;
+      return biome.subsurfaceBlock;
     }
     
     // Deep layer - stone
-    return BlockTypes.STONE;
+    return biome.stoneBlock;
   }
 
   /**
-   * Check if position should be a cave using 3D noise
+   * Check if position should be a cave using 3D noise, interpolated from
+   * the cave lattice
    * @param {number} worldX - World X coordinate
    * @param {number} worldY - World Y coordinate  
    * @param {number} worldZ - World Z coordinate
    * @returns {boolean} True if cave
    */
   isCave(worldX, worldY, worldZ) {
-    const { scale, threshold, minHeight, maxHeight } = this.caveConfig;
+    const { threshold, minHeight, maxHeight, sampleStep } = this.caveConfig;
     
     // Only generate caves in certain height range
     if (worldY < minHeight || worldY > maxHeight) {
       return false;
     }
     
-    // Use 3D SimplexNoise for cave generation
-    const caveValue = this.caveNoise.fbm(
+    const caveValue = sampleLattice3D(worldX, worldY, worldZ, sampleStep,
+      (x, y, z) => this.sampleCaveNoise(x, y, z));
+    
+    // Cave if noise exceeds threshold
+    return caveValue > threshold;
+  }
+
+  /**
+   * Cave noise at a lattice point
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @param {number} worldZ - World Z coordinate
+   * @returns {number} Noise value (-1 to 1)
+   */
+  sampleCaveNoise(worldX, worldY, worldZ) {
+    const { scale } = this.caveConfig;
+    return this.caveNoise.fbm3D(
       worldX * scale,
       worldY * scale,
       worldZ * scale,
@@ -167,9 +393,6 @@ export class WorldGenerator {
       0.5,
       2.0
     );
-    
-    // Cave if noise exceeds threshold
-    return caveValue > threshold;
   }
 
   /**
@@ -183,11 +406,10 @@ export class WorldGenerator {
         const x = Math.floor(Math.cos(angle) * radius);
         const z = Math.floor(Math.sin(angle) * radius);
         
-        const biome = this.biomeGenerator.getBiome(x, z);
-        const height = this.getTerrainHeight(x, z, biome);
+        const height = this.getSurfaceHeight(x, z);
         
         // Check if position is suitable (above water, not in cave)
-        if (height > this.terrainConfig.baseHeight + 5) {
+        if (height > this.hydrology.seaLevel + 5) {
           // Check a few blocks above are air
           let safe = true;
           for (let y = height + 1; y <= height + 3; y++) {
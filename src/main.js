@@ -1,9 +1,19 @@
 import { WorldConfig } from './config.js';
 import { ChunkManager } from './core/ChunkManager.js';
 import { Physics } from './core/Physics.js';
+import { WaterPhysics } from './core/WaterPhysics.js';
 import { Renderer } from './rendering/Renderer.js';
 import { CameraController } from './rendering/CameraController.js';
 import { InputHandler } from './core/InputHandler.js';
+import { WorldClock } from './core/WorldClock.js';
+import { WorldStorage, createStorageBackend } from './storage/WorldStorage.js';
+
+// Seed asked for at launch with ?seed=<text> in the URL (the desktop app
+// passes its --seed argument on this way), or null
+function getLaunchSeed() {
+  const seed = new URLSearchParams(window.location.search).get('seed');
+  return seed && seed.trim() ? seed : null;
+}
 
 class VoxelEngine {
   constructor() {
@@ -22,21 +32,18 @@ class VoxelEngine {
       this.canvas
     );
     
-    // Initialize chunk manager
-    this.chunkManager = new ChunkManager(WorldConfig.seed);
-    
     // Initialize physics
     this.physics = new Physics();
-
-        // Initialize input handler
-    this.inputHandler = new InputHandler(
-      this.renderer.camera,
-      this.chunkManager,
-      this.renderer
-    );
+    
+    // Day-night cycle (pause or set with this.clock from the console)
+    this.clock = new WorldClock(WorldConfig.time);
     
     // Track loaded chunks
     this.loadedChunks = new Map();
+    this.pendingChunks = new Set();
+    
+    // Autosave timer (seconds)
+    this.autosaveTimer = 0;
 
 
         // Prevent right-click context menu
@@ -52,12 +59,68 @@ class VoxelEngine {
     // Create instructions overlay
     this.createInstructions();
     
-    // Start game loop
-    this.isRunning = true;
-    this.gameLoop();
+    // Save edits when the page is hidden or closed
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden' && this.chunkManager) {
+        this.chunkManager.saveChunks();
+      }
+    };
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
     
-    console.log('Voxel Engine initialized!');
-    console.log('World seed:', WorldConfig.seed);
+    // Open the world save, then start game loop
+    this.isRunning = false;
+    this.initWorld()
+      .then(() => {
+        this.isRunning = true;
+        this.gameLoop();
+        
+        console.log('Voxel Engine initialized!');
+        console.log('World:', WorldConfig.storage.worldName, 'seed:', this.seed);
+      })
+      .catch((error) => {
+        console.error('Failed to initialize world:', error);
+      });
+  }
+  
+  // Open saved world (if storage is available) and create the chunk manager
+  async initWorld() {
+    let storage = null;
+    const backend = createStorageBackend();
+    const launchSeed = getLaunchSeed();
+    
+    if (backend) {
+      try {
+        // A launch seed opens (or creates) that seed's world
+        storage = await WorldStorage.open(backend, {
+          name: WorldConfig.storage.worldName,
+          seed: launchSeed,
+          fallbackSeed: WorldConfig.seed,
+          terrainMode: WorldConfig.terrain.mode,
+        });
+      } catch (error) {
+        console.warn('World saves unavailable, edits will not persist:', error);
+      }
+    }
+    
+    // A saved world keeps the seed and terrain mode it was created with
+    this.seed = storage ? storage.world.seed : (launchSeed ?? WorldConfig.seed);
+    const terrainMode = storage ? storage.world.terrainMode : WorldConfig.terrain.mode;
+    
+    // Initialize chunk manager
+    this.chunkManager = new ChunkManager(this.seed, { terrainMode });
+    if (storage) {
+      this.chunkManager.setStorage(storage);
+    }
+    this.waterPhysics = new WaterPhysics(this.chunkManager);
+    this.renderer.setChunkManager(this.chunkManager);
+    this.renderer.setLightingSystem(this.chunkManager.lighting);
+    
+    // Initialize input handler
+    this.inputHandler = new InputHandler(
+      this.renderer.camera,
+      this.chunkManager,
+      this.renderer
+    );
   }
   
   createFPSDisplay() {
@@ -133,19 +196,48 @@ class VoxelEngine {
     // Sort by distance (load closest first)
     chunksToLoad.sort((a, b) => a.distance - b.distance);
     
-    // Load new chunks
+    // Request new chunks (loaded from saves or generated in workers)
+    this.chunkManager.setFocus(chunkX, chunkZ);
     for (const { x, z } of chunksToLoad) {
       const chunkKey = `${x},${z}`;
       
-      if (!this.loadedChunks.has(chunkKey)) {
-        const chunk = this.chunkManager.getChunk(x, z);
-        this.loadedChunks.set(chunkKey, chunk);
-        this.renderer.updateChunkMesh(chunk);
+      if (!this.loadedChunks.has(chunkKey) && !this.pendingChunks.has(chunkKey)) {
+        this.pendingChunks.add(chunkKey);
+        this.chunkManager.requestChunk(x, z).then((chunk) => {
+          // Failed loads never come out of integrateReadyChunks; forget the
+          // request so the chunk is tried again
+          if (!chunk) this.pendingChunks.delete(chunkKey);
+        });
+      }
+    }
+    
+    // Add finished chunks, spreading the work over frames
+    const readyChunks = this.chunkManager.integrateReadyChunks(WorldConfig.generation.frameBudget);
+    for (const chunk of readyChunks) {
+      const chunkKey = `${chunk.x},${chunk.z}`;
+      this.pendingChunks.delete(chunkKey);
+      this.loadedChunks.set(chunkKey, chunk);
+      this.waterPhysics.initializeChunkWater(chunk);
+      this.renderer.updateChunkMesh(chunk);
+      
+      // Neighbors were meshed with air where this chunk is; cull their border faces
+      for (const neighbor of this.chunkManager.getAdjacentChunks(chunk.x, chunk.z)) {
+        neighbor.markBorderSectionsDirty(chunk);
+        this.renderer.updateChunkMesh(neighbor);
       }
     }
     
     // Unload distant chunks
     const unloadDistance = renderDistance + 2;
+    
+    // Stop waiting for chunks the player has moved away from
+    for (const chunkKey of this.pendingChunks) {
+      const [x, z] = chunkKey.split(',').map(Number);
+      if (Math.sqrt((x - chunkX) ** 2 + (z - chunkZ) ** 2) > unloadDistance) {
+        this.chunkManager.cancelChunk(x, z);
+        this.pendingChunks.delete(chunkKey);
+      }
+    }
     const chunksToUnload = [];
     
     for (const [chunkKey, chunk] of this.loadedChunks) {
@@ -158,15 +250,34 @@ class VoxelEngine {
       }
     }
     
-    // Unload chunks
+    // Unload chunks (modified chunks are saved by the chunk manager)
     for (const chunkKey of chunksToUnload) {
       const chunk = this.loadedChunks.get(chunkKey);
       this.renderer.removeChunkMesh(chunk.x, chunk.z);
+      this.chunkManager.unloadChunk(chunk.x, chunk.z);
       this.loadedChunks.delete(chunkKey);
     }
   }
   
+  updateTimeOfDay(deltaTime) {
+    this.clock.update(deltaTime);
+    this.renderer.updateTimeOfDay(this.clock);
+    this.chunkManager.lighting.setSkylightScale(this.clock.getSkylightScale());
+  }
+  
+  updateAutosave(deltaTime) {
+    this.autosaveTimer += deltaTime;
+    
+    if (this.autosaveTimer >= WorldConfig.storage.autosaveInterval) {
+      this.autosaveTimer = 0;
+      this.chunkManager.saveChunks();
+    }
+  }
+  
   updatePhysics(deltaTime) {
+    // Let water flow (chunks it changes are re-meshed below)
+    this.waterPhysics.update(deltaTime);
+    
     // Update physics for all loaded chunks
     for (const chunk of this.loadedChunks.values()) {
       this.physics.update(chunk, deltaTime);
@@ -208,6 +319,12 @@ class VoxelEngine {
     // Update physics
     this.updatePhysics(deltaTime);
     
+    // Advance the day-night cycle
+    this.updateTimeOfDay(deltaTime);
+    
+    // Periodically save edited chunks
+    this.updateAutosave(deltaTime);
+    
     // Update FPS display
     this.updateFPS(deltaTime);
     
@@ -220,10 +337,15 @@ class VoxelEngine {
   
   dispose() {
     this.isRunning = false;
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
     this.cameraController.dispose();
-        this.inputHandler.dispose();
+    if (this.inputHandler) {
+      this.inputHandler.dispose();
+    }
     this.renderer.dispose();
-    this.chunkManager.dispose();
+    if (this.chunkManager) {
+      this.chunkManager.dispose();
+    }
     if (this.fpsElement) {
       this.fpsElement.remove();
     }
@@ -0,0 +1,61 @@
+/**
+ * DomainWarp.js - Offset sample coordinates by noise
+ * Sampling a noise field at warped coordinates bends its features into
+ * swirls and folds: x' = x + amplitude * fbm(x * frequency, ...), with an
+ * independent noise field per axis. Warp the coordinates, then sample any
+ * noise (gradient, Worley, a noise graph) at the result
+ */
+
+import { SimplexNoise } from './SimplexNoise.js';
+import { WorldSeed } from './WorldSeed.js';
+
+// Axes with an offset field, each seeded with its own sub-seed of the warp seed
+const AXES = ['x', 'y', 'z'];
+
+export class DomainWarp {
+  /**
+   * @param {WorldSeed|string|number} seed - Warp seed
+   * @param {object} options - { amplitude (largest offset, in blocks, 16),
+   *   frequency (of the offset noise, 0.01), octaves (2) }
+   */
+  constructor(seed = 0, { amplitude = 16, frequency = 0.01, octaves = 2 } = {}) {
+    this.amplitude = amplitude;
+    this.frequency = frequency;
+    this.octaves = octaves;
+    const warpSeed = WorldSeed.from(seed);
+    this.fields = AXES.map(axis => new SimplexNoise(warpSeed.derive(axis)));
+  }
+
+  /**
+   * Warp 2D coordinates
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {Array} out - Array to write [x, z] into (saves an allocation)
+   * @returns {Array} [x, z] warped
+   */
+  warp2D(x, z, out = [0, 0]) {
+    const fx = x * this.frequency;
+    const fz = z * this.frequency;
+    out[0] = x + this.amplitude * this.fields[0].fbm2D(fx, fz, this.octaves);
+    out[1] = z + this.amplitude * this.fields[1].fbm2D(fx, fz, this.octaves);
+    return out;
+  }
+
+  /**
+   * Warp 3D coordinates
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {Array} out - Array to write [x, y, z] into (saves an allocation)
+   * @returns {Array} [x, y, z] warped
+   */
+  warp3D(x, y, z, out = [0, 0, 0]) {
+    const fx = x * this.frequency;
+    const fy = y * this.frequency;
+    const fz = z * this.frequency;
+    out[0] = x + this.amplitude * this.fields[0].fbm3D(fx, fy, fz, this.octaves);
+    out[1] = y + this.amplitude * this.fields[1].fbm3D(fx, fy, fz, this.octaves);
+    out[2] = z + this.amplitude * this.fields[2].fbm3D(fx, fy, fz, this.octaves);
+    return out;
+  }
+}
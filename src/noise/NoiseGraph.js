@@ -0,0 +1,480 @@
+/**
+ * NoiseGraph.js - Noise functions composed from JSON
+ * A graph is a tree of nodes: sources (constants, inputs, seeded noise)
+ * feeding operators (domain scaling, arithmetic, clamping, curves,
+ * selection). Each node is compiled once into a pair of sampling functions,
+ * one for 2D (x, z) and one for 3D (x, y, z), so evaluating a graph costs
+ * little more than the hand-wired noise calls it replaces.
+ *
+ * Definition format:
+ *   { "output": <node>, "nodes": { "<name>": <node>, ... } }
+ * where a node is an object with a "type" (see NODE_TYPES), or a string
+ * naming an entry in "nodes" so one node can feed several others. Wrap
+ * shared, expensive nodes in a "cache" node
+ */
+
+import { SimplexNoise } from './SimplexNoise.js';
+import { PerlinNoise } from './PerlinNoise.js';
+import { WorleyNoise, WORLEY_OUTPUTS } from './WorleyNoise.js';
+import { DomainWarp } from './DomainWarp.js';
+import { WorldSeed } from './WorldSeed.js';
+
+// Fractal modes of noise sources
+const FRACTALS = ['none', 'fbm', 'ridge', 'billow'];
+
+/**
+ * Node types and their fields
+ * Inputs (node) may be a node object or the name of a shared node.
+ * Numbers with a default are optional. Seeded nodes (simplex, perlin,
+ * worley, warp) take a sub-seed of the graph's seed named by their seed
+ * field (a string or number), or by their path in the graph if they have
+ * none, so every seeded node gets its own field unless two share a name
+ *   constant: value
+ *   input: name (a value supplied by the caller, e.g. a biome field)
+ *   simplex, perlin: seed, fractal ('fbm'), octaves (4), persistence (0.5),
+ *     lacunarity (2), frequency (1)
+ *   worley: seed, frequency (1), jitter (1), output ('f1', 'f2', 'edge'
+ *     or 'cell', see WorleyNoise)
+ *   scaleOffset: source, scale (1), offset (0) - source * scale + offset
+ *   scaleDomain: source, by (number or node, 1), x, y, z (1) - samples
+ *     source at scaled coordinates
+ *   translateDomain: source, x, y, z (0) - samples source at moved coordinates
+ *   warp: source, seed, amplitude (16), frequency (0.01), octaves (2) -
+ *     samples source at coordinates offset by noise (see DomainWarp)
+ *   add, multiply, min, max: sources (list of nodes)
+ *   clamp: source, min, max
+ *   curve: source, points ([[in, out], ...], sorted by in) - piecewise
+ *     linear remap, flat past the ends
+ *   select: control, low, high, threshold (0), falloff (0) - low where
+ *     control is below threshold, high above, smoothly blended within
+ *     falloff of it
+ *   blend: a, b, control - a to b as control goes from 0 to 1
+ *   cache: source - remembers the last sample
+ */
+const NOISE_FIELDS = ['seed', 'fractal', 'octaves', 'persistence', 'lacunarity', 'frequency'];
+const NODE_FIELDS = {
+  constant: ['value'],
+  input: ['name'],
+  simplex: NOISE_FIELDS,
+  perlin: NOISE_FIELDS,
+  worley: ['seed', 'frequency', 'jitter', 'output'],
+  scaleOffset: ['source', 'scale', 'offset'],
+  scaleDomain: ['source', 'by', 'x', 'y', 'z'],
+  translateDomain: ['source', 'x', 'y', 'z'],
+  warp: ['source', 'seed', 'amplitude', 'frequency', 'octaves'],
+  add: ['sources'],
+  multiply: ['sources'],
+  min: ['sources'],
+  max: ['sources'],
+  clamp: ['source', 'min', 'max'],
+  curve: ['source', 'points'],
+  select: ['control', 'low', 'high', 'threshold', 'falloff'],
+  blend: ['a', 'b', 'control'],
+  cache: ['source'],
+};
+export const NODE_TYPES = Object.keys(NODE_FIELDS);
+
+/**
+ * NoiseGraph - A compiled noise graph
+ */
+export class NoiseGraph {
+  constructor(output) {
+    this.output = output; // { sample2D, sample3D } of the output node
+  }
+
+  /**
+   * Sample the graph in 2D
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {object} inputs - Values for input nodes
+   * @returns {number} Value
+   */
+  sample2D(x, z, inputs = {}) {
+    return this.output.sample2D(x, z, inputs);
+  }
+
+  /**
+   * Sample the graph in 3D
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {object} inputs - Values for input nodes
+   * @returns {number} Value
+   */
+  sample3D(x, y, z, inputs = {}) {
+    return this.output.sample3D(x, y, z, inputs);
+  }
+
+  /**
+   * Compile a graph from a JSON definition
+   * @param {object} definition - { output, nodes }
+   * @param {object} options - { seed (graph seed: a WorldSeed, text or a
+   *   number such as a sub-seed from WorldSeed.derive), inputs (names input nodes may use), source (where
+   *   it came from, for error messages) }
+   * @returns {NoiseGraph} The graph
+   */
+  static fromDefinition(definition, { seed = 0, inputs = [], source = 'noise graph' } = {}) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`${source}: expected an object`);
+    }
+    for (const field of Object.keys(definition)) {
+      if (field !== 'output' && field !== 'nodes') {
+        throw new Error(`${source}: unknown field "${field}"`);
+      }
+    }
+    if (definition.output === undefined) {
+      throw new Error(`${source}: missing required field "output"`);
+    }
+
+    const compiler = new GraphCompiler(definition.nodes ?? {}, seed, inputs, source);
+    return new NoiseGraph(compiler.compile(definition.output, 'output'));
+  }
+}
+
+// Turns node definitions into sampling functions (see NoiseGraph.fromDefinition)
+class GraphCompiler {
+  constructor(nodes, seed, inputs, source) {
+    if (typeof nodes !== 'object' || Array.isArray(nodes)) {
+      throw new Error(`${source}: "nodes" must map names to nodes`);
+    }
+    this.nodes = nodes;
+    this.seed = WorldSeed.from(seed);
+    this.inputs = inputs;
+    this.source = source;
+    this.compiled = new Map(); // Shared node name -> compiled node
+    this.compiling = new Set(); // Shared node names being compiled, to catch cycles
+  }
+
+  fail(path, message) {
+    throw new Error(`${this.source}: ${path}: ${message}`);
+  }
+
+  // Compile a node object or a reference to a shared node
+  compile(node, path) {
+    if (typeof node === 'string') {
+      if (!(node in this.nodes)) this.fail(path, `unknown node "${node}"`);
+      if (this.compiled.has(node)) return this.compiled.get(node);
+      if (this.compiling.has(node)) this.fail(path, `node "${node}" depends on itself`);
+
+      this.compiling.add(node);
+      const compiled = this.compile(this.nodes[node], `nodes.${node}`);
+      this.compiling.delete(node);
+      this.compiled.set(node, compiled);
+      return compiled;
+    }
+
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      this.fail(path, 'expected a node object or a node name');
+    }
+    if (!Object.hasOwn(NODE_FIELDS, node.type)) {
+      this.fail(path, `unknown node type "${node.type}" (expected one of ${NODE_TYPES.join(', ')})`);
+    }
+    for (const field of Object.keys(node)) {
+      if (field !== 'type' && !NODE_FIELDS[node.type].includes(field)) {
+        this.fail(path, `unknown field "${field}" for a ${node.type} node`);
+      }
+    }
+    return this[node.type](node, path);
+  }
+
+  // Compile a list of nodes
+  compileList(nodes, path) {
+    if (!Array.isArray(nodes) || nodes.length === 0) this.fail(path, 'expected a non-empty list of nodes');
+    return nodes.map((node, i) => this.compile(node, `${path}[${i}]`));
+  }
+
+  // Read a number field
+  number(node, field, path, fallback = undefined) {
+    const value = node[field] ?? fallback;
+    if (value === undefined) this.fail(path, `missing required field "${field}"`);
+    if (typeof value !== 'number' || !Number.isFinite(value)) this.fail(path, `"${field}" must be a number`);
+    return value;
+  }
+
+  // Seed of a seeded node (see NODE_FIELDS)
+  seedOf(node, path) {
+    const name = node.seed ?? path;
+    if (typeof name !== 'string' && (typeof name !== 'number' || !Number.isFinite(name))) {
+      this.fail(path, '"seed" must be a string or a number');
+    }
+    return this.seed.derive(String(name));
+  }
+
+  constant(node, path) {
+    const value = this.number(node, 'value', path);
+    return { sample2D: () => value, sample3D: () => value };
+  }
+
+  input(node, path) {
+    const { name } = node;
+    if (!this.inputs.includes(name)) {
+      this.fail(path, `unknown input "${name}" (expected one of ${this.inputs.join(', ') || 'none'})`);
+    }
+    return {
+      sample2D: (x, z, inputs) => inputs[name],
+      sample3D: (x, y, z, inputs) => inputs[name],
+    };
+  }
+
+  simplex(node, path) {
+    return this.noiseSource(new SimplexNoise(this.seedOf(node, path)), node, path);
+  }
+
+  perlin(node, path) {
+    return this.noiseSource(new PerlinNoise(this.seedOf(node, path)), node, path);
+  }
+
+  // Fractal sums over a noise generator's noise2D/noise3D
+  noiseSource(noise, node, path) {
+    const fractal = node.fractal ?? 'fbm';
+    if (!FRACTALS.includes(fractal)) this.fail(path, `"fractal" must be one of ${FRACTALS.join(', ')}`);
+    const octaves = fractal === 'none' ? 1 : this.number(node, 'octaves', path, 4);
+    const persistence = this.number(node, 'persistence', path, 0.5);
+    const lacunarity = this.number(node, 'lacunarity', path, 2.0);
+    const frequency = this.number(node, 'frequency', path, 1);
+    if (!Number.isInteger(octaves) || octaves < 1) this.fail(path, '"octaves" must be a positive integer');
+
+    const shape = fractal === 'ridge' ? n => 1 - Math.abs(n) : fractal === 'billow' ? Math.abs : n => n;
+    let maxValue = 0;
+    for (let i = 0, amplitude = 1; i < octaves; i++, amplitude *= persistence) maxValue += amplitude;
+
+    return {
+      sample2D: (x, z) => {
+        let total = 0;
+        let octaveFrequency = frequency;
+        let amplitude = 1;
+        for (let i = 0; i < octaves; i++) {
+          total += shape(noise.noise2D(x * octaveFrequency, z * octaveFrequency)) * amplitude;
+          amplitude *= persistence;
+          octaveFrequency *= lacunarity;
+        }
+        return total / maxValue;
+      },
+      sample3D: (x, y, z) => {
+        let total = 0;
+        let octaveFrequency = frequency;
+        let amplitude = 1;
+        for (let i = 0; i < octaves; i++) {
+          total += shape(noise.noise3D(x * octaveFrequency, y * octaveFrequency, z * octaveFrequency)) * amplitude;
+          amplitude *= persistence;
+          octaveFrequency *= lacunarity;
+        }
+        return total / maxValue;
+      },
+    };
+  }
+
+  worley(node, path) {
+    const jitter = this.number(node, 'jitter', path, 1);
+    if (jitter < 0 || jitter > 1) this.fail(path, '"jitter" must be between 0 and 1');
+    const output = node.output ?? 'f1';
+    if (!WORLEY_OUTPUTS.includes(output)) this.fail(path, `"output" must be one of ${WORLEY_OUTPUTS.join(', ')}`);
+    const frequency = this.number(node, 'frequency', path, 1);
+    const noise = new WorleyNoise(this.seedOf(node, path), jitter);
+    return {
+      sample2D: (x, z) => noise.noise2D(x * frequency, z * frequency, output),
+      sample3D: (x, y, z) => noise.noise3D(x * frequency, y * frequency, z * frequency, output),
+    };
+  }
+
+  scaleOffset(node, path) {
+    const input = this.compile(node.source, `${path}.source`);
+    const scale = this.number(node, 'scale', path, 1);
+    const offset = this.number(node, 'offset', path, 0);
+    return {
+      sample2D: (x, z, inputs) => input.sample2D(x, z, inputs) * scale + offset,
+      sample3D: (x, y, z, inputs) => input.sample3D(x, y, z, inputs) * scale + offset,
+    };
+  }
+
+  scaleDomain(node, path) {
+    const input = this.compile(node.source, `${path}.source`);
+    const by = typeof node.by === 'number' || node.by === undefined
+      ? this.constant({ value: node.by ?? 1 }, path)
+      : this.compile(node.by, `${path}.by`);
+    const sx = this.number(node, 'x', path, 1);
+    const sy = this.number(node, 'y', path, 1);
+    const sz = this.number(node, 'z', path, 1);
+    return {
+      sample2D: (x, z, inputs) => {
+        const factor = by.sample2D(x, z, inputs);
+        return input.sample2D(x * sx * factor, z * sz * factor, inputs);
+      },
+      sample3D: (x, y, z, inputs) => {
+        const factor = by.sample3D(x, y, z, inputs);
+        return input.sample3D(x * sx * factor, y * sy * factor, z * sz * factor, inputs);
+      },
+    };
+  }
+
+  translateDomain(node, path) {
+    const input = this.compile(node.source, `${path}.source`);
+    const dx = this.number(node, 'x', path, 0);
+    const dy = this.number(node, 'y', path, 0);
+    const dz = this.number(node, 'z', path, 0);
+    return {
+      sample2D: (x, z, inputs) => input.sample2D(x + dx, z + dz, inputs),
+      sample3D: (x, y, z, inputs) => input.sample3D(x + dx, y + dy, z + dz, inputs),
+    };
+  }
+
+  warp(node, path) {
+    const input = this.compile(node.source, `${path}.source`);
+    const octaves = this.number(node, 'octaves', path, 2);
+    if (!Number.isInteger(octaves) || octaves < 1) this.fail(path, '"octaves" must be a positive integer');
+    const warp = new DomainWarp(this.seedOf(node, path), {
+      amplitude: this.number(node, 'amplitude', path, 16),
+      frequency: this.number(node, 'frequency', path, 0.01),
+      octaves,
+    });
+    const warped = [0, 0, 0];
+    return {
+      sample2D: (x, z, inputs) => {
+        warp.warp2D(x, z, warped);
+        return input.sample2D(warped[0], warped[1], inputs);
+      },
+      sample3D: (x, y, z, inputs) => {
+        warp.warp3D(x, y, z, warped);
+        return input.sample3D(warped[0], warped[1], warped[2], inputs);
+      },
+    };
+  }
+
+  // Fold a list of inputs with a binary operation
+  combine(node, path, operation) {
+    const inputs = this.compileList(node.sources, `${path}.sources`);
+    return {
+      sample2D: (x, z, values) => {
+        let result = inputs[0].sample2D(x, z, values);
+        for (let i = 1; i < inputs.length; i++) result = operation(result, inputs[i].sample2D(x, z, values));
+        return result;
+      },
+      sample3D: (x, y, z, values) => {
+        let result = inputs[0].sample3D(x, y, z, values);
+        for (let i = 1; i < inputs.length; i++) result = operation(result, inputs[i].sample3D(x, y, z, values));
+        return result;
+      },
+    };
+  }
+
+  add(node, path) {
+    return this.combine(node, path, (a, b) => a + b);
+  }
+
+  multiply(node, path) {
+    return this.combine(node, path, (a, b) => a * b);
+  }
+
+  min(node, path) {
+    return this.combine(node, path, Math.min);
+  }
+
+  max(node, path) {
+    return this.combine(node, path, Math.max);
+  }
+
+  // Apply a function to a single input
+  map(node, path, fn) {
+    const input = this.compile(node.source, `${path}.source`);
+    return {
+      sample2D: (x, z, inputs) => fn(input.sample2D(x, z, inputs)),
+      sample3D: (x, y, z, inputs) => fn(input.sample3D(x, y, z, inputs)),
+    };
+  }
+
+  clamp(node, path) {
+    const min = this.number(node, 'min', path);
+    const max = this.number(node, 'max', path);
+    if (min > max) this.fail(path, '"min" must not be greater than "max"');
+    return this.map(node, path, value => Math.min(Math.max(value, min), max));
+  }
+
+  curve(node, path) {
+    const { points } = node;
+    if (!Array.isArray(points) || points.length < 2 || !points.every(point =>
+      Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+      this.fail(path, '"points" must be a list of at least two [in, out] pairs');
+    }
+    for (let i = 1; i < points.length; i++) {
+      if (points[i][0] <= points[i - 1][0]) this.fail(path, '"points" must be sorted by input value');
+    }
+
+    const last = points.length - 1;
+    return this.map(node, path, value => {
+      if (value <= points[0][0]) return points[0][1];
+      if (value >= points[last][0]) return points[last][1];
+      let i = 1;
+      while (points[i][0] < value) i++;
+      const [x0, y0] = points[i - 1];
+      const [x1, y1] = points[i];
+      return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+    });
+  }
+
+  select(node, path) {
+    const control = this.compile(node.control, `${path}.control`);
+    const low = this.compile(node.low, `${path}.low`);
+    const high = this.compile(node.high, `${path}.high`);
+    const threshold = this.number(node, 'threshold', path, 0);
+    const falloff = this.number(node, 'falloff', path, 0);
+    if (falloff < 0) this.fail(path, '"falloff" must not be negative');
+
+    // 0 for low, 1 for high, smoothstepped across the falloff band
+    const weight = (value) => {
+      if (value <= threshold - falloff) return 0;
+      if (value >= threshold + falloff) return 1;
+      const t = (value - threshold + falloff) / (2 * falloff);
+      return t * t * (3 - 2 * t);
+    };
+
+    return {
+      sample2D: (x, z, inputs) => {
+        const t = weight(control.sample2D(x, z, inputs));
+        if (t === 0) return low.sample2D(x, z, inputs);
+        if (t === 1) return high.sample2D(x, z, inputs);
+        const a = low.sample2D(x, z, inputs);
+        return a + (high.sample2D(x, z, inputs) - a) * t;
+      },
+      sample3D: (x, y, z, inputs) => {
+        const t = weight(control.sample3D(x, y, z, inputs));
+        if (t === 0) return low.sample3D(x, y, z, inputs);
+        if (t === 1) return high.sample3D(x, y, z, inputs);
+        const a = low.sample3D(x, y, z, inputs);
+        return a + (high.sample3D(x, y, z, inputs) - a) * t;
+      },
+    };
+  }
+
+  blend(node, path) {
+    const a = this.compile(node.a, `${path}.a`);
+    const b = this.compile(node.b, `${path}.b`);
+    const control = this.compile(node.control, `${path}.control`);
+    const lerp = (from, to, t) => from + (to - from) * Math.min(Math.max(t, 0), 1);
+    return {
+      sample2D: (x, z, inputs) =>
+        lerp(a.sample2D(x, z, inputs), b.sample2D(x, z, inputs), control.sample2D(x, z, inputs)),
+      sample3D: (x, y, z, inputs) =>
+        lerp(a.sample3D(x, y, z, inputs), b.sample3D(x, y, z, inputs), control.sample3D(x, y, z, inputs)),
+    };
+  }
+
+  cache(node, path) {
+    const input = this.compile(node.source, `${path}.source`);
+    let last2D = null; // [x, z, inputs, value]
+    let last3D = null; // [x, y, z, inputs, value]
+    return {
+      sample2D: (x, z, inputs) => {
+        if (!last2D || last2D[0] !== x || last2D[1] !== z || last2D[2] !== inputs) {
+          last2D = [x, z, inputs, input.sample2D(x, z, inputs)];
+        }
+        return last2D[3];
+      },
+      sample3D: (x, y, z, inputs) => {
+        if (!last3D || last3D[0] !== x || last3D[1] !== y || last3D[2] !== z || last3D[3] !== inputs) {
+          last3D = [x, y, z, inputs, input.sample3D(x, y, z, inputs)];
+        }
+        return last3D[4];
+      },
+    };
+  }
+}
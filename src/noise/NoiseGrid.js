@@ -0,0 +1,138 @@
+/**
+ * NoiseGrid.js - Bulk noise evaluation into Float64Array grids
+ * Filling a grid for a whole chunk evaluates each noise field once per
+ * position instead of once per lookup. 3D grids can be sampled on a coarse
+ * lattice (every `step` blocks along each axis) and trilinearly upsampled,
+ * which takes about step^3 times fewer noise samples and smooths away detail
+ * finer than the lattice; with a step of 1 every position is sampled and
+ * the grid holds exactly the sampled values. The lattice is aligned to world coordinates, so
+ * neighbouring chunks share the points along their border and their grids
+ * join up. sampleLattice3D gives a single position the exact value a grid
+ * would hold, for lookups outside the chunk being generated
+ *
+ * Grids are column-major: a 2D grid holds (x, z) at x * sizeZ + z, and a 3D
+ * grid holds (x, y, z) at (x * sizeZ + z) * sizeY + y
+ */
+
+// Linear interpolation
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Interpolation across the four lattice columns around a position
+function bilinear(c00, c10, c01, c11, tx, tz) {
+  return lerp(lerp(c00, c10, tx), lerp(c01, c11, tx), tz);
+}
+
+// Lattice cell of each position along one axis, and the position within it
+function latticeAxis(origin, size, step) {
+  const first = Math.floor(origin / step);
+  const cells = new Int32Array(size);
+  const offsets = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const cell = Math.floor((origin + i) / step);
+    cells[i] = cell - first;
+    offsets[i] = (origin + i - cell * step) / step;
+  }
+  // Points from the first cell's start to the last cell's end
+  return { first, count: cells[size - 1] + 2, cells, offsets };
+}
+
+/**
+ * Fill a 2D grid with one sample per position
+ * @param {Float64Array} out - Grid of sizeX * sizeZ values
+ * @param {object} region - { x, z, sizeX, sizeZ }: first position and size
+ * @param {Function} sample - (x, z, index) => value; index is the value's
+ *   place in out, so a sampler can fill companion grids alongside
+ * @returns {Float64Array} out
+ */
+export function fillGrid2D(out, { x, z, sizeX, sizeZ }, sample) {
+  for (let dx = 0; dx < sizeX; dx++) {
+    for (let dz = 0; dz < sizeZ; dz++) {
+      const index = dx * sizeZ + dz;
+      out[index] = sample(x + dx, z + dz, index);
+    }
+  }
+  return out;
+}
+
+/**
+ * Fill a 3D grid from samples on a lattice, upsampled trilinearly
+ * Lattice points are sampled column by column, bottom to top, so a sampler
+ * can reuse per-column work (such as a biome lookup) between calls
+ * @param {Float64Array} out - Grid of sizeX * sizeY * sizeZ values
+ * @param {object} region - { x, y, z, sizeX, sizeY, sizeZ, step }: first
+ *   position, size and lattice spacing (1 = sample every position)
+ * @param {Function} sample - (x, y, z) => value at a lattice point
+ * @returns {Float64Array} out
+ */
+export function fillGrid3D(out, { x, y, z, sizeX, sizeY, sizeZ, step = 1 }, sample) {
+  const axisX = latticeAxis(x, sizeX, step);
+  const axisY = latticeAxis(y, sizeY, step);
+  const axisZ = latticeAxis(z, sizeZ, step);
+
+  // Samples at the lattice points
+  const lattice = new Float64Array(axisX.count * axisZ.count * axisY.count);
+  let i = 0;
+  for (let lx = 0; lx < axisX.count; lx++) {
+    for (let lz = 0; lz < axisZ.count; lz++) {
+      for (let ly = 0; ly < axisY.count; ly++) {
+        lattice[i++] = sample((axisX.first + lx) * step, (axisY.first + ly) * step, (axisZ.first + lz) * step);
+      }
+    }
+  }
+
+  // Interpolate each column's lattice points across X and Z, then along Y
+  const column = new Float64Array(axisY.count);
+  for (let dx = 0; dx < sizeX; dx++) {
+    const cellX = axisX.cells[dx];
+    const tx = axisX.offsets[dx];
+    for (let dz = 0; dz < sizeZ; dz++) {
+      const cellZ = axisZ.cells[dz];
+      const tz = axisZ.offsets[dz];
+      const c00 = (cellX * axisZ.count + cellZ) * axisY.count;
+      const c10 = ((cellX + 1) * axisZ.count + cellZ) * axisY.count;
+      const c01 = c00 + axisY.count;
+      const c11 = c10 + axisY.count;
+      for (let ly = 0; ly < axisY.count; ly++) {
+        column[ly] = bilinear(lattice[c00 + ly], lattice[c10 + ly], lattice[c01 + ly], lattice[c11 + ly], tx, tz);
+      }
+
+      const base = (dx * sizeZ + dz) * sizeY;
+      for (let dy = 0; dy < sizeY; dy++) {
+        const cellY = axisY.cells[dy];
+        out[base + dy] = lerp(column[cellY], column[cellY + 1], axisY.offsets[dy]);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Value a fillGrid3D grid with the same lattice would hold at a position
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} step - Lattice spacing
+ * @param {Function} sample - (x, y, z) => value at a lattice point
+ * @returns {number} Interpolated value
+ */
+export function sampleLattice3D(x, y, z, step, sample) {
+  const cellX = Math.floor(x / step);
+  const cellY = Math.floor(y / step);
+  const cellZ = Math.floor(z / step);
+  const x0 = cellX * step, y0 = cellY * step, z0 = cellZ * step;
+  const x1 = x0 + step, y1 = y0 + step, z1 = z0 + step;
+
+  // Same sampling order and interpolation order as fillGrid3D
+  const b00 = sample(x0, y0, z0), t00 = sample(x0, y1, z0);
+  const b01 = sample(x0, y0, z1), t01 = sample(x0, y1, z1);
+  const b10 = sample(x1, y0, z0), t10 = sample(x1, y1, z0);
+  const b11 = sample(x1, y0, z1), t11 = sample(x1, y1, z1);
+
+  const tx = (x - x0) / step;
+  const tz = (z - z0) / step;
+  const bottom = bilinear(b00, b10, b01, b11, tx, tz);
+  const top = bilinear(t00, t10, t01, t11, tx, tz);
+  return lerp(bottom, top, (y - y0) / step);
+}
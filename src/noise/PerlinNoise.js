@@ -1,3 +1,5 @@
+import { createRandom, seedState } from './SeededRandom.js';
+
 /**
  * Perlin Noise Generator - Improved Version
  * Based on Ken Perlin's improved noise algorithm
@@ -9,9 +11,6 @@
 export class PerlinNoise {
   // Constants for permutation generation
   static PERMUTATION_SIZE = 256;
-  static RNG_MULTIPLIER = 16807;
-  static RNG_MODULUS = 2147483647;
-  static SEED_RANGE = 65536;
   
   // Fade function constants (6t^5 - 15t^4 + 10t^3)
   static FADE_COEF_A = 6;
@@ -27,15 +26,11 @@ export class PerlinNoise {
   ];
   
   /**
-   * @param {number} seed - Seed for random permutation (optional)
+   * @param {number} seed - Seed for random permutation (see seedState in SeededRandom.js)
+   * @throws {Error} If the seed is not a finite number
    */
-  constructor(seed = null) {
-    // Validate seed
-    if (seed !== null && (typeof seed !== 'number' || seed < 0 || !isFinite(seed))) {
-      throw new Error('Seed must be a non-negative number');
-    }
-    
-    this.seed = seed || Math.floor(Math.random() * PerlinNoise.SEED_RANGE);
+  constructor(seed = 0) {
+    this.seed = seed;
     this.permutation = this.generatePermutation();
     this.fadeCache = new Map(); // Cache fade values for optimization
   }
@@ -52,10 +47,9 @@ export class PerlinNoise {
     }
 
     // Shuffle using seed (Fisher-Yates with seed)
-    let rng = this.seed;
+    const random = createRandom(seedState(this.seed));
     for (let i = PerlinNoise.PERMUTATION_SIZE - 1; i > 0; i--) {
-      rng = (rng * PerlinNoise.RNG_MULTIPLIER) % PerlinNoise.RNG_MODULUS;
-      const j = Math.floor((rng / PerlinNoise.RNG_MODULUS) * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [p[i], p[j]] = [p[j], p[i]];
     }
 
@@ -0,0 +1,93 @@
+/**
+ * SeededRandom.js - Deterministic random streams for world generation
+ * A stream is keyed by the world seed, a position and a salt, so the same
+ * position always gets the same numbers whatever order chunks are
+ * generated in. Generation stages never share a stream or keep one between
+ * chunks: each takes a fresh one for the chunk (or world position) it is
+ * working on, with its own salt from RandomSalts
+ */
+
+/**
+ * Salts that keep the streams of different generation stages apart
+ * Changing a value changes every world generated with it. Structures salt
+ * their streams with a hash of their key instead (see Structure.js)
+ */
+export const RandomSalts = {
+  TREES: 1,
+  PLANTS: 2,
+  WORMS: 3,
+  RAVINES: 4,
+  LAKES: 5,
+  ORES: 6,
+  ROCK_PILES: 7,
+};
+
+/**
+ * Hash a world seed, position and salt into a 32-bit stream state
+ * @param {number} seed - World seed
+ * @param {number} x - X coordinate (integer)
+ * @param {number} z - Z coordinate (integer)
+ * @param {number} salt - Keeps the streams of different features apart
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashPosition(seed, x, z, salt) {
+  return (Math.imul(x, 0x27D4EB2D) ^ Math.imul(z, 0x165667B1) ^
+    Math.imul(salt, 0x9E3779B1) ^ Math.imul(seed | 0, 0x85EBCA77)) >>> 0;
+}
+
+/**
+ * Random stream from a 32-bit state (mulberry32)
+ * @param {number} state - Initial state
+ * @returns {Function} random() returning numbers in [0, 1)
+ */
+export function createRandom(state) {
+  state >>>= 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 32-bit state for a noise seed
+ * Noise classes take any finite number as a seed (its integer part, modulo
+ * 2^32) and mix it, so neighbouring seeds give unrelated noise. World
+ * generation passes them sub-seeds from WorldSeed.derive
+ * @param {number} seed - Noise seed
+ * @returns {number} Unsigned 32-bit state
+ */
+export function seedState(seed) {
+  if (typeof seed !== 'number' || !Number.isFinite(seed)) {
+    throw new Error(`Noise seed must be a finite number, got ${seed}`);
+  }
+  let h = Math.trunc(seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Random stream for a world (or chunk) position
+ * @param {number} seed - World seed
+ * @param {number} x - X coordinate (integer)
+ * @param {number} z - Z coordinate (integer)
+ * @param {number} salt - Keeps the streams of different features apart
+ * @returns {Function} random() returning numbers in [0, 1)
+ */
+export function createPositionRandom(seed, x, z, salt) {
+  return createRandom(hashPosition(seed, x, z, salt));
+}
+
+/**
+ * Random stream for one generation stage of a chunk
+ * @param {number} seed - World seed
+ * @param {Chunk} chunk - Chunk being generated
+ * @param {number} salt - The stage's RandomSalts entry
+ * @returns {Function} random() returning numbers in [0, 1)
+ */
+export function createChunkRandom(seed, chunk, salt) {
+  return createPositionRandom(seed, chunk.x, chunk.z, salt);
+}
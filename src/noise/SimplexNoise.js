@@ -1,11 +1,16 @@
 /**
- * SimplexNoise.js - 3D Simplex Noise implementation
+ * SimplexNoise.js - 2D and 3D Simplex Noise implementation
  * Based on Ken Perlin's improved noise algorithm
  * Produces smooth, natural-looking terrain patterns
  */
 
+import { createRandom, seedState } from './SeededRandom.js';
+
 export class SimplexNoise {
-  constructor(seed = Math.random()) {
+  /**
+   * @param {number} seed - Noise seed (see seedState in SeededRandom.js)
+   */
+  constructor(seed = 0) {
     this.seed = seed;
     this.perm = this.buildPermutationTable();
     this.permMod12 = new Uint8Array(512);
@@ -22,10 +27,9 @@ export class SimplexNoise {
     }
     
     // Fisher-Yates shuffle with seed
-    let seed = this.seed * 65536;
+    const random = createRandom(seedState(this.seed));
     for (let i = 255; i > 0; i--) {
-      seed = (seed * 9301 + 49297) % 233280;
-      const j = Math.floor((seed / 233280) * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [p[i], p[j]] = [p[j], p[i]];
     }
     
@@ -143,9 +147,60 @@ export class SimplexNoise {
     return 32.0 * (n0 + n1 + n2 + n3);
   }
   
-  // 2D Simplex noise (for heightmaps)
+  // 2D Simplex noise (for heightmaps), on a triangular grid
   noise2D(x, y) {
-    return this.noise3D(x, y, 0);
+    const F2 = 0.5 * (Math.sqrt(3) - 1);
+    const G2 = (3 - Math.sqrt(3)) / 6;
+    
+    // Skew input space to determine which simplex cell we're in
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    
+    // Lower or upper triangle of the cell
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+    
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1.0 + 2.0 * G2;
+    const y2 = y0 - 1.0 + 2.0 * G2;
+    
+    // Work out the hashed gradient indices
+    const ii = i & 255;
+    const jj = j & 255;
+    const gi0 = this.permMod12[ii + this.perm[jj]];
+    const gi1 = this.permMod12[ii + i1 + this.perm[jj + j1]];
+    const gi2 = this.permMod12[ii + 1 + this.perm[jj + 1]];
+    
+    // Calculate the contribution from the three corners
+    let n0 = 0;
+    let t0 = 0.5 - x0*x0 - y0*y0;
+    if (t0 >= 0) {
+      t0 *= t0;
+      n0 = t0 * t0 * this.dot3(SimplexNoise.grad3[gi0], x0, y0, 0);
+    }
+    
+    let n1 = 0;
+    let t1 = 0.5 - x1*x1 - y1*y1;
+    if (t1 >= 0) {
+      t1 *= t1;
+      n1 = t1 * t1 * this.dot3(SimplexNoise.grad3[gi1], x1, y1, 0);
+    }
+    
+    let n2 = 0;
+    let t2 = 0.5 - x2*x2 - y2*y2;
+    if (t2 >= 0) {
+      t2 *= t2;
+      n2 = t2 * t2 * this.dot3(SimplexNoise.grad3[gi2], x2, y2, 0);
+    }
+    
+    // Add contributions from each corner and scale to [-1, 1]
+    return 70.0 * (n0 + n1 + n2);
   }
   
   // Fractal Brownian Motion (multiple octaves)
@@ -172,7 +227,20 @@ export class SimplexNoise {
   
   // 2D FBM
   fbm2D(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
-    return this.fbm3D(x, y, 0, octaves, persistence, lacunarity);
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+    
+    for (let i = 0; i < octaves; i++) {
+      total += this.noise2D(x * frequency, y * frequency) * amplitude;
+      
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    
+    return total / maxValue;
   }
   
   // Ridge noise (inverted absolute value)
@@ -0,0 +1,78 @@
+/**
+ * WorldSeed.js - World seeds and the sub-seeds derived from them
+ * A seed can be any text. Text that is a whole number within signed 64-bit
+ * range stands for that number, so numeric seeds keep their meaning;
+ * anything else is hashed to 64 bits. Each generation stage and noise field
+ * takes its own sub-seed, derived from the seed and a name such as 'caves'
+ * or 'biomes.temperature', so no two of them can end up on the same seed
+ */
+
+const MASK_64 = (1n << 64n) - 1n;
+const MIN_INTEGER_SEED = -(1n << 63n);
+const MAX_INTEGER_SEED = (1n << 63n) - 1n;
+const INTEGER_SEED = /^-?\d+$/;
+const textEncoder = new TextEncoder();
+
+// 64-bit FNV-1a hash of the UTF-8 bytes of text
+function fnv1a64(text) {
+  let hash = 0xcbf29ce484222325n;
+  for (const byte of textEncoder.encode(text)) {
+    hash = ((hash ^ BigInt(byte)) * 0x100000001b3n) & MASK_64;
+  }
+  return hash;
+}
+
+// SplitMix64 finalizer: every input bit affects every output bit
+function mix64(value) {
+  value = ((value ^ (value >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK_64;
+  value = ((value ^ (value >> 27n)) * 0x94d049bb133111ebn) & MASK_64;
+  return value ^ (value >> 31n);
+}
+
+export class WorldSeed {
+  /**
+   * @param {string|number} seed - Seed text or number
+   */
+  constructor(seed) {
+    const text = String(seed).trim();
+    if (text === '') {
+      throw new Error('World seed is empty');
+    }
+
+    const number = INTEGER_SEED.test(text) ? BigInt(text) : null;
+    if (number !== null && number >= MIN_INTEGER_SEED && number <= MAX_INTEGER_SEED) {
+      this.text = number.toString(); // Canonical, so '007' and '7' are one world
+      this.value = BigInt.asUintN(64, number);
+    } else {
+      this.text = text;
+      this.value = mix64(fnv1a64(text));
+    }
+  }
+
+  /**
+   * Seed from text, a number, or a WorldSeed (returned as is)
+   * @param {string|number|WorldSeed} seed - Seed
+   * @returns {WorldSeed}
+   */
+  static from(seed) {
+    return seed instanceof WorldSeed ? seed : new WorldSeed(seed);
+  }
+
+  /**
+   * Sub-seed for a generation stage or noise field
+   * @param {string} name - Stage or field name, e.g. 'ores' or 'biomes.humidity'
+   * @returns {number} Unsigned 32-bit seed
+   */
+  derive(name) {
+    const mixed = mix64(this.value ^ fnv1a64(name));
+    return Number((mixed >> 32n) ^ (mixed & 0xffffffffn));
+  }
+
+  /**
+   * Canonical seed text (world ids and saves use this)
+   * @returns {string}
+   */
+  toString() {
+    return this.text;
+  }
+}
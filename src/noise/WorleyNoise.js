@@ -0,0 +1,135 @@
+/**
+ * WorleyNoise.js - Cellular (Worley) noise
+ * Space is divided into unit cells, each holding one feature point jittered
+ * from its center. A sample looks at the points in the surrounding cells:
+ *   f1   - distance to the nearest point (round cells, dark at the centers)
+ *   f2   - distance to the second nearest point
+ *   edge - f2 - f1, 0 on the borders between cells (cracks, ridges)
+ *   cell - a value in [0, 1) shared by every position in a cell (areas
+ *          such as plateaus or biome patches with hard boundaries)
+ * Distances are in cell units: f1 stays below about 1.5 in 2D with full
+ * jitter, and below 1 for the edge output
+ */
+
+import { seedState } from './SeededRandom.js';
+
+// Outputs a sample can return
+export const WORLEY_OUTPUTS = ['f1', 'f2', 'edge', 'cell'];
+
+export class WorleyNoise {
+  /**
+   * @param {number} seed - Noise seed (see seedState in SeededRandom.js)
+   * @param {number} jitter - How far feature points stray from cell
+   *   centers (0 = a regular grid, 1 = anywhere in the cell)
+   */
+  constructor(seed = 0, jitter = 1) {
+    this.seed = seed;
+    this.state = seedState(seed);
+    this.jitter = jitter;
+  }
+
+  // Hash of a cell and channel to [0, 1)
+  hash(x, y, z, channel) {
+    let h = Math.imul(x, 0x27D4EB2D) ^ Math.imul(y, 0x165667B1) ^ Math.imul(z, 0x1B873593) ^
+      Math.imul(channel, 0x9E3779B1) ^ Math.imul(this.state, 0x85EBCA77);
+    h = Math.imul(h ^ (h >>> 15), 0x2C1B3C6D);
+    h = Math.imul(h ^ (h >>> 12), 0x297A2D39);
+    return ((h ^ (h >>> 15)) >>> 0) / 4294967296;
+  }
+
+  // Feature point coordinate of a cell along one axis
+  feature(cell, x, y, z, axis) {
+    return cell + 0.5 + (this.hash(x, y, z, axis) - 0.5) * this.jitter;
+  }
+
+  /**
+   * 2D cellular noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} output - 'f1', 'f2', 'edge' or 'cell'
+   * @returns {number} Value
+   */
+  noise2D(x, y, output = 'f1') {
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    let f1 = Infinity;
+    let f2 = Infinity;
+    let nearestX = 0;
+    let nearestY = 0;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cx = cellX + dx;
+        const cy = cellY + dy;
+        const px = this.feature(cx, cx, cy, 0, 0) - x;
+        const py = this.feature(cy, cx, cy, 0, 1) - y;
+        const distance = px * px + py * py;
+        if (distance < f1) {
+          f2 = f1;
+          f1 = distance;
+          nearestX = cx;
+          nearestY = cy;
+        } else if (distance < f2) {
+          f2 = distance;
+        }
+      }
+    }
+
+    return this.output(output, f1, f2, nearestX, nearestY, 0);
+  }
+
+  /**
+   * 3D cellular noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {string} output - 'f1', 'f2', 'edge' or 'cell'
+   * @returns {number} Value
+   */
+  noise3D(x, y, z, output = 'f1') {
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    const cellZ = Math.floor(z);
+    let f1 = Infinity;
+    let f2 = Infinity;
+    let nearestX = 0;
+    let nearestY = 0;
+    let nearestZ = 0;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cx = cellX + dx;
+          const cy = cellY + dy;
+          const cz = cellZ + dz;
+          const px = this.feature(cx, cx, cy, cz, 0) - x;
+          const py = this.feature(cy, cx, cy, cz, 1) - y;
+          const pz = this.feature(cz, cx, cy, cz, 2) - z;
+          const distance = px * px + py * py + pz * pz;
+          if (distance < f1) {
+            f2 = f1;
+            f1 = distance;
+            nearestX = cx;
+            nearestY = cy;
+            nearestZ = cz;
+          } else if (distance < f2) {
+            f2 = distance;
+          }
+        }
+      }
+    }
+
+    return this.output(output, f1, f2, nearestX, nearestY, nearestZ);
+  }
+
+  // Turn squared distances to the nearest points into the requested output
+  output(output, f1, f2, nearestX, nearestY, nearestZ) {
+    switch (output) {
+      case 'f1': return Math.sqrt(f1);
+      case 'f2': return Math.sqrt(f2);
+      case 'edge': return Math.sqrt(f2) - Math.sqrt(f1);
+      case 'cell': return this.hash(nearestX, nearestY, nearestZ, 3);
+      default: throw new Error(`Unknown Worley output "${output}" (expected one of ${WORLEY_OUTPUTS.join(', ')})`);
+    }
+  }
+}
@@ -1,183 +1,589 @@
 import * as THREE from 'three';
-import { BlockTypes, Blocks, getBlockById } from '../config.js';
+import { BlockTypes, BlocksById } from '../config.js';
+import { DEFAULT_LIGHT } from '../core/ChunkSection.js';
 
 /**
- * MeshBuilder - Converts voxel chunks to Three.js meshes
- * Uses greedy meshing for optimization
- * Integrates with Block system for dynamic colors and properties
+ * MeshBuilder - Converts voxel chunk sections to Three.js geometry
+ * Uses greedy meshing: coplanar faces of the same block are merged into
+ * the largest rectangles possible, so flat ground is a handful of quads
+ * instead of one per block
+ *
+ * Vertex colors include baked ambient occlusion. Smoothed sky and block
+ * light (when a LightingSystem is supplied) go in a separate per-vertex
+ * light attribute, so the material can dim skylight at night without
+ * re-meshing (see createMaterial)
+ *
+ * Plants aren't cubes: each is drawn as two crossed diagonal quads
+ *
+ * Water faces are indexed after all other faces and put in a second
+ * geometry group, so a section is one mesh drawn with the shared chunk
+ * material and its translucent water variant
+ *
+ * Meshing is split so the expensive part can run in a worker:
+ *   getPaddedBlocks()    main thread - copies a section plus a 1-block border
+ *   getPaddedLight()     main thread - same for light (optional)
+ *   buildSectionArrays() any thread  - padded blocks -> typed vertex arrays
+ *   createGeometry()     main thread - typed arrays -> THREE.BufferGeometry
  */
+
+// Face directions: normal axis (0 = x, 1 = y, 2 = z) and sign
+const FACES = [
+    { axis: 1, dir: 1, face: 'top' },
+    { axis: 1, dir: -1, face: 'bottom' },
+    { axis: 0, dir: 1, face: 'side' },
+    { axis: 0, dir: -1, face: 'side' },
+    { axis: 2, dir: 1, face: 'side' },
+    { axis: 2, dir: -1, face: 'side' },
+];
+
+// Corner offsets along the face's (u, v) axes, in vertex order
+const CORNER_SIGNS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+// Brightness for AO levels 0 (corner fully enclosed) to 3 (open)
+const AO_BRIGHTNESS = [0.45, 0.65, 0.82, 1.0];
+
+// Brightness for light levels in quarter steps (index = level * 4, 0-60),
+// each level 20% darker than the one above. createMaterial applies the same
+// curve on the GPU
+const MAX_LIGHT = 15;
+const LIGHT_FALLOFF = 0.8;
+const LIGHT_BRIGHTNESS = Array.from({ length: MAX_LIGHT * 4 + 1 },
+    (_, i) => Math.pow(LIGHT_FALLOFF, MAX_LIGHT - i / 4));
+
+// Corner shade bits for full sky and block light (see getCornerShades)
+const FULL_LIGHT = ((MAX_LIGHT * 4) << 2) | ((MAX_LIGHT * 4) << 8) |
+    ((MAX_LIGHT * 4) << 14) | ((MAX_LIGHT * 4) << 20);
+
+// Packed cell light (see ChunkSection) with every channel full, for meshes
+// built without light
+const FULL_CELL_LIGHT = 0xFFFF;
+
+// Opacity of the water material variant
+const WATER_OPACITY = 0.75;
+
+// Plant quads as (x0, z0) -> (x1, z1) across the block's footprint
+const CROSS_DIAGONALS = [
+    [0.15, 0.15, 0.85, 0.85],
+    [0.15, 0.85, 0.85, 0.15],
+];
+
+// True if two mask cells have the same four corner shades
+function sameShades(shades, a, b) {
+    const i = a * 4;
+    const j = b * 4;
+    return shades[i] === shades[j] && shades[i + 1] === shades[j + 1] &&
+        shades[i + 2] === shades[j + 2] && shades[i + 3] === shades[j + 3];
+}
+
 export class MeshBuilder {
     constructor() {
-        // No longer need hardcoded colors - will use Block.color properties
+        // Per block id lookup tables, built once from the Block definitions
+        const blockCount = BlocksById.length;
+        this.rendered = new Uint8Array(blockCount);   // Block gets faces
+        this.occluding = new Uint8Array(blockCount);  // Block hides faces behind it
+        this.cross = new Uint8Array(blockCount);      // Block is drawn as crossed quads
+        this.water = new Uint8Array(blockCount);      // Block is drawn with the water material
+        this.faceColors = {
+            top: new Float32Array(blockCount * 3),
+            bottom: new Float32Array(blockCount * 3),
+            side: new Float32Array(blockCount * 3),
+        };
+        
+        const color = new THREE.Color();
+        BlocksById.forEach((block, id) => {
+            this.rendered[id] = block.isSolid() || block.isLiquid() ? 1 : 0;
+            this.occluding[id] = id !== BlockTypes.AIR && id !== BlockTypes.WATER && !block.isPlant() ? 1 : 0;
+            this.cross[id] = block.isPlant() ? 1 : 0;
+            this.water[id] = id === BlockTypes.WATER ? 1 : 0;
+            
+            color.set(block.topColor);
+            this.faceColors.top.set([color.r, color.g, color.b], id * 3);
+            color.set(block.bottomColor);
+            this.faceColors.bottom.set([color.r, color.g, color.b], id * 3);
+            color.set(block.sideColor);
+            this.faceColors.side.set([color.r, color.g, color.b], id * 3);
+        });
     }
 
     /**
-     * Build mesh for a chunk
-     * @param {Chunk} chunk - The chunk to build a mesh for
-     * @returns {THREE.Mesh|null} The generated mesh or null if empty
+     * Copy a section plus a 1-block border into a flat array
+     * Index: (x + 1) + (z + 1) * (size + 2) + (y + 1) * (size + 2)^2 for
+     * section-local x, y, z in -1..size (y in -1..sectionHeight)
+     * Border values come from the neighboring chunks; columns in chunks that
+     * aren't loaded keep the fill value
+     * @param {TypedArray} target - Destination, pre-filled with the default
+     * @param {Chunk} chunk - The chunk containing the section
+     * @param {number} sectionY - Section index
+     * @param {Array<Chunk|null>} neighborhood - 3x3 grid or null
+     * @param {Function} read - (chunk, localX, y, localZ) => value
+     * @returns {TypedArray} The target
      */
-    buildChunkMesh(chunk) {
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
+    static fillPadded(target, chunk, sectionY, neighborhood, read) {
+        const size = chunk.size;
+        const height = chunk.sectionHeight;
+        const padded = size + 2;
+        const baseY = sectionY * height;
+        
+        for (let z = -1; z <= size; z++) {
+            const dz = z < 0 ? -1 : (z >= size ? 1 : 0);
+            for (let x = -1; x <= size; x++) {
+                // Column source: this chunk, or the neighbor the column lies in
+                const dx = x < 0 ? -1 : (x >= size ? 1 : 0);
+                const source = dx === 0 && dz === 0
+                    ? chunk
+                    : neighborhood && neighborhood[(dx + 1) + (dz + 1) * 3];
+                if (!source) continue;
+                
+                const localX = x - dx * size;
+                const localZ = z - dz * size;
+                for (let y = -1; y <= height; y++) {
+                    const index = (x + 1) + (z + 1) * padded + (y + 1) * padded * padded;
+                    target[index] = read(source, localX, baseY + y, localZ);
+                }
+            }
+        }
+        
+        return target;
+    }
+
+    /**
+     * Copy a section's blocks plus a 1-block border (see fillPadded)
+     * Faces against neighboring chunks are culled; borders toward chunks
+     * that aren't loaded are air
+     * @param {Chunk} chunk - The chunk containing the section
+     * @param {number} sectionY - Section index
+     * @param {Array<Chunk|null>} neighborhood - 3x3 chunk grid from
+     *   ChunkManager.getNeighborhood, or null to treat the outside as air
+     * @returns {Uint16Array|null} Padded block ids, or null if the section is empty
+     */
+    static getPaddedBlocks(chunk, sectionY, neighborhood = null) {
+        const section = chunk.getSection(sectionY);
+        if (!section || !section.hasBlocks()) {
+            return null;
+        }
+        
+        const padded = chunk.size + 2;
+        const blocks = new Uint16Array(padded * padded * (chunk.sectionHeight + 2));
+        return MeshBuilder.fillPadded(blocks, chunk, sectionY, neighborhood,
+            (source, x, y, z) => source.getBlock(x, y, z));
+    }
+
+    /**
+     * Copy a section's light plus a 1-block border (see fillPadded)
+     * Values are packed skylight << 12 | red << 8 | green << 4 | blue, the
+     * same layout chunks store, so they're copied without unpacking
+     * @param {Chunk} chunk - The chunk containing the section
+     * @param {number} sectionY - Section index
+     * @param {Array<Chunk|null>} neighborhood - 3x3 chunk grid or null
+     * @returns {Uint16Array} Padded light values
+     */
+    static getPaddedLight(chunk, sectionY, neighborhood) {
+        const padded = chunk.size + 2;
+        const light = new Uint16Array(padded * padded * (chunk.sectionHeight + 2)).fill(DEFAULT_LIGHT);
+        return MeshBuilder.fillPadded(light, chunk, sectionY, neighborhood, (source, x, y, z) =>
+            source.isValidPosition(x, y, z) ? source.getLight(x, y, z) : DEFAULT_LIGHT
+        );
+    }
+
+    /**
+     * Greedy-mesh a padded section into typed vertex arrays
+     * Vertex positions are relative to the section origin. Faces are only
+     * merged when their block and all four corner shades match, so baked
+     * AO and light stay exact on merged quads
+     * @param {Uint16Array} blocks - Output of getPaddedBlocks
+     * @param {number} size - Section width and depth
+     * @param {number} height - Section height
+     * @param {object} options - { light, ambientOcclusion }
+     *   light: output of getPaddedLight, or null for full brightness;
+     *   ambientOcclusion: darken corners next to occluding blocks
+     * @returns {object|null} { positions, normals, colors, light, indices,
+     *   waterStart } or null if no faces; light holds sky, red, green and
+     *   blue levels (0-15) per vertex, and indices from waterStart on are
+     *   water faces
+     */
+    buildSectionArrays(blocks, size, height, { light = null, ambientOcclusion = true } = {}) {
+        const padded = size + 2;
+        const dims = [size, height, size];
+        const strides = [1, padded * padded, padded];  // Index step along x, y, z
+        
+        const positions = [];
         const normals = [];
         const colors = [];
+        const lightLevels = [];
         const indices = [];
+        const waterIndices = [];
         
-        let vertexIndex = 0;
-        
-        // Iterate through all blocks
-        for (let x = 0; x < chunk.size; x++) {
-            for (let y = 0; y < chunk.height; y++) {
-                for (let z = 0; z < chunk.size; z++) {
-                    const blockType = chunk.getBlock(x, y, z);
-                    
-                    if (blockType === BlockTypes.AIR) continue;
-                    
-                    const block = getBlockById(blockType);
-                    if (!block || !block.isSolid()) continue;
-                    
-                    // Check each face
-                    const faces = [
-                        { dir: [0, 1, 0], check: [x, y + 1, z], face: 'top' },    // Top
-                        { dir: [0, -1, 0], check: [x, y - 1, z], face: 'bottom' }, // Bottom
-                        { dir: [1, 0, 0], check: [x + 1, y, z], face: 'side' },    // Right
-                        { dir: [-1, 0, 0], check: [x - 1, y, z], face: 'side' },   // Left
-                        { dir: [0, 0, 1], check: [x, y, z + 1], face: 'side' },    // Front
-                        { dir: [0, 0, -1], check: [x, y, z - 1], face: 'side' },   // Back
-                    ];
-                    
-                    for (const face of faces) {
-                        const [nx, ny, nz] = face.check;
-                        
-                        // Only render face if neighbor is transparent
-                        if (!chunk.isSolid(nx, ny, nz)) {
-                            const faceIndices = this.addFace(
-                                x, y, z,
-                                face.dir,
-                                block,
-                                face.face,
-                                vertices, normals, colors, vertexIndex
+        const cellCount = Math.max(size * height, size * size);
+        const mask = new Int32Array(cellCount);    // Block id + 1, 0 = no face
+        const shades = new Uint32Array(cellCount * 4); // Packed shade per corner (see getCornerShades)
+        const pos = [0, 0, 0];
+        
+        for (const { axis, dir, face } of FACES) {
+            const u = (axis + 1) % 3;
+            const v = (axis + 2) % 3;
+            const faceColors = this.faceColors[face];
+            const neighborOffset = dir * strides[axis];
+            
+            for (let slice = 0; slice < dims[axis]; slice++) {
+                // Mask of visible faces in this slice
+                pos[axis] = slice;
+                let n = 0;
+                for (let j = 0; j < dims[v]; j++) {
+                    pos[v] = j;
+                    for (let i = 0; i < dims[u]; i++) {
+                        pos[u] = i;
+                        const index = (pos[0] + 1) + (pos[2] + 1) * padded + (pos[1] + 1) * padded * padded;
+                        const block = blocks[index];
+                        const front = index + neighborOffset;
+                        // Faces between two blocks of water are hidden too
+                        const frontBlock = blocks[front];
+                        if (this.rendered[block] && !this.occluding[frontBlock] && frontBlock !== block) {
+                            mask[n] = block + 1;
+                            this.getCornerShades(
+                                blocks, light, ambientOcclusion, front, strides[u], strides[v], shades, n * 4
                             );
-                            
-                            indices.push(...faceIndices);
-                            vertexIndex += 4;
+                        } else {
+                            mask[n] = 0;
                         }
+                        n++;
+                    }
+                }
+                
+                // Merge equal mask cells into rectangles
+                n = 0;
+                for (let j = 0; j < dims[v]; j++) {
+                    for (let i = 0; i < dims[u]; ) {
+                        const key = mask[n];
+                        if (key === 0) {
+                            i++;
+                            n++;
+                            continue;
+                        }
+                        
+                        // Grow along u, then along v while whole rows match
+                        let width = 1;
+                        while (i + width < dims[u] && mask[n + width] === key && sameShades(shades, n, n + width)) {
+                            width++;
+                        }
+                        let rows = 1;
+                        grow: while (j + rows < dims[v]) {
+                            const rowStart = n + rows * dims[u];
+                            for (let k = 0; k < width; k++) {
+                                if (mask[rowStart + k] !== key || !sameShades(shades, n, rowStart + k)) break grow;
+                            }
+                            rows++;
+                        }
+                        
+                        this.addQuad(
+                            axis, dir, u, v, slice, i, j, width, rows,
+                            faceColors, key - 1, shades, n * 4,
+                            positions, normals, colors, lightLevels,
+                            this.water[key - 1] ? waterIndices : indices
+                        );
+                        
+                        for (let r = 0; r < rows; r++) {
+                            mask.fill(0, n + r * dims[u], n + r * dims[u] + width);
+                        }
+                        i += width;
+                        n += width;
                     }
                 }
             }
         }
         
-        if (vertices.length === 0) {
-            return null; // Empty chunk
+        // Plants, lit by the light in their own cell
+        for (let y = 0; y < height; y++) {
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    const index = (x + 1) + (z + 1) * padded + (y + 1) * padded * padded;
+                    const block = blocks[index];
+                    if (this.cross[block]) {
+                        this.addCross(
+                            x, y, z, block, light ? light[index] : FULL_CELL_LIGHT,
+                            positions, normals, colors, lightLevels, indices
+                        );
+                    }
+                }
+            }
         }
         
-        // Set attributes
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geometry.setIndex(indices);
-        
-        // Create material
-        const material = new THREE.MeshLambertMaterial({
-            vertexColors: true,
-            side: THREE.FrontSide,
-        });
-        
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.set(
-            chunk.x * chunk.size,
-            0,
-            chunk.z * chunk.size
-        );
-        
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
+        if (positions.length === 0) {
+            return null; // Fully enclosed section
+        }
         
-        return geometry;
+        const vertexCount = positions.length / 3;
+        const IndexArray = vertexCount <= 0x10000 ? Uint16Array : Uint32Array;
+        const allIndices = new IndexArray(indices.length + waterIndices.length);
+        allIndices.set(indices);
+        allIndices.set(waterIndices, indices.length);
+        return {
+            positions: new Float32Array(positions),
+            normals: new Float32Array(normals),
+            colors: new Float32Array(colors),
+            light: new Float32Array(lightLevels),
+            indices: allIndices,
+            waterStart: indices.length,
+        };
     }
 
     /**
-     * Add a face to the mesh with proper color based on face type
-     * @param {number} x - Block X position
-     * @param {number} y - Block Y position
-     * @param {number} z - Block Z position
-     * @param {Array} normal - Face normal direction
-     * @param {Block} block - Block instance with color properties
-     * @param {string} faceType - Face type ('top', 'bottom', 'side')
-     * @param {Array} vertices - Vertices array
+     * Ambient occlusion and smooth light for the four corners of a face
+     * Each corner looks at the two blocks beside it and the one diagonal to
+     * it in the layer in front of the face. AO counts how many occlude
+     * (both sides occluding hides the diagonal); light is the average over
+     * the front block and whichever of the three let light through, taken
+     * per channel so sky and colored block light stay separate
+     * @param {Uint16Array} blocks - Padded blocks
+     * @param {Uint16Array|null} light - Padded light, or null for full brightness
+     * @param {boolean} ambientOcclusion - False to skip AO
+     * @param {number} front - Padded index of the block in front of the face
+     * @param {number} strideU - Index step along the face's u axis
+     * @param {number} strideV - Index step along the face's v axis
+     * @param {Uint32Array} shades - Receives one packed shade per corner:
+     *   AO level 0-3 in bits 0-1, then sky, red, green and blue light
+     *   levels * 4 (0-60) in 6 bits each from bit 2 up
+     * @param {number} offset - Index of the first corner in shades
+     */
+    getCornerShades(blocks, light, ambientOcclusion, front, strideU, strideV, shades, offset) {
+        for (let corner = 0; corner < 4; corner++) {
+            const [su, sv] = CORNER_SIGNS[corner];
+            const side1 = front + su * strideU;
+            const side2 = front + sv * strideV;
+            const diagonal = side1 + sv * strideV;
+            
+            const occludes1 = this.occluding[blocks[side1]];
+            const occludes2 = this.occluding[blocks[side2]];
+            const occludesDiagonal = this.occluding[blocks[diagonal]];
+            
+            let ao = 3;
+            if (ambientOcclusion) {
+                ao = occludes1 && occludes2 ? 0 : 3 - (occludes1 + occludes2 + occludesDiagonal);
+            }
+            
+            let packed = FULL_LIGHT;
+            if (light) {
+                const samples = [front];
+                if (!occludes1) samples.push(side1);
+                if (!occludes2) samples.push(side2);
+                if (!occludesDiagonal && !(occludes1 && occludes2)) samples.push(diagonal);
+                
+                packed = 0;
+                for (let channel = 0; channel < 4; channel++) {
+                    const shift = 12 - channel * 4; // Sky, red, green, blue
+                    let sum = 0;
+                    for (const index of samples) {
+                        sum += (light[index] >> shift) & 0xF;
+                    }
+                    packed |= Math.round(sum * 4 / samples.length) << (2 + channel * 6);
+                }
+            }
+            
+            shades[offset + corner] = ao | packed;
+        }
+    }
+
+    /**
+     * Append one merged quad
+     * @param {number} axis - Normal axis (0 = x, 1 = y, 2 = z)
+     * @param {number} dir - Normal sign (1 or -1)
+     * @param {number} u - First in-plane axis
+     * @param {number} v - Second in-plane axis
+     * @param {number} slice - Block coordinate along the normal axis
+     * @param {number} i - Start along u
+     * @param {number} j - Start along v
+     * @param {number} width - Extent along u
+     * @param {number} rows - Extent along v
+     * @param {Float32Array} faceColors - RGB table for this face type
+     * @param {number} blockId - Block being drawn
+     * @param {Uint32Array} shades - Packed corner shades from getCornerShades
+     * @param {number} offset - Index of the quad's first corner in shades
+     * @param {Array} positions - Positions array
      * @param {Array} normals - Normals array
      * @param {Array} colors - Colors array
-     * @param {number} startIndex - Starting vertex index
-     * @returns {Array} Face indices
+     * @param {Array} lightLevels - Light levels array
+     * @param {Array} indices - Index array
      */
-    addFace(x, y, z, normal, block, faceType, vertices, normals, colors, startIndex) {
-        const [nx, ny, nz] = normal;
-        
-        // Get color based on face type from Block color properties
-        let colorHex;
-        if (faceType === 'top') {
-            colorHex = block.topColor;
-        } else if (faceType === 'bottom') {
-            colorHex = block.bottomColor;
-        } else {
-            colorHex = block.sideColor;
-        }
+    addQuad(axis, dir, u, v, slice, i, j, width, rows, faceColors, blockId, shades, offset, positions, normals, colors, lightLevels, indices) {
+        const startIndex = positions.length / 3;
         
-        const color = new THREE.Color(colorHex);
-        
-        // Define vertices based on normal direction
-        let v1, v2, v3, v4;
-        
-        if (ny === 1) { // Top
-            v1 = [x, y + 1, z];
-            v2 = [x + 1, y + 1, z];
-            v3 = [x + 1, y + 1, z + 1];
-            v4 = [x, y + 1, z + 1];
-        } else if (ny === -1) { // Bottom
-            v1 = [x, y, z];
-            v2 = [x, y, z + 1];
-            v3 = [x + 1, y, z + 1];
-            v4 = [x + 1, y, z];
-        } else if (nx === 1) { // Right
-            v1 = [x + 1, y, z];
-            v2 = [x + 1, y, z + 1];
-            v3 = [x + 1, y + 1, z + 1];
-            v4 = [x + 1, y + 1, z];
-        } else if (nx === -1) { // Left
-            v1 = [x, y, z];
-            v2 = [x, y + 1, z];
-            v3 = [x, y + 1, z + 1];
-            v4 = [x, y, z + 1];
-        } else if (nz === 1) { // Front
-            v1 = [x, y, z + 1];
-            v2 = [x, y + 1, z + 1];
-            v3 = [x + 1, y + 1, z + 1];
-            v4 = [x + 1, y, z + 1];
-        } else { // Back
-            v1 = [x, y, z];
-            v2 = [x + 1, y, z];
-            v3 = [x + 1, y + 1, z];
-            v4 = [x, y + 1, z];
+        // Corners in counter-clockwise order seen from the +axis side,
+        // matching CORNER_SIGNS
+        const base = [0, 0, 0];
+        base[axis] = dir > 0 ? slice + 1 : slice;
+        base[u] = i;
+        base[v] = j;
+        const du = [0, 0, 0];
+        du[u] = width;
+        const dv = [0, 0, 0];
+        dv[v] = rows;
+        
+        const corners = [
+            base,
+            [base[0] + du[0], base[1] + du[1], base[2] + du[2]],
+            [base[0] + du[0] + dv[0], base[1] + du[1] + dv[1], base[2] + du[2] + dv[2]],
+            [base[0] + dv[0], base[1] + dv[1], base[2] + dv[2]],
+        ];
+        
+        const normal = [0, 0, 0];
+        normal[axis] = dir;
+        const r = faceColors[blockId * 3];
+        const g = faceColors[blockId * 3 + 1];
+        const b = faceColors[blockId * 3 + 2];
+        
+        // Colors carry AO; light is applied by the material. Brightness
+        // (at full daylight) only picks the split diagonal below
+        const brightness = [];
+        for (let corner = 0; corner < 4; corner++) {
+            const cornerShade = shades[offset + corner];
+            const ao = AO_BRIGHTNESS[cornerShade & 3];
+            const sky = (cornerShade >>> 2) & 0x3F;
+            const red = (cornerShade >>> 8) & 0x3F;
+            const green = (cornerShade >>> 14) & 0x3F;
+            const blue = (cornerShade >>> 20) & 0x3F;
+            const position = corners[corner];
+            positions.push(position[0], position[1], position[2]);
+            normals.push(normal[0], normal[1], normal[2]);
+            colors.push(r * ao, g * ao, b * ao);
+            lightLevels.push(sky / 4, red / 4, green / 4, blue / 4);
+            brightness.push(ao * (
+                r * LIGHT_BRIGHTNESS[Math.max(sky, red)] +
+                g * LIGHT_BRIGHTNESS[Math.max(sky, green)] +
+                b * LIGHT_BRIGHTNESS[Math.max(sky, blue)]
+            ));
         }
         
-        // Add vertices
-        vertices.push(...v1, ...v2, ...v3, ...v4);
+        // Split along the brighter diagonal, so a single dark corner fades
+        // evenly instead of streaking across the quad
+        const flip = brightness[0] + brightness[2] < brightness[1] + brightness[3];
+        const [a, b1, c, d] = flip ? [1, 2, 3, 0] : [0, 1, 2, 3];
         
-        // Add normals (same for all 4 vertices)
-        for (let i = 0; i < 4; i++) {
-            normals.push(nx, ny, nz);
+        // Reverse the winding for faces pointing along -axis
+        if (dir > 0) {
+            indices.push(
+                startIndex + a, startIndex + b1, startIndex + c,
+                startIndex + a, startIndex + c, startIndex + d
+            );
+        } else {
+            indices.push(
+                startIndex + a, startIndex + c, startIndex + b1,
+                startIndex + a, startIndex + d, startIndex + c
+            );
         }
+    }
+
+    /**
+     * Append the two crossed diagonal quads of a plant
+     * Each quad is wound both ways so it shows from either side; normals
+     * point up so plants shade like the ground they stand on
+     * @param {number} x - Section-local X
+     * @param {number} y - Section-local Y
+     * @param {number} z - Section-local Z
+     * @param {number} blockId - Plant block
+     * @param {number} cellLight - Packed light of the plant's cell
+     * @param {Array} positions - Positions array
+     * @param {Array} normals - Normals array
+     * @param {Array} colors - Colors array
+     * @param {Array} lightLevels - Light levels array
+     * @param {Array} indices - Index array
+     */
+    addCross(x, y, z, blockId, cellLight, positions, normals, colors, lightLevels, indices) {
+        const faceColors = this.faceColors.side;
+        const r = faceColors[blockId * 3];
+        const g = faceColors[blockId * 3 + 1];
+        const b = faceColors[blockId * 3 + 2];
+        const sky = (cellLight >> 12) & 0xF;
+        const red = (cellLight >> 8) & 0xF;
+        const green = (cellLight >> 4) & 0xF;
+        const blue = cellLight & 0xF;
         
-        // Add colors (same for all 4 vertices)
-        for (let i = 0; i < 4; i++) {
-            colors.push(color.r, color.g, color.b);
+        for (const [x0, z0, x1, z1] of CROSS_DIAGONALS) {
+            const startIndex = positions.length / 3;
+            positions.push(
+                x + x0, y, z + z0,
+                x + x1, y, z + z1,
+                x + x1, y + 1, z + z1,
+                x + x0, y + 1, z + z0
+            );
+            for (let corner = 0; corner < 4; corner++) {
+                normals.push(0, 1, 0);
+                colors.push(r, g, b);
+                lightLevels.push(sky, red, green, blue);
+            }
+            indices.push(
+                startIndex, startIndex + 1, startIndex + 2,
+                startIndex, startIndex + 2, startIndex + 3,
+                startIndex, startIndex + 2, startIndex + 1,
+                startIndex, startIndex + 3, startIndex + 2
+            );
+        }
+    }
+
+    /**
+     * Wrap typed vertex arrays in a BufferGeometry
+     * Group 0 holds the solid faces and group 1 the water faces, for a
+     * [chunk, water] material array (see createMaterial)
+     * @param {object} arrays - Output of buildSectionArrays
+     * @returns {THREE.BufferGeometry} The geometry
+     */
+    static createGeometry({ positions, normals, colors, light, indices, waterStart }) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('voxelLight', new THREE.BufferAttribute(light, 4));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.addGroup(0, waterStart, 0);
+        geometry.addGroup(waterStart, indices.length - waterStart, 1);
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    /**
+     * Create a material for chunk geometry
+     * Multiplies the vertex colors by the light arrays (voxelLight attribute): each color
+     * channel takes the brighter of its block light and the skylight
+     * scaled by skylightScale (1 = full day), then follows the same
+     * brightness curve as LIGHT_BRIGHTNESS. One material (and one water
+     * variant) is shared by every section mesh
+     * @param {object} skylightScale - Shared uniform, { value: 0-1 }
+     * @param {object} options - { water }: translucent variant for water faces
+     * @returns {THREE.MeshLambertMaterial} The material
+     */
+    static createMaterial(skylightScale, { water = false } = {}) {
+        const material = new THREE.MeshLambertMaterial({
+            vertexColors: true,
+            flatShading: true,
+            transparent: water,
+            opacity: water ? WATER_OPACITY : 1
+        });
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.skylightScale = skylightScale;
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>
+attribute vec4 voxelLight;
+uniform float skylightScale;`)
+                .replace('#include <color_vertex>', `#include <color_vertex>
+vec3 voxelLightLevel = max(vec3(voxelLight.x * skylightScale), voxelLight.yzw);
+vColor.rgb *= pow(vec3(${LIGHT_FALLOFF.toFixed(1)}), vec3(${MAX_LIGHT.toFixed(1)}) - voxelLightLevel);`);
+        };
+        material.customProgramCacheKey = () => 'chunk-light';
+        return material;
+    }
+
+    /**
+     * Build geometry for one vertical section of a chunk on this thread
+     * @param {Chunk} chunk - The chunk containing the section
+     * @param {number} sectionY - Section index
+     * @param {object} options - See buildSectionArrays
+     * @returns {THREE.BufferGeometry|null} The generated geometry or null if empty
+     */
+    buildSectionMesh(chunk, sectionY, options = {}) {
+        const blocks = MeshBuilder.getPaddedBlocks(chunk, sectionY);
+        if (!blocks) {
+            return null; // Empty section
         }
         
-        // Return indices for two triangles
-        return [
-            startIndex, startIndex + 1, startIndex + 2,
-            startIndex, startIndex + 2, startIndex + 3
-        ];
+        const arrays = this.buildSectionArrays(blocks, chunk.size, chunk.sectionHeight, options);
+        return arrays ? MeshBuilder.createGeometry(arrays) : null;
     }
 }
@@ -1,5 +1,28 @@
 import * as THREE from 'three';
 import { MeshBuilder } from './MeshBuilder.js';
+import { WorldConfig } from '../config.js';
+import { WorkerPool, JobCancelledError } from '../workers/WorkerPool.js';
+
+// Sky, fog and hemisphere ground colors through the day (time as in WorldClock)
+const SKY_KEYFRAMES = [
+  { time: 0.0, sky: 0x0B1026, ground: 0x0A0A12 },   // Midnight
+  { time: 0.2, sky: 0x0B1026, ground: 0x0A0A12 },   // Night
+  { time: 0.25, sky: 0xF4A261, ground: 0x3A2A1E },  // Dawn
+  { time: 0.32, sky: 0x87CEEB, ground: 0x362312 },  // Day
+  { time: 0.68, sky: 0x87CEEB, ground: 0x362312 },  // Day
+  { time: 0.75, sky: 0xE76F51, ground: 0x3A2A1E },  // Dusk
+  { time: 0.8, sky: 0x0B1026, ground: 0x0A0A12 },   // Night
+  { time: 1.0, sky: 0x0B1026, ground: 0x0A0A12 },   // Midnight
+].map(({ time, sky, ground }) => ({ time, sky: new THREE.Color(sky), ground: new THREE.Color(ground) }));
+
+// Distance of the sun and moon discs, and of the lights, from the camera
+const SKY_DISTANCE = 400;
+const LIGHT_DISTANCE = 100;
+
+// Vite bundles the worker because of the literal new URL(...) pattern
+function createMeshWorker() {
+  return new Worker(new URL('../workers/meshWorker.js', import.meta.url), { type: 'module' });
+}
 
 export class Renderer {
   constructor(canvas) {
@@ -31,13 +54,30 @@ export class Renderer {
     this.camera.position.set(0, 80, 0);
     
     // Lighting setup
+    this.skylightScale = { value: 1 }; // Shared by chunk materials (see MeshBuilder.createMaterial)
+    // Every section mesh draws with these: solid faces, then water faces
+    this.chunkMaterials = [
+      MeshBuilder.createMaterial(this.skylightScale),
+      MeshBuilder.createMaterial(this.skylightScale, { water: true })
+    ];
     this.setupLighting();
     
-    // Mesh builder for chunk meshes
+    // Mesh builder for chunk meshes; meshing runs in workers when available
     this.meshBuilder = new MeshBuilder();
+    this.meshPool = WorkerPool.isSupported()
+      ? new WorkerPool(createMeshWorker, WorldConfig.generation.meshWorkers || WorkerPool.getDefaultSize(2))
+      : null;
     
-    // Track chunk meshes
-    this.chunkMeshes = new Map(); // Map<chunkKey, THREE.Mesh>
+    // Track chunk section meshes
+    this.chunkMeshes = new Map(); // Map<'x,sectionY,z', THREE.Mesh>
+    this.meshRequests = new Map(); // Map<'x,sectionY,z', request id> - latest mesh job
+    this.nextMeshRequest = 1;
+    
+    // Chunk lookups for meshing against neighboring chunks (see setChunkManager)
+    this.chunkManager = null;
+    
+    // Optional light source for smooth lighting (see setLightingSystem)
+    this.lighting = null;
     
     // Handle window resize
     window.addEventListener('resize', this.onWindowResize.bind(this));
@@ -45,33 +85,105 @@ export class Renderer {
   
   setupLighting() {
     // Ambient light for overall illumination
-    const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
-    this.scene.add(ambientLight);
+    this.ambientLight = new THREE.AmbientLight(0x404040, 0.6);
+    this.scene.add(this.ambientLight);
     
-    // Directional light (sun)
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(50, 100, 50);
-    directionalLight.castShadow = true;
+    // Directional light (sun), moved around the camera by updateTimeOfDay
+    this.sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    this.sunLight.position.set(50, 100, 50);
+    this.sunLight.castShadow = true;
     
     // Configure shadow map
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
-    directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 500;
-    directionalLight.shadow.camera.left = -100;
-    directionalLight.shadow.camera.right = 100;
-    directionalLight.shadow.camera.top = 100;
-    directionalLight.shadow.camera.bottom = -100;
+    this.sunLight.shadow.mapSize.width = 2048;
+    this.sunLight.shadow.mapSize.height = 2048;
+    this.sunLight.shadow.camera.near = 0.5;
+    this.sunLight.shadow.camera.far = 500;
+    this.sunLight.shadow.camera.left = -100;
+    this.sunLight.shadow.camera.right = 100;
+    this.sunLight.shadow.camera.top = 100;
+    this.sunLight.shadow.camera.bottom = -100;
     
-    this.scene.add(directionalLight);
+    this.scene.add(this.sunLight);
+    this.scene.add(this.sunLight.target);
+    
+    // Faint moonlight from the opposite side of the sky
+    this.moonLight = new THREE.DirectionalLight(0x9BB4FF, 0);
+    this.scene.add(this.moonLight);
+    this.scene.add(this.moonLight.target);
+    
+    // Sun and moon discs, always facing the camera
+    this.sunDisc = new THREE.Mesh(
+      new THREE.CircleGeometry(24, 24),
+      new THREE.MeshBasicMaterial({ color: 0xFFF2B0, fog: false })
+    );
+    this.moonDisc = new THREE.Mesh(
+      new THREE.CircleGeometry(16, 24),
+      new THREE.MeshBasicMaterial({ color: 0xDDE6FF, fog: false })
+    );
+    this.scene.add(this.sunDisc);
+    this.scene.add(this.moonDisc);
     
     // Hemisphere light for sky/ground color gradient
-    const hemisphereLight = new THREE.HemisphereLight(
+    this.hemisphereLight = new THREE.HemisphereLight(
       0x87CEEB, // Sky color
       0x362312, // Ground color
       0.3
     );
-    this.scene.add(hemisphereLight);
+    this.scene.add(this.hemisphereLight);
+  }
+  
+  /**
+   * Move the sun and moon and recolor the sky for the clock's time of day
+   * @param {WorldClock} clock - World clock
+   */
+  updateTimeOfDay(clock) {
+    const time = clock.getTime();
+    const daylight = clock.getDaylight();
+    
+    // Sky, fog and hemisphere colors between the surrounding keyframes
+    let next = 1;
+    while (next < SKY_KEYFRAMES.length - 1 && SKY_KEYFRAMES[next].time < time) {
+      next++;
+    }
+    const from = SKY_KEYFRAMES[next - 1];
+    const to = SKY_KEYFRAMES[next];
+    const t = (time - from.time) / (to.time - from.time);
+    this.hemisphereLight.color.lerpColors(from.sky, to.sky, t);
+    this.hemisphereLight.groundColor.lerpColors(from.ground, to.ground, t);
+    this.scene.fog.color.copy(this.hemisphereLight.color);
+    this.renderer.setClearColor(this.hemisphereLight.color);
+    
+    // Sun and moon circle the camera so shadows follow the player
+    const sun = clock.getSunDirection();
+    const center = this.camera.position;
+    this.sunLight.position.set(
+      center.x + sun.x * LIGHT_DISTANCE, center.y + sun.y * LIGHT_DISTANCE, center.z + sun.z * LIGHT_DISTANCE
+    );
+    this.moonLight.position.set(
+      center.x - sun.x * LIGHT_DISTANCE, center.y - sun.y * LIGHT_DISTANCE, center.z - sun.z * LIGHT_DISTANCE
+    );
+    this.sunLight.target.position.copy(center);
+    this.moonLight.target.position.copy(center);
+    this.sunDisc.position.set(
+      center.x + sun.x * SKY_DISTANCE, center.y + sun.y * SKY_DISTANCE, center.z + sun.z * SKY_DISTANCE
+    );
+    this.moonDisc.position.set(
+      center.x - sun.x * SKY_DISTANCE, center.y - sun.y * SKY_DISTANCE, center.z - sun.z * SKY_DISTANCE
+    );
+    this.sunDisc.lookAt(center);
+    this.moonDisc.lookAt(center);
+    
+    // Shadows only darken the sun's own light, so they fade out with it;
+    // castShadow stays on because toggling it recompiles every material.
+    // The shadow map just isn't redrawn while the sun is down
+    this.sunLight.intensity = 0.8 * daylight;
+    this.renderer.shadowMap.autoUpdate = daylight > 0;
+    this.moonLight.intensity = 0.2 * (1 - daylight);
+    this.ambientLight.intensity = 0.25 + 0.35 * daylight;
+    this.hemisphereLight.intensity = 0.1 + 0.2 * daylight;
+    
+    // Dim skylight baked into chunk meshes
+    this.skylightScale.value = clock.getSkylightScale();
   }
   
   onWindowResize() {
@@ -80,61 +192,142 @@ export class Renderer {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
   
-  // Update or create mesh for a chunk
+  // Use a ChunkManager to cull faces against, and re-mesh, neighboring chunks
+  setChunkManager(chunkManager) {
+    this.chunkManager = chunkManager;
+  }
+  
+  // Bake light from a LightingSystem into chunk meshes built from now on
+  setLightingSystem(lighting) {
+    this.lighting = lighting;
+  }
+  
+  // Key for a chunk section mesh
+  getSectionKey(chunkX, sectionY, chunkZ) {
+    return `${chunkX},${sectionY},${chunkZ}`;
+  }
+  
+  // Rebuild meshes for the sections of a chunk that changed
   updateChunkMesh(chunk) {
-    const chunkKey = `${chunk.x},${chunk.z}`;
+    for (const sectionY of chunk.takeDirtySections()) {
+      this.updateSectionMesh(chunk, sectionY);
+    }
     
-    // Remove old mesh if exists
-    if (this.chunkMeshes.has(chunkKey)) {
-      const oldMesh = this.chunkMeshes.get(chunkKey);
-      this.scene.remove(oldMesh);
-      oldMesh.geometry.dispose();
-      oldMesh.material.dispose();
-      this.chunkMeshes.delete(chunkKey);
+    // Blocks edited on the chunk border also show in the neighbors' meshes
+    const neighborSections = chunk.takeDirtyNeighborSections();
+    if (!this.chunkManager) return;
+    for (const { dx, dz, sectionY } of neighborSections) {
+      const neighbor = this.chunkManager.getChunk(chunk.x + dx, chunk.z + dz);
+      if (neighbor) {
+        this.updateSectionMesh(neighbor, sectionY);
+      }
     }
+  }
+  
+  /**
+   * Rebuild the mesh for one chunk section
+   * The old mesh stays visible until the new one is ready; results of
+   * superseded or cancelled requests are dropped
+   * @param {Chunk} chunk - The chunk containing the section
+   * @param {number} sectionY - Section index
+   */
+  updateSectionMesh(chunk, sectionY) {
+    const sectionKey = this.getSectionKey(chunk.x, sectionY, chunk.z);
+    const requestId = this.nextMeshRequest++;
+    this.meshRequests.set(sectionKey, requestId);
     
-    // Build new mesh
-    const geometry = this.meshBuilder.buildChunkMesh(chunk);
+    const neighborhood = this.chunkManager
+      ? this.chunkManager.getNeighborhood(chunk.x, chunk.z)
+      : null;
+    const blocks = MeshBuilder.getPaddedBlocks(chunk, sectionY, neighborhood);
+    if (!blocks) {
+      this.applySectionMesh(chunk.x, sectionY, chunk.z, requestId, null);
+      return;
+    }
     
-    // Only create mesh if there's geometry
-    if (geometry.attributes.position.count === 0) {
-      geometry.dispose();
+    const { ambientOcclusion, smoothLighting } = WorldConfig.rendering;
+    const light = this.lighting && smoothLighting
+      ? MeshBuilder.getPaddedLight(chunk, sectionY, neighborhood)
+      : null;
+    
+    if (!this.meshPool) {
+      const arrays = this.meshBuilder.buildSectionArrays(
+        blocks, chunk.size, chunk.sectionHeight, { light, ambientOcclusion }
+      );
+      this.applySectionMesh(chunk.x, sectionY, chunk.z, requestId, arrays);
       return;
     }
     
-    // Create material with vertex colors
-    const material = new THREE.MeshLambertMaterial({
-      vertexColors: true,
-      flatShading: true
-    });
+    // Replace any queued job for this section, nearest sections first
+    this.meshPool.cancel(sectionKey);
+    const payload = {
+      blocks, light, size: chunk.size, height: chunk.sectionHeight, ambientOcclusion
+    };
+    const transfer = light ? [blocks.buffer, light.buffer] : [blocks.buffer];
+    const priority = this.camera.position.distanceToSquared(new THREE.Vector3(
+      (chunk.x + 0.5) * chunk.size,
+      (sectionY + 0.5) * chunk.sectionHeight,
+      (chunk.z + 0.5) * chunk.size
+    ));
+    
+    this.meshPool.run(payload, { key: sectionKey, priority, transfer })
+      .then((arrays) => this.applySectionMesh(chunk.x, sectionY, chunk.z, requestId, arrays))
+      .catch((error) => {
+        if (error instanceof JobCancelledError) return;
+        console.error(`Failed to mesh section ${sectionKey}:`, error);
+      });
+  }
+  
+  // Swap in a finished section mesh if it is still the latest request
+  applySectionMesh(chunkX, sectionY, chunkZ, requestId, arrays) {
+    const sectionKey = this.getSectionKey(chunkX, sectionY, chunkZ);
+    if (this.meshRequests.get(sectionKey) !== requestId) {
+      return; // Superseded or removed while meshing
+    }
+    this.meshRequests.delete(sectionKey);
+    
+    // Remove old mesh if exists
+    this.removeSectionMesh(sectionKey);
+    
+    // Only create mesh if there's geometry
+    if (!arrays) {
+      return;
+    }
     
-    // Create mesh
-    const mesh = new THREE.Mesh(geometry, material);
+    // Create mesh with the shared chunk materials
+    const mesh = new THREE.Mesh(MeshBuilder.createGeometry(arrays), this.chunkMaterials);
     mesh.castShadow = true;
     mesh.receiveShadow = true;
     
     // Position mesh in world
-    mesh.position.set(
-      chunk.x * chunk.size,
-      0,
-      chunk.z * chunk.size
-    );
+    const size = WorldConfig.chunkSize;
+    mesh.position.set(chunkX * size, sectionY * WorldConfig.sectionHeight, chunkZ * size);
     
     // Add to scene and track
     this.scene.add(mesh);
-    this.chunkMeshes.set(chunkKey, mesh);
+    this.chunkMeshes.set(sectionKey, mesh);
   }
   
-  // Remove chunk mesh
-  removeChunkMesh(chunkX, chunkZ) {
-    const chunkKey = `${chunkX},${chunkZ}`;
-    
-    if (this.chunkMeshes.has(chunkKey)) {
-      const mesh = this.chunkMeshes.get(chunkKey);
+  // Remove a single section mesh
+  removeSectionMesh(sectionKey) {
+    this.meshRequests.delete(sectionKey);
+    if (this.chunkMeshes.has(sectionKey)) {
+      const mesh = this.chunkMeshes.get(sectionKey);
       this.scene.remove(mesh);
       mesh.geometry.dispose();
-      mesh.material.dispose();
-      this.chunkMeshes.delete(chunkKey);
+      this.chunkMeshes.delete(sectionKey);
+    }
+  }
+  
+  // Remove all section meshes of a chunk
+  removeChunkMesh(chunkX, chunkZ) {
+    const sectionCount = Math.ceil(WorldConfig.chunkHeight / WorldConfig.sectionHeight);
+    for (let sectionY = 0; sectionY < sectionCount; sectionY++) {
+      const sectionKey = this.getSectionKey(chunkX, sectionY, chunkZ);
+      if (this.meshPool) {
+        this.meshPool.cancel(sectionKey);
+      }
+      this.removeSectionMesh(sectionKey);
     }
   }
   
@@ -168,9 +361,20 @@ export class Renderer {
     this.chunkMeshes.forEach((mesh) => {
       this.scene.remove(mesh);
       mesh.geometry.dispose();
-      mesh.material.dispose();
     });
     this.chunkMeshes.clear();
+    this.meshRequests.clear();
+    this.chunkMaterials.forEach(material => material.dispose());
+    
+    for (const disc of [this.sunDisc, this.moonDisc]) {
+      disc.geometry.dispose();
+      disc.material.dispose();
+    }
+    
+    if (this.meshPool) {
+      this.meshPool.dispose();
+      this.meshPool = null;
+    }
     
     this.renderer.dispose();
   }
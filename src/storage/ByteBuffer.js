@@ -0,0 +1,143 @@
+/**
+ * ByteBuffer.js - Growable binary writer and matching reader
+ * Used by the save system to build compact chunk and world records
+ */
+
+/**
+ * ByteWriter - Appends little-endian values to a growing byte array
+ */
+export class ByteWriter {
+  constructor(initialSize = 4096) {
+    this.bytes = new Uint8Array(initialSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  // Make room for at least `count` more bytes
+  ensureCapacity(count) {
+    const required = this.length + count;
+    if (required <= this.bytes.length) return;
+
+    let size = this.bytes.length * 2;
+    while (size < required) size *= 2;
+
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+    this.view = new DataView(grown.buffer);
+  }
+
+  writeUint8(value) {
+    this.ensureCapacity(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  writeUint16(value) {
+    this.ensureCapacity(2);
+    this.view.setUint16(this.length, value, true);
+    this.length += 2;
+  }
+
+  writeUint32(value) {
+    this.ensureCapacity(4);
+    this.view.setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  writeInt32(value) {
+    this.ensureCapacity(4);
+    this.view.setInt32(this.length, value, true);
+    this.length += 4;
+  }
+
+  /**
+   * Write an unsigned integer using LEB128 variable-length encoding
+   * Small values (run lengths, block ids) take a single byte
+   * @param {number} value - Non-negative integer
+   */
+  writeVarUint(value) {
+    do {
+      let byte = value & 0x7F;
+      value = Math.floor(value / 128);
+      if (value > 0) byte |= 0x80;
+      this.writeUint8(byte);
+    } while (value > 0);
+  }
+
+  writeBytes(bytes) {
+    this.ensureCapacity(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  // Copy of the written bytes, trimmed to length
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * ByteReader - Reads values written by ByteWriter
+ */
+export class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.offset = 0;
+  }
+
+  // Throw if fewer than `count` bytes remain
+  require(count) {
+    if (this.offset + count > this.bytes.length) {
+      throw new Error('Unexpected end of data');
+    }
+  }
+
+  readUint8() {
+    this.require(1);
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  readUint16() {
+    this.require(2);
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  readUint32() {
+    this.require(4);
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  readInt32() {
+    this.require(4);
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  readVarUint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.readUint8();
+      value += (byte & 0x7F) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  readBytes(count) {
+    this.require(count);
+    const bytes = this.bytes.subarray(this.offset, this.offset + count);
+    this.offset += count;
+    return bytes;
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * ChunkSerializer.js - Binary format for saved chunks
+ * Block ids, water levels and light data are run-length encoded, since
+ * generated terrain is mostly long runs of air and stone
+ *
+ * Layout (little-endian):
+ *   uint32 magic 'VXCH', uint8 version, uint8 flags (versions 1 to 4 only;
+ *   unused since version 3 and dropped in version 5)
+ *   int32 chunkX, int32 chunkZ, uint16 size, uint16 height
+ *   uint8 sectionHeight, uint8 sectionCount
+ *   per section: uint8 section flags, then blocks (SECTION_BLOCKS),
+ *                water level runs (SECTION_WATER), light runs (SECTION_LIGHT)
+ * Each run is a varint length followed by a varint value, in
+ * ChunkSection.getIndex order (x + z * size + y * size * size)
+ *
+ * Blocks are stored as a varint palette (count, then ids) followed by runs
+ * of palette indices. Empty sections are a single zero flag byte. Block ids
+ * are the world's saved numeric ids, which can differ from the block
+ * registry's; callers pass translation tables (see
+ * BlockRegistry.createIdTranslation) to convert between them.
+ * Light values are skylight << 12 | red << 8 | green << 4 | blue; version 3
+ * stored skylight << 4 | blocklight and is read as white block light.
+ *
+ * Versions 1 and 2 stored one chunk-wide array of each kind (raw block id
+ * runs in version 1, palette + index runs in version 2). They are still
+ * read, into the bottom of the taller sectioned chunk; their light data is
+ * dropped and recomputed.
+ */
+
+import { Chunk } from '../core/Chunk.js';
+import { buildPalette } from '../core/BlockPalette.js';
+import { ByteWriter, ByteReader } from './ByteBuffer.js';
+
+const CHUNK_MAGIC = 0x48435856; // 'VXCH'
+export const CHUNK_FORMAT_VERSION = 5;
+
+// Chunk-wide flags used by versions 1 and 2
+const FLAG_WATER = 1 << 0;
+const FLAG_LIGHT = 1 << 1;
+
+// Per-section flags (version 3+)
+const SECTION_BLOCKS = 1 << 0;
+const SECTION_WATER = 1 << 1;
+const SECTION_LIGHT = 1 << 2;
+
+/**
+ * Write `length` values as (run length, value) pairs
+ * @param {ByteWriter} writer - Destination
+ * @param {number} length - Number of values
+ * @param {Function} getValue - Returns the value at an index
+ */
+function writeRuns(writer, length, getValue) {
+  let runValue = getValue(0);
+  let runLength = 1;
+
+  for (let i = 1; i < length; i++) {
+    const value = getValue(i);
+    if (value === runValue) {
+      runLength++;
+    } else {
+      writer.writeVarUint(runLength);
+      writer.writeVarUint(runValue);
+      runValue = value;
+      runLength = 1;
+    }
+  }
+
+  writer.writeVarUint(runLength);
+  writer.writeVarUint(runValue);
+}
+
+/**
+ * Read runs written by writeRuns
+ * @param {ByteReader} reader - Source
+ * @param {number} length - Number of values expected
+ * @param {Function} setValue - Receives (index, value)
+ */
+function readRuns(reader, length, setValue) {
+  let index = 0;
+  while (index < length) {
+    const runLength = reader.readVarUint();
+    const value = reader.readVarUint();
+    if (runLength === 0 || index + runLength > length) {
+      throw new Error('Corrupt chunk data: run exceeds chunk volume');
+    }
+    for (let i = 0; i < runLength; i++) {
+      setValue(index++, value);
+    }
+  }
+}
+
+// Look a block id up in a translation table (null = ids are the same);
+// ids the table doesn't cover read as air
+function translateId(table, id) {
+  return table ? (table[id] ?? 0) : id;
+}
+
+/**
+ * Write a palette followed by runs of palette indices
+ * @param {ByteWriter} writer - Destination
+ * @param {Uint16Array} blocks - Block ids
+ * @param {Uint16Array|null} toSaved - Registry id -> saved id
+ */
+function writeBlocks(writer, blocks, toSaved) {
+  const { palette, indices } = buildPalette(blocks);
+  writer.writeVarUint(palette.length);
+  for (const id of palette) {
+    writer.writeVarUint(translateId(toSaved, id));
+  }
+  writeRuns(writer, blocks.length, (i) => indices[i]);
+}
+
+/**
+ * Read blocks written by writeBlocks
+ * @param {ByteReader} reader - Source
+ * @param {Uint16Array} blocks - Destination
+ * @param {Uint16Array|null} toRuntime - Saved id -> registry id
+ */
+function readBlocks(reader, blocks, toRuntime) {
+  const palette = [];
+  const paletteLength = reader.readVarUint();
+  for (let i = 0; i < paletteLength; i++) {
+    palette.push(translateId(toRuntime, reader.readVarUint()));
+  }
+  readRuns(reader, blocks.length, (i, index) => {
+    if (index >= palette.length) {
+      throw new Error('Corrupt chunk data: palette index out of range');
+    }
+    blocks[i] = palette[index];
+  });
+}
+
+/**
+ * Serialize a chunk's blocks, water levels and light data
+ * @param {Chunk} chunk - The chunk to save
+ * @param {Uint16Array|null} toSaved - Registry id -> saved id (null = same)
+ * @returns {Uint8Array} Encoded chunk
+ */
+export function serializeChunk(chunk, toSaved = null) {
+  const writer = new ByteWriter();
+  writer.writeUint32(CHUNK_MAGIC);
+  writer.writeUint8(CHUNK_FORMAT_VERSION);
+  writer.writeInt32(chunk.x);
+  writer.writeInt32(chunk.z);
+  writer.writeUint16(chunk.size);
+  writer.writeUint16(chunk.height);
+  writer.writeUint8(chunk.sectionHeight);
+  writer.writeUint8(chunk.sectionCount);
+
+  for (const section of chunk.sections) {
+    let flags = 0;
+    if (section) {
+      if (section.hasBlocks()) flags |= SECTION_BLOCKS;
+      if (section.waterLevels) flags |= SECTION_WATER;
+      if (section.lightData) flags |= SECTION_LIGHT;
+    }
+    writer.writeUint8(flags);
+
+    if (flags & SECTION_BLOCKS) {
+      writeBlocks(writer, section.blocks, toSaved);
+    }
+    if (flags & SECTION_WATER) {
+      writeRuns(writer, section.volume, (i) => section.waterLevels[i]);
+    }
+    if (flags & SECTION_LIGHT) {
+      writeRuns(writer, section.volume, (i) => section.lightData[i]);
+    }
+  }
+
+  return writer.toBytes();
+}
+
+// Convert a version 3 light value (skylight << 4 | blocklight) to sky + white RGB
+function upgradeLegacyLight(value) {
+  const blocklight = value & 0xF;
+  return ((value >> 4) << 12) | (blocklight << 8) | (blocklight << 4) | blocklight;
+}
+
+/**
+ * Read version 3+ per-section data into a chunk
+ * @param {ByteReader} reader - Positioned after the chunk header
+ * @param {Chunk} chunk - Destination chunk
+ * @param {number} version - Format version
+ * @param {Uint16Array|null} toRuntime - Saved id -> registry id
+ */
+function readSections(reader, chunk, version, toRuntime) {
+  const sectionHeight = reader.readUint8();
+  const sectionCount = reader.readUint8();
+  if (sectionHeight !== chunk.sectionHeight || sectionCount !== chunk.sectionCount) {
+    throw new Error(
+      `Chunk sections ${sectionCount}x${sectionHeight} do not match world ` +
+      `(${chunk.sectionCount}x${chunk.sectionHeight})`
+    );
+  }
+
+  for (let sectionY = 0; sectionY < sectionCount; sectionY++) {
+    const flags = reader.readUint8();
+    if (flags === 0) continue;
+
+    const section = chunk.getOrCreateSection(sectionY);
+    if (flags & SECTION_BLOCKS) {
+      section.blocks = new Uint16Array(section.volume);
+      readBlocks(reader, section.blocks, toRuntime);
+      section.recount();
+    }
+    if (flags & SECTION_WATER) {
+      section.waterLevels = new Uint8Array(section.volume);
+      readRuns(reader, section.volume, (i, value) => { section.waterLevels[i] = value; });
+    }
+    if (flags & SECTION_LIGHT) {
+      section.lightData = new Uint16Array(section.volume);
+      readRuns(reader, section.volume, (i, value) => {
+        section.lightData[i] = version === 3 ? upgradeLegacyLight(value) : value;
+      });
+    }
+    chunk.releaseSectionIfEmpty(sectionY);
+  }
+}
+
+/**
+ * Read version 1/2 chunk-wide data into the bottom of a sectioned chunk
+ * @param {ByteReader} reader - Positioned after the chunk header
+ * @param {Chunk} chunk - Destination chunk
+ * @param {number} version - Format version (1 or 2)
+ * @param {number} flags - Chunk-wide flags
+ * @param {number} height - Height of the saved chunk
+ * @param {Uint16Array|null} toRuntime - Saved id -> registry id
+ */
+function readLegacyColumns(reader, chunk, version, flags, height, toRuntime) {
+  const { size } = chunk;
+  const volume = size * height * size;
+  const layer = size * size;
+
+  const blocks = new Uint16Array(volume);
+  if (version === 1) {
+    readRuns(reader, volume, (i, value) => { blocks[i] = translateId(toRuntime, value); });
+  } else {
+    readBlocks(reader, blocks, toRuntime);
+  }
+
+  const waterLevels = new Uint8Array(volume);
+  if (flags & FLAG_WATER) {
+    readRuns(reader, volume, (i, value) => { waterLevels[i] = value; });
+  }
+  if (flags & FLAG_LIGHT) {
+    readRuns(reader, volume, () => {});
+  }
+
+  for (let i = 0; i < volume; i++) {
+    const y = Math.floor(i / layer);
+    const z = Math.floor((i % layer) / size);
+    const x = i % size;
+    if (blocks[i] !== 0) chunk.setBlock(x, y, z, blocks[i]);
+    if (waterLevels[i] !== 0) chunk.setWaterLevel(x, y, z, waterLevels[i]);
+  }
+  chunk.dirtyBlocks.clear();
+  chunk.dirtyNeighborSections.clear();
+  chunk.needsPhysicsUpdate = false;
+}
+
+/**
+ * Rebuild a chunk from serialized data
+ * @param {Uint8Array|ArrayBuffer} bytes - Data produced by serializeChunk
+ * @param {Uint16Array|null} toRuntime - Saved id -> registry id (null = same)
+ * @returns {Chunk} Restored chunk, not marked as modified
+ */
+export function deserializeChunk(bytes, toRuntime = null) {
+  const reader = new ByteReader(bytes);
+
+  if (reader.readUint32() !== CHUNK_MAGIC) {
+    throw new Error('Not a chunk record');
+  }
+  const version = reader.readUint8();
+  if (version < 1 || version > CHUNK_FORMAT_VERSION) {
+    throw new Error(`Unsupported chunk format version ${version}`);
+  }
+
+  const flags = version < 5 ? reader.readUint8() : 0;
+  const chunkX = reader.readInt32();
+  const chunkZ = reader.readInt32();
+  const size = reader.readUint16();
+  const height = reader.readUint16();
+
+  const chunk = new Chunk(chunkX, chunkZ);
+  const heightMatches = version < 3 ? height <= chunk.height : height === chunk.height;
+  if (size !== chunk.size || !heightMatches) {
+    throw new Error(
+      `Chunk dimensions ${size}x${height} do not match world (${chunk.size}x${chunk.height})`
+    );
+  }
+
+  if (version < 3) {
+    readLegacyColumns(reader, chunk, version, flags, height, toRuntime);
+  } else {
+    readSections(reader, chunk, version, toRuntime);
+  }
+
+  chunk.markAllSectionsDirty();
+  chunk.modified = false;
+  return chunk;
+}
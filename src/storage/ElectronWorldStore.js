@@ -0,0 +1,65 @@
+/**
+ * ElectronWorldStore.js - Desktop storage backend for world saves
+ * Forwards to the region-file store in the Electron main process via the
+ * `voxelStorage` bridge from electron/preload.cjs
+ *
+ * Implements the same interface as IndexedDBWorldStore
+ */
+
+export class ElectronWorldStore {
+  constructor(bridge = globalThis.voxelStorage) {
+    this.bridge = bridge;
+    this.openWorldIds = new Set();
+  }
+
+  /**
+   * Check whether the preload bridge is available (desktop build only)
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof globalThis.voxelStorage !== 'undefined';
+  }
+
+  async open() {
+    if (!this.bridge) {
+      throw new Error('Electron storage bridge is not available');
+    }
+  }
+
+  listWorlds() {
+    return this.bridge.listWorlds();
+  }
+
+  loadWorld(worldId) {
+    return this.bridge.loadWorld(worldId);
+  }
+
+  saveWorld(world) {
+    this.openWorldIds.add(world.id);
+    return this.bridge.saveWorld(world);
+  }
+
+  async loadChunk(worldId, chunkX, chunkZ) {
+    const data = await this.bridge.loadChunk(worldId, chunkX, chunkZ);
+    return data ? new Uint8Array(data) : null;
+  }
+
+  async saveChunks(worldId, records) {
+    if (records.length === 0) return;
+    this.openWorldIds.add(worldId);
+    await this.bridge.saveChunks(worldId, records);
+  }
+
+  deleteWorld(worldId) {
+    this.openWorldIds.delete(worldId);
+    return this.bridge.deleteWorld(worldId);
+  }
+
+  // Release region file handles held by the main process
+  close() {
+    for (const worldId of this.openWorldIds) {
+      this.bridge.closeWorld(worldId);
+    }
+    this.openWorldIds.clear();
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * IndexedDBWorldStore.js - Browser storage backend for world saves
+ * Keeps world metadata and serialized chunk records in IndexedDB
+ *
+ * Backends only move bytes; serialization is done by WorldStorage so
+ * every backend shares the same chunk format
+ */
+
+const DB_NAME = 'mini-voxel-engine';
+const DB_VERSION = 1;
+const WORLDS_STORE = 'worlds';
+const CHUNKS_STORE = 'chunks';
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve once a transaction has committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+export class IndexedDBWorldStore {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this environment
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and if needed create) the database
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.db) return;
+
+    const request = indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(WORLDS_STORE)) {
+        db.createObjectStore(WORLDS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+        const chunks = db.createObjectStore(CHUNKS_STORE, { keyPath: ['worldId', 'x', 'z'] });
+        chunks.createIndex('worldId', 'worldId', { unique: false });
+      }
+    };
+
+    this.db = await requestToPromise(request);
+  }
+
+  /**
+   * List metadata for every saved world
+   * @returns {Promise<Array<object>>}
+   */
+  async listWorlds() {
+    const transaction = this.db.transaction(WORLDS_STORE, 'readonly');
+    return requestToPromise(transaction.objectStore(WORLDS_STORE).getAll());
+  }
+
+  /**
+   * Load metadata for one world
+   * @param {string} worldId - World identifier
+   * @returns {Promise<object|null>}
+   */
+  async loadWorld(worldId) {
+    const transaction = this.db.transaction(WORLDS_STORE, 'readonly');
+    const world = await requestToPromise(transaction.objectStore(WORLDS_STORE).get(worldId));
+    return world || null;
+  }
+
+  /**
+   * Create or update world metadata
+   * @param {object} world - Metadata with an `id` field
+   * @returns {Promise<void>}
+   */
+  async saveWorld(world) {
+    const transaction = this.db.transaction(WORLDS_STORE, 'readwrite');
+    transaction.objectStore(WORLDS_STORE).put(world);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Load a serialized chunk
+   * @param {string} worldId - World identifier
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async loadChunk(worldId, chunkX, chunkZ) {
+    const transaction = this.db.transaction(CHUNKS_STORE, 'readonly');
+    const record = await requestToPromise(
+      transaction.objectStore(CHUNKS_STORE).get([worldId, chunkX, chunkZ])
+    );
+    return record ? new Uint8Array(record.data) : null;
+  }
+
+  /**
+   * Write several serialized chunks in one transaction
+   * @param {string} worldId - World identifier
+   * @param {Array<{x: number, z: number, data: Uint8Array}>} records - Chunks to write
+   * @returns {Promise<void>}
+   */
+  async saveChunks(worldId, records) {
+    if (records.length === 0) return;
+
+    const transaction = this.db.transaction(CHUNKS_STORE, 'readwrite');
+    const store = transaction.objectStore(CHUNKS_STORE);
+    for (const { x, z, data } of records) {
+      store.put({ worldId, x, z, data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) });
+    }
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Delete a world and all of its chunks
+   * @param {string} worldId - World identifier
+   * @returns {Promise<void>}
+   */
+  async deleteWorld(worldId) {
+    const transaction = this.db.transaction([WORLDS_STORE, CHUNKS_STORE], 'readwrite');
+    transaction.objectStore(WORLDS_STORE).delete(worldId);
+
+    const index = transaction.objectStore(CHUNKS_STORE).index('worldId');
+    const request = index.openKeyCursor(IDBKeyRange.only(worldId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        transaction.objectStore(CHUNKS_STORE).delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+
+    await transactionDone(transaction);
+  }
+
+  // Close the database connection
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
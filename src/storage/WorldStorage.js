@@ -0,0 +1,232 @@
+/**
+ * WorldStorage.js - Save/load facade used by ChunkManager
+ * Serializes chunks and hands the bytes to a storage backend
+ * A world is identified by its name plus seed, so several worlds can
+ * live side by side in the same backend
+ */
+
+import { serializeChunk, deserializeChunk } from './ChunkSerializer.js';
+import { IndexedDBWorldStore } from './IndexedDBWorldStore.js';
+import { ElectronWorldStore } from './ElectronWorldStore.js';
+import { WorldSeed } from '../noise/WorldSeed.js';
+import { blockRegistry } from '../core/Block.js';
+
+// Numeric block ids of worlds saved before the block registry, when ids
+// were fixed by the order blocks were declared in
+const LEGACY_BLOCK_IDS = Object.fromEntries([
+  'air', 'grass', 'dirt', 'stone', 'sand', 'wood', 'leaves', 'bedrock', 'water',
+  'lava', 'glass', 'coal_ore', 'iron_ore', 'gold_ore', 'diamond_ore', 'gravel',
+  'snow', 'ice', 'tall_grass', 'flower', 'chest',
+].map((name, id) => [`core:${name}`, id]));
+
+// Copy feature writes ('x,z' -> { 'x,z': [x, y, z, blockType, ...] }) with
+// their block types looked up in a translation table
+function translateFeatureWrites(featureWrites, table) {
+  if (!table) return featureWrites;
+  const translated = {};
+  for (const [target, sources] of Object.entries(featureWrites)) {
+    translated[target] = {};
+    for (const [source, writes] of Object.entries(sources)) {
+      translated[target][source] = writes.map((value, i) => (i % 4 === 3 ? table[value] ?? 0 : value));
+    }
+  }
+  return translated;
+}
+
+/**
+ * Pick the storage backend for this environment
+ * The desktop build saves region files to disk; browsers use IndexedDB
+ * @returns {object|null} Unopened backend, or null if saving is unsupported
+ */
+export function createStorageBackend() {
+  if (ElectronWorldStore.isSupported()) {
+    return new ElectronWorldStore();
+  }
+  if (IndexedDBWorldStore.isSupported()) {
+    return new IndexedDBWorldStore();
+  }
+  return null;
+}
+
+export class WorldStorage {
+  /**
+   * @param {object} backend - Opened storage backend (IndexedDBWorldStore or ElectronWorldStore)
+   * @param {object} world - World metadata ({ id, name, seed, terrainMode, blockIds, createdAt, lastPlayed,
+   *   featureWrites, appliedFeatureWrites }); seed is the canonical seed text (worlds saved before text seeds hold a number),
+   *   blockIds maps namespaced block ids to the numeric ids the world's chunks were saved with
+   */
+  constructor(backend, world) {
+    this.backend = backend;
+    this.world = world;
+
+    // Saved <-> registry block id tables (null when they agree); blocks new
+    // to this world are added to world.blockIds
+    world.blockIds = world.blockIds || { ...LEGACY_BLOCK_IDS }; // Saved before the block registry
+    const { toRuntime, toSaved } = blockRegistry.createIdTranslation(world.blockIds);
+    this.toRuntime = toRuntime;
+    this.toSaved = toSaved;
+
+    // Chunks serialized but not yet confirmed written, key: 'x,z' -> bytes
+    // Lets a chunk that is re-requested mid-save load its latest state
+    this.pendingWrites = new Map();
+  }
+
+  /**
+   * Build the identifier for a world
+   * @param {string} name - World name
+   * @param {WorldSeed|string|number} seed - World seed
+   * @returns {string} World id
+   */
+  static getWorldId(name, seed) {
+    return `${name}:${WorldSeed.from(seed).text}`;
+  }
+
+  /**
+   * Open a world, creating its metadata if it has never been saved
+   * If no seed is given, the most recently played world with this name is
+   * used, falling back to a new world with `fallbackSeed`. A new world is
+   * generated with `terrainMode`; existing worlds keep their own
+   * @param {object} backend - Storage backend (opened by this call)
+   * @param {object} options - { name, seed, fallbackSeed, terrainMode }
+   * @returns {Promise<WorldStorage>}
+   */
+  static async open(backend, { name, seed = null, fallbackSeed, terrainMode = 'heightmap' }) {
+    await backend.open();
+
+    let world = null;
+    if (seed !== null) {
+      world = await backend.loadWorld(WorldStorage.getWorldId(name, seed));
+    } else {
+      const worlds = (await backend.listWorlds()).filter(w => w.name === name);
+      worlds.sort((a, b) => b.lastPlayed - a.lastPlayed);
+      world = worlds[0] || null;
+    }
+
+    if (!world) {
+      const worldSeed = WorldSeed.from(seed !== null ? seed : fallbackSeed);
+      world = {
+        id: WorldStorage.getWorldId(name, worldSeed),
+        name,
+        seed: worldSeed.text,
+        terrainMode,
+        blockIds: blockRegistry.getIds(),
+        createdAt: Date.now(),
+        lastPlayed: Date.now(),
+      };
+    } else {
+      world.terrainMode = world.terrainMode || 'heightmap'; // Saved before terrain modes
+      world.lastPlayed = Date.now();
+    }
+
+    const storage = new WorldStorage(backend, world);
+    await backend.saveWorld(world); // Also records any newly assigned block ids
+    return storage;
+  }
+
+  /**
+   * Load a saved chunk
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @returns {Promise<Chunk|null>} Saved chunk, or null if never saved
+   */
+  async loadChunk(chunkX, chunkZ) {
+    const key = `${chunkX},${chunkZ}`;
+    const bytes = this.pendingWrites.get(key)
+      || await this.backend.loadChunk(this.world.id, chunkX, chunkZ);
+
+    if (!bytes) return null;
+    return deserializeChunk(bytes, this.toRuntime);
+  }
+
+  /**
+   * Save chunks that have been modified since they were generated or loaded
+   * Chunks are serialized immediately, so later edits don't race the write
+   * @param {Array<Chunk>} chunks - Candidate chunks
+   * @returns {Promise<number>} Number of chunks written
+   */
+  async saveChunks(chunks) {
+    const records = [];
+    for (const chunk of chunks) {
+      if (!chunk.modified) continue;
+
+      const data = serializeChunk(chunk, this.toSaved);
+      chunk.modified = false;
+      this.pendingWrites.set(`${chunk.x},${chunk.z}`, data);
+      records.push({ x: chunk.x, z: chunk.z, data, chunk });
+    }
+
+    if (records.length === 0) return 0;
+
+    try {
+      await this.backend.saveChunks(
+        this.world.id,
+        records.map(({ x, z, data }) => ({ x, z, data }))
+      );
+    } catch (error) {
+      // Keep the edits queued for the next save attempt
+      for (const record of records) record.chunk.modified = true;
+      throw error;
+    } finally {
+      for (const record of records) {
+        const key = `${record.x},${record.z}`;
+        // Only drop the entry if a newer save hasn't replaced it
+        if (this.pendingWrites.get(key) === record.data) {
+          this.pendingWrites.delete(key);
+        }
+      }
+    }
+
+    return records.length;
+  }
+
+  /**
+   * Save a single chunk if it was modified
+   * @param {Chunk} chunk - The chunk
+   * @returns {Promise<number>}
+   */
+  saveChunk(chunk) {
+    return this.saveChunks([chunk]);
+  }
+
+  /**
+   * Feature writes waiting for chunks that haven't been generated yet
+   * @returns {object} 'x,z' of the target -> { 'x,z' of the source: writes }
+   */
+  getFeatureWrites() {
+    return translateFeatureWrites(this.world.featureWrites || {}, this.toRuntime);
+  }
+
+  /**
+   * Sources whose feature writes each chunk already holds
+   * @returns {object} 'x,z' of the target -> ['x,z' of each source]
+   */
+  getAppliedFeatureWrites() {
+    return this.world.appliedFeatureWrites || {};
+  }
+
+  /**
+   * Store the feature writes still waiting for their chunks, and which
+   * have been applied
+   * @param {object} featureWrites - As returned by getFeatureWrites()
+   * @param {object} appliedFeatureWrites - As returned by getAppliedFeatureWrites()
+   * @returns {Promise<void>}
+   */
+  saveFeatureWrites(featureWrites, appliedFeatureWrites) {
+    this.world.featureWrites = translateFeatureWrites(featureWrites, this.toSaved);
+    this.world.appliedFeatureWrites = appliedFeatureWrites;
+    return this.backend.saveWorld(this.world);
+  }
+
+  /**
+   * Update the world's last-played time
+   * @returns {Promise<void>}
+   */
+  touch() {
+    this.world.lastPlayed = Date.now();
+    return this.backend.saveWorld(this.world);
+  }
+
+  close() {
+    this.backend.close();
+  }
+}
@@ -0,0 +1,157 @@
+import { PriorityQueue } from '../core/PriorityQueue.js';
+
+/**
+ * WorkerPool.js - Runs jobs on a fixed set of Web Workers
+ * Jobs wait in a priority queue and are handed to the next idle worker,
+ * lowest priority value first. Queued jobs can be cancelled or reprioritized;
+ * jobs already running always finish.
+ *
+ * Message protocol (both directions are plain postMessage data):
+ *   pool -> worker: { id, payload }
+ *   worker -> pool: { id, result } or { id, error }
+ */
+
+// Rejection reason for jobs removed from the queue before they started
+export class JobCancelledError extends Error {
+  constructor(key) {
+    super(`Job ${key} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export class WorkerPool {
+  /**
+   * @param {Function} createWorker - Returns a new Worker
+   * @param {number} size - Number of workers
+   */
+  constructor(createWorker, size) {
+    this.queue = new PriorityQueue();
+    this.running = new Map();  // job id -> job
+    this.idleWorkers = [];
+    this.workers = [];
+    this.nextJobId = 1;
+
+    for (let i = 0; i < size; i++) {
+      const worker = createWorker();
+      worker.onmessage = (event) => this.onWorkerMessage(worker, event.data);
+      worker.onerror = (event) => this.onWorkerError(worker, event);
+      this.workers.push(worker);
+      this.idleWorkers.push(worker);
+    }
+  }
+
+  /**
+   * Check whether Web Workers are available in this environment
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Default pool size: leave one core for the main thread
+   * @param {number} max - Upper limit
+   * @returns {number}
+   */
+  static getDefaultSize(max = 4) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(max, cores - 1));
+  }
+
+  /**
+   * Queue a job
+   * @param {object} payload - Message for the worker
+   * @param {object} options - { key, priority, transfer }
+   *   key: identifies the job for cancel(); priority: lower runs first;
+   *   transfer: ArrayBuffers moved (not copied) to the worker
+   * @returns {Promise<*>} Resolves with the worker's result
+   */
+  run(payload, { key = null, priority = 0, transfer = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextJobId++, key, payload, transfer, resolve, reject };
+      this.queue.push(job, priority);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Remove queued jobs with a key; running jobs are not interrupted
+   * @param {*} key - Job key
+   * @returns {boolean} True if a queued job was removed
+   */
+  cancel(key) {
+    const removed = this.queue.remove(job => job.key === key);
+    for (const job of removed) {
+      job.reject(new JobCancelledError(key));
+    }
+    return removed.length > 0;
+  }
+
+  /**
+   * Recompute the priority of every queued job
+   * @param {Function} getPriority - Receives the job payload, returns a priority
+   */
+  reprioritize(getPriority) {
+    this.queue.reprioritize(job => getPriority(job.payload));
+  }
+
+  // Number of jobs waiting or running
+  get pendingCount() {
+    return this.queue.size + this.running.size;
+  }
+
+  // Hand queued jobs to idle workers
+  dispatch() {
+    while (this.idleWorkers.length > 0 && this.queue.size > 0) {
+      const worker = this.idleWorkers.pop();
+      const job = this.queue.pop();
+      job.worker = worker;
+      this.running.set(job.id, job);
+      worker.postMessage({ id: job.id, payload: job.payload }, job.transfer);
+    }
+  }
+
+  onWorkerMessage(worker, { id, result, error }) {
+    const job = this.running.get(id);
+    if (!job) return;
+
+    this.running.delete(id);
+    this.idleWorkers.push(worker);
+
+    if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(result);
+    }
+    this.dispatch();
+  }
+
+  // An uncaught error inside the worker fails the job it was running
+  onWorkerError(worker, event) {
+    for (const [id, job] of this.running) {
+      if (job.worker === worker) {
+        this.running.delete(id);
+        this.idleWorkers.push(worker);
+        job.reject(new Error(event.message || 'Worker error'));
+      }
+    }
+    this.dispatch();
+  }
+
+  // Terminate workers and reject anything still pending
+  dispose() {
+    for (const job of this.queue.clear()) {
+      job.reject(new JobCancelledError(job.key));
+    }
+    for (const job of this.running.values()) {
+      job.reject(new JobCancelledError(job.key));
+    }
+    this.running.clear();
+
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.idleWorkers = [];
+  }
+}
@@ -0,0 +1,34 @@
+import { WorldGenerator } from '../core/WorldGenerator.js';
+import { LightingSystem } from '../core/LightingSystem.js';
+
+/**
+ * generationWorker.js - Generates chunks off the main thread
+ * Receives { seed (text), terrainMode, chunkX, chunkZ } through WorkerPool and replies with the
+ * generated and lit chunk's section arrays and feature spills; the array
+ * buffers are transferred, not copied
+ * (see Chunk.toTransferable / Chunk.fromTransferable)
+ */
+
+// Reused between jobs; rebuilt only if the world changes
+let generator = null;
+
+// Lights each chunk on its own; light crosses borders once it's in the world
+const lighting = new LightingSystem();
+
+self.onmessage = (event) => {
+  const { id, payload } = event.data;
+
+  try {
+    const { seed, terrainMode, chunkX, chunkZ } = payload;
+    if (!generator || generator.seed.text !== seed || generator.terrainMode !== terrainMode) {
+      generator = new WorldGenerator(seed, { terrainMode });
+    }
+
+    const chunk = generator.generateChunk(chunkX, chunkZ);
+    lighting.calculateChunkLighting(chunk);
+    const { data, transfer } = chunk.toTransferable();
+    self.postMessage({ id, result: data }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
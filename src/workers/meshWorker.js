@@ -0,0 +1,27 @@
+import { MeshBuilder } from '../rendering/MeshBuilder.js';
+
+/**
+ * meshWorker.js - Greedy-meshes chunk sections off the main thread
+ * Receives { blocks, light, size, height, ambientOcclusion } through
+ * WorkerPool, where blocks and light are padded arrays from
+ * MeshBuilder.getPaddedBlocks / getPaddedLight (light may be null), and
+ * replies with the typed vertex arrays (transferred, not copied) or null for
+ * an empty mesh
+ */
+
+const meshBuilder = new MeshBuilder();
+
+self.onmessage = (event) => {
+  const { id, payload } = event.data;
+
+  try {
+    const { blocks, light, size, height, ambientOcclusion } = payload;
+    const arrays = meshBuilder.buildSectionArrays(blocks, size, height, { light, ambientOcclusion });
+    const transfer = arrays
+      ? [arrays.positions.buffer, arrays.normals.buffer, arrays.colors.buffer, arrays.light.buffer, arrays.indices.buffer]
+      : [];
+    self.postMessage({ id, result: arrays }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};